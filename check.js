@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * WP Engine Domain Monitor — Headless check
+ *
+ * Runs a scan, prints a table (or JSON) of failing domains to stdout and
+ * exits non-zero when there are more than --max-issues of them. No HTML is
+ * written, so it can run from cron or a CI pipeline.
+ *
+ * Usage:
+ *   node check.js [--max-issues 0] [--fail-on issue,tls,http]
+ *                 [--install 'acme*'] [--environment production] [--domain '*.example.com']
+ *                 [--json] [--all] [--verbose]
+ *
+ * Credentials and every other setting come from config.json / environment
+ * variables, as for server.js (lib/config.js).
+ *
+ * Exit codes: 0 = within threshold, 1 = threshold exceeded, 2 = bad options, config or scan error
+ *
+ * runCheck() is exported for tests: it returns the exit code instead of exiting.
+ */
+
+const { runScan, loadConfirmed, applyConfirmedOverrides } = require("./lib/monitor");
+const { loadConfig, scanOptions, configuredAccounts, ConfigError } = require("./lib/config");
+const { FAIL_ON, evaluateCheck, formatTable } = require("./lib/check");
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+// Bad options or config: reported on stderr, exit code 2
+class UsageError extends Error {}
+
+function fail(message) {
+  throw new UsageError(message);
+}
+
+// ── Main ─────────────────────────────────────────────────────
+
+/**
+ * Run the check and return its exit code instead of exiting, so tests can
+ * drive it in-process.
+ * @param {object}   [opts]
+ * @param {string[]} [opts.argv]      command-line arguments
+ * @param {object}   [opts.env]       environment variables
+ * @param {function} [opts.resolver]  replaces the configured DNS resolver (tests use a fake one)
+ * @param {{ write: function }} [opts.stdout]
+ * @param {{ write: function }} [opts.stderr]
+ * @returns {Promise<number>}  EXIT_OK, EXIT_FAILED or EXIT_ERROR
+ */
+async function runCheck({ argv = [], env = process.env, resolver, stdout = process.stdout, stderr = process.stderr } = {}) {
+  try {
+    return await check({ argv, env, resolver, stdout, stderr });
+  } catch (e) {
+    stderr.write(e instanceof UsageError || e instanceof ConfigError ? `${e.message}\n` : `Error: ${e.message}\n`);
+    return EXIT_ERROR;
+  }
+}
+
+async function check({ argv, env, resolver, stdout, stderr }) {
+  const config = loadConfig({ argv, env });
+  if (configuredAccounts(config).length === 0) {
+    fail("No WP Engine credentials: set WPE_API_USER / WPE_API_PASS or configure config.json");
+  }
+
+  const { flags } = config.args;
+  const maxIssuesFlag = flags["max-issues"] === undefined ? "0" : flags["max-issues"];
+  if (typeof maxIssuesFlag !== "string" || !/^\d+$/.test(maxIssuesFlag)) fail("--max-issues must be a non-negative integer");
+  const maxIssues = Number(maxIssuesFlag);
+  if (flags["fail-on"] === true) fail("--fail-on needs a value");
+  const failOn = typeof flags["fail-on"] === "string" ? flags["fail-on"].split(",").map((k) => k.trim()) : ["issue"];
+  const unknown = failOn.filter((k) => !FAIL_ON.includes(k));
+  if (unknown.length > 0) fail(`--fail-on: unknown ${unknown.join(", ")} (expected ${FAIL_ON.join(", ")})`);
+  for (const name of ["install", "environment", "domain"]) {
+    if (flags[name] === true) fail(`--${name} needs a value`);
+  }
+
+  // Progress goes to stderr so stdout stays clean for --json
+  const scan = await runScan({
+    ...scanOptions(config),
+    ...(resolver ? { resolver } : {}),
+    onProgress: flags.verbose ? (msg) => stderr.write(`  ${msg}\n`) : undefined,
+  });
+  const data = applyConfirmedOverrides(scan, loadConfirmed(config.storage.confirmedFile));
+
+  const result = evaluateCheck(data, {
+    install: flags.install, environment: flags.environment, domain: flags.domain, failOn, maxIssues,
+  });
+
+  if (flags.json) {
+    const { domains, ...summary } = result;
+    stdout.write(JSON.stringify(flags.all ? result : summary, null, 2) + "\n");
+  } else {
+    stdout.write(formatTable(result, { all: !!flags.all }));
+  }
+  return result.ok ? EXIT_OK : EXIT_FAILED;
+}
+
+module.exports = { runCheck, EXIT_OK, EXIT_FAILED, EXIT_ERROR };
+
+if (require.main === module) {
+  runCheck({ argv: process.argv.slice(2) }).then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -9,273 +9,145 @@
  * Usage:
  *   node generate-dashboard.js <API_USER> <API_PASS>
  *   node generate-dashboard.js  (uses env vars WPE_API_USER / WPE_API_PASS)
+ *   node generate-dashboard.js --config /etc/wpe-monitor.json
+ *   node generate-dashboard.js --format csv [--filter issues] [--search acme] [--provider Cloudflare]
+ *   node generate-dashboard.js --save-snapshot scan.json
+ *   node generate-dashboard.js --from-snapshot scan.json
+ *
+ * --format csv|json writes one row per custom domain (lib/export.js) instead
+ * of the HTML dashboard, next to it as dashboard.csv / dashboard.json.
+ *
+ * Issue and confirmed domains carry their DNS fix instructions
+ * (lib/remediation.js), shown in a "Fix DNS" drawer.
+ *
+ * --save-snapshot also saves the scan as a snapshot file (lib/snapshot.js);
+ * --from-snapshot renders one instead of scanning, with no API credentials
+ * or DNS lookups. Works with --format too.
+ *
+ * Uses the same config.json / environment settings as server.js (lib/config.js).
+ * generateHTML(sites, stats) is exported for tests.
  */
 
-const fetch = require("node-fetch");
-const dns = require("dns").promises;
 const fs = require("fs");
 const path = require("path");
+const { runScan, loadConfirmed, applyConfirmedOverrides, createWPEMatcher } = require("./lib/monitor");
+const { loadConfig, scanOptions, configuredAccounts, ConfigError } = require("./lib/config");
+const { FILTERS, exportRows, toCSV, toJSON } = require("./lib/export");
+const { saveSnapshot, loadSnapshot, SnapshotError } = require("./lib/snapshot");
+const { remediationFor } = require("./lib/remediation");
 
-const API_BASE = "https://api.wpengineapi.com/v1";
-
-// Known WP Engine CNAME suffixes
-const WPE_CNAME_SUFFIXES = [".wpengine.com", ".wpenginepowered.com", ".wpesvc.net", ".wpeproxy.com"];
-
-// Known WP Engine IP addresses (from real DNS lookups across the account)
-const WPE_IP_PREFIXES = ["141.193.213.", "35.203.43.", "172.64.80."];
-
-// ── API helpers ──────────────────────────────────────────────
-
-function makeHeaders(user, pass) {
-  return {
-    Authorization: "Basic " + Buffer.from(`${user}:${pass}`).toString("base64"),
-    "Content-Type": "application/json",
-  };
-}
-
-async function apiFetch(urlPath, headers) {
-  const res = await fetch(`${API_BASE}${urlPath}`, { headers });
-  if (!res.ok) throw new Error(`API ${res.status} on ${urlPath}`);
-  return res.json();
-}
-
-async function fetchAllInstalls(headers) {
-  let all = [];
-  let offset = 0;
-  while (true) {
-    const data = await apiFetch(`/installs?limit=100&offset=${offset}`, headers);
-    all = all.concat(data.results || []);
-    if (!data.next) break;
-    offset += 100;
-  }
-  return all;
-}
-
-async function fetchDomains(installId, headers) {
-  try {
-    const data = await apiFetch(`/installs/${installId}/domains?limit=100`, headers);
-    return data.results || [];
-  } catch {
-    return [];
-  }
-}
+const FORMATS = ["html", "csv", "json"];
 
-// ── DNS helpers ──────────────────────────────────────────────
+// ── Main ─────────────────────────────────────────────────────
 
-async function dnsLookup(domain) {
-  const result = { ips: [], cnames: [], resolved: false };
-  try {
-    result.ips = await dns.resolve4(domain);
-    result.resolved = true;
-  } catch {}
+async function main() {
+  let config;
   try {
-    result.cnames = await dns.resolveCname(domain);
-    result.resolved = result.resolved || result.cnames.length > 0;
-  } catch {}
-  return result;
-}
-
-function dnsPointsToWPE(dnsResult, installCname, allDomainNames) {
-  if (!dnsResult || !dnsResult.resolved) return false;
-  if (dnsResult.cnames.length > 0) {
-    if (dnsResult.cnames.some((c) => WPE_CNAME_SUFFIXES.some((s) => c.endsWith(s)) || c === installCname)) return true;
-    if (allDomainNames && dnsResult.cnames.some((c) => allDomainNames.has(c))) return true;
-  }
-  if (dnsResult.ips.length > 0) {
-    if (dnsResult.ips.some((ip) => WPE_IP_PREFIXES.some((p) => ip.startsWith(p)))) return true;
+    config = loadConfig({ argv: process.argv.slice(2) });
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    console.error(e.message);
+    process.exit(1);
   }
-  return false;
-}
-
-// ── Batch helper ─────────────────────────────────────────────
-
-async function batchAsync(items, concurrency, fn) {
-  const results = [];
-  for (let i = 0; i < items.length; i += concurrency) {
-    const batch = items.slice(i, i + concurrency);
-    results.push(...(await Promise.all(batch.map(fn))));
+  const { flags } = config.args;
+  const format = flags.format || "html";
+  const filter = flags.filter || "all";
+  if (!FORMATS.includes(format)) {
+    console.error(`--format must be one of ${FORMATS.join(", ")}`);
+    process.exit(1);
   }
-  return results;
-}
-
-// ── Determine domain status ──────────────────────────────────
-
-function determineDomainStatus(domain, dnsResult, installCname, allDomainNames) {
-  const isSystem = domain.name.endsWith(".wpenginepowered.com") || domain.name.endsWith(".wpengine.com");
-  if (isSystem) return { status: "system", detail: "System domain" };
-
-  // Primary source of truth: WP Engine API's network_info
-  const networkStatus = domain.network_details?.network_info?.status?.toUpperCase();
-  const sslStatus = domain.network_details?.network_info?.ssl?.status?.toLowerCase();
-
-  // Expected IPs/CNAME from WPE API
-  const expectedCname = domain.network_details?.dns_config_info?.cname || null;
-  const expectedARecords = domain.network_details?.dns_config_info?.a_records || [];
-
-  const dnsMatches = dnsResult ? dnsPointsToWPE(dnsResult, installCname, allDomainNames) : false;
-
-  // Also check if DNS IPs match the WPE-provided expected A records
-  let dnsMatchesExpected = false;
-  if (dnsResult && dnsResult.ips.length > 0 && expectedARecords.length > 0) {
-    dnsMatchesExpected = dnsResult.ips.some((ip) => expectedARecords.includes(ip));
+  if (!FILTERS.includes(filter)) {
+    console.error(`--filter must be one of ${FILTERS.join(", ")}`);
+    process.exit(1);
   }
-  // Check if CNAME matches the expected CNAME
-  let cnameMatchesExpected = false;
-  if (dnsResult && dnsResult.cnames.length > 0 && expectedCname) {
-    cnameMatchesExpected = dnsResult.cnames.some((c) => c === expectedCname);
+  for (const name of ["from-snapshot", "save-snapshot"]) {
+    if (flags[name] === true) {
+      console.error(`--${name} needs a file`);
+      process.exit(1);
+    }
   }
 
-  if (networkStatus === "ACTIVE") {
-    // WPE says it's active
-    if (dnsMatches || dnsMatchesExpected || cnameMatchesExpected) {
-      return { status: "good", detail: "Active & DNS pointed" };
+  let data;
+  let scan;
+  if (flags["from-snapshot"]) {
+    let snapshot;
+    try {
+      snapshot = loadSnapshot(flags["from-snapshot"]);
+    } catch (e) {
+      if (!(e instanceof SnapshotError)) throw e;
+      console.error(e.message);
+      process.exit(1);
     }
-    if (dnsResult && dnsResult.resolved) {
-      // DNS resolves but not to WPE — it's pointed elsewhere
-      return { status: "issue", detail: "DNS not pointed to WPE" };
+    console.log(`→ Replaying snapshot saved ${snapshot.savedAt}`);
+    scan = snapshot.data;
+    // The overrides saved with the scan, with expiries judged as of that moment
+    data = applyConfirmedOverrides(scan, snapshot.confirmed, Date.parse(snapshot.savedAt));
+  } else {
+    const accounts = configuredAccounts(config);
+    if (accounts.length === 0) {
+      console.error("Usage: node generate-dashboard.js <API_USER> <API_PASS>");
+      console.error("   or list several accounts under \"accounts\" in config.json");
+      console.error("   or node generate-dashboard.js --from-snapshot scan.json");
+      process.exit(1);
     }
-    if (dnsResult && !dnsResult.resolved) {
-      return { status: "issue", detail: "DNS not resolving" };
+    console.log(accounts.length > 1 ? `→ Scanning ${accounts.length} WP Engine accounts...` : "→ Scanning WP Engine account...");
+    scan = await runScan({
+      ...scanOptions(config),
+      onProgress: (msg) => console.log(`  ${msg}`),
+    });
+    // Same file the live server writes when a domain is marked "Confirm OK"
+    const confirmed = loadConfirmed(config.storage.confirmedFile);
+    data = applyConfirmedOverrides(scan, confirmed);
+    if (flags["save-snapshot"]) {
+      saveSnapshot(flags["save-snapshot"], scan, { confirmed });
+      console.log(`✓ Snapshot saved to ${flags["save-snapshot"]}`);
     }
-    // No DNS check yet — trust the API
-    return { status: "good", detail: "Active (API)" };
-  }
-
-  if (networkStatus === "PENDING") {
-    return { status: "pending", detail: "Pending setup" };
-  }
-
-  if (networkStatus === "DELETED") {
-    return { status: "issue", detail: "Network deleted" };
-  }
-
-  // LEGACY domains or no network_info — rely on DNS
-  if (!networkStatus) {
-    if (dnsMatches) return { status: "good", detail: "DNS pointed (Legacy)" };
-    if (dnsResult && dnsResult.resolved) return { status: "issue", detail: "DNS not pointed to WPE" };
-    if (dnsResult && !dnsResult.resolved) return { status: "issue", detail: "DNS not resolving" };
-    return { status: "unknown", detail: "No status data" };
   }
+  const { sites: siteData, stats } = data;
 
-  return { status: "unknown", detail: networkStatus || "Unknown" };
-}
-
-// ── Main ─────────────────────────────────────────────────────
-
-async function main() {
-  const user = process.argv[2] || process.env.WPE_API_USER;
-  const pass = process.argv[3] || process.env.WPE_API_PASS;
-  if (!user || !pass) {
-    console.error("Usage: node generate-dashboard.js <API_USER> <API_PASS>");
-    process.exit(1);
+  console.log(`\n✓ Stats: ${stats.totalSites} sites | ${stats.customDomains} custom domains | ${stats.good} good | ${stats.issues} issues | ${stats.confirmed} confirmed | ${stats.pending} pending`);
+  for (const f of scan.summary ? scan.summary.perInstall : []) {
+    if (f.expected !== null && f.items < f.expected) console.log(`  ! ${f.site}: only ${f.items} of ${f.expected} domains returned (${f.pages} pages)`);
   }
 
-  const headers = makeHeaders(user, pass);
-
-  console.log("→ Fetching installs...");
-  const installs = await fetchAllInstalls(headers);
-  console.log(`  Found ${installs.length} installs`);
-
-  console.log("→ Fetching domains for each install...");
-  const installDomains = await batchAsync(installs, 10, async (inst) => {
-    const domains = await fetchDomains(inst.id, headers);
-    return { install: inst, domains };
-  });
-
-  // Build set of all domain names (for cross-domain CNAME detection)
-  const allDomainNames = new Set();
-  for (const { domains } of installDomains) {
-    for (const d of domains) allDomainNames.add(d.name);
+  if (format !== "html") {
+    const rows = exportRows(data, {
+      filter,
+      q: typeof flags.search === "string" ? flags.search : "",
+      provider: typeof flags.provider === "string" ? flags.provider : "",
+    });
+    const base = config.storage.dashboardFile;
+    const outPath = path.join(path.dirname(base), path.basename(base, path.extname(base)) + "." + format);
+    fs.writeFileSync(outPath, format === "csv" ? toCSV(rows) : toJSON(rows), "utf-8");
+    console.log(`✓ ${rows.length} domains exported to ${outPath}`);
+    return;
   }
 
-  // Flatten custom domains for DNS lookup
-  const allCustomDomains = [];
-  for (const { install, domains } of installDomains) {
-    for (const d of domains) {
-      const isSystem = d.name.endsWith(".wpenginepowered.com") || d.name.endsWith(".wpengine.com");
-      if (!isSystem) allCustomDomains.push({ ...d, _installCname: install.cname });
+  console.log("→ Generating dashboard...");
+  // No server to ask, so the fix instructions travel with the page
+  const matcher = createWPEMatcher(config.wpe);
+  for (const site of siteData) {
+    for (const d of site.domains) {
+      if (d.status === "issue" || d.status === "confirmed") d.remediation = remediationFor(d, site, { matcher });
     }
   }
-
-  console.log(`→ Running DNS checks on ${allCustomDomains.length} custom domains...`);
-  const dnsResults = {};
-  let done = 0;
-  await batchAsync(allCustomDomains, 30, async (d) => {
-    const result = await dnsLookup(d.name);
-    dnsResults[d.id] = result;
-    done++;
-    if (done % 50 === 0) console.log(`  ${done}/${allCustomDomains.length}`);
-    return result;
-  });
-  console.log(`  ${allCustomDomains.length}/${allCustomDomains.length} done`);
-
-  // Build final data structure
-  const siteData = installDomains.map(({ install, domains }) => {
-    const enrichedDomains = domains.map((d) => {
-      const isSystem = d.name.endsWith(".wpenginepowered.com") || d.name.endsWith(".wpengine.com");
-      const dnsResult = dnsResults[d.id] || null;
-      const { status, detail } = determineDomainStatus(d, dnsResult, install.cname, allDomainNames);
-      const sslStatus = d.network_details?.network_info?.ssl?.status || null;
-
-      return {
-        name: d.name,
-        id: d.id,
-        primary: d.primary,
-        network_type: d.network_type || "",
-        redirect_to: d.redirect_to?.name || null,
-        isSystem,
-        dns: dnsResult,
-        status,       // "good" | "issue" | "pending" | "system" | "unknown"
-        detail,       // human-readable explanation
-        sslStatus,
-        expectedCname: d.network_details?.dns_config_info?.cname || null,
-        expectedARecords: d.network_details?.dns_config_info?.a_records || [],
-      };
-    });
-
-    const customDomains = enrichedDomains.filter((d) => !d.isSystem);
-    const issueCount = customDomains.filter((d) => d.status === "issue").length;
-    const pendingCount = customDomains.filter((d) => d.status === "pending").length;
-
-    return {
-      name: install.name,
-      id: install.id,
-      environment: install.environment,
-      primary_domain: install.primary_domain,
-      cname: install.cname,
-      php_version: install.php_version,
-      domains: enrichedDomains,
-      issueCount,
-      pendingCount,
-    };
-  });
-
-  // Stats
-  const allDomains = siteData.flatMap((s) => s.domains);
-  const customDomains = allDomains.filter((d) => !d.isSystem);
-  const stats = {
-    totalSites: installs.length,
-    totalDomains: allDomains.length,
-    customDomains: customDomains.length,
-    good: customDomains.filter((d) => d.status === "good").length,
-    issues: customDomains.filter((d) => d.status === "issue").length,
-    pending: customDomains.filter((d) => d.status === "pending").length,
-    timestamp: new Date().toISOString(),
-  };
-
-  console.log(`\n✓ Stats: ${stats.totalSites} sites | ${stats.customDomains} custom domains | ${stats.good} good | ${stats.issues} issues | ${stats.pending} pending`);
-
-  console.log("→ Generating dashboard...");
   const html = generateHTML(siteData, stats);
-  const outPath = path.join(__dirname, "dashboard.html");
+  const outPath = config.storage.dashboardFile;
   fs.writeFileSync(outPath, html, "utf-8");
   console.log(`✓ Dashboard saved to ${outPath}`);
 }
 
 // ── HTML Generator ───────────────────────────────────────────
 
+// JSON for an inline <script>. The data carries free text from operators
+// (confirm reasons) and from monitored domains (certificate names), so "<"
+// is escaped: a "</script>" inside a string must not end the script.
+function scriptJSON(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+}
+
 function generateHTML(siteData, stats) {
-  const dataJSON = JSON.stringify(siteData);
+  const dataJSON = scriptJSON(siteData);
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -300,6 +172,7 @@ function generateHTML(siteData, stats) {
   .filter-btn { padding: 6px 14px; font-size: 12px; background: transparent; border: none; color: #9ca3af; cursor: pointer; transition: all .15s; }
   .filter-btn:hover { color: #e5e7eb; }
   .filter-btn.active { background: #4f46e5; color: #fff; }
+  .account-select, .provider-select { background: #1f2937; border: 1px solid #374151; border-radius: 8px; padding: 6px 10px; color: #e5e7eb; font-size: 12px; outline: none; }
 
   .content { max-width: 1280px; margin: 0 auto; padding: 20px 24px; }
 
@@ -307,8 +180,14 @@ function generateHTML(siteData, stats) {
   .stat { background: #111827; border: 1px solid #1f2937; border-radius: 12px; padding: 16px; }
   .stat-label { font-size: 10px; text-transform: uppercase; letter-spacing: .08em; color: #6b7280; margin-bottom: 4px; }
   .stat-value { font-size: 28px; font-weight: 700; }
+  .account-stats { grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); }
+  .stat.account, .stat.provider { cursor: pointer; transition: border-color .15s; }
+  .stat.account:hover, .stat.account.active, .stat.provider:hover, .stat.provider.active { border-color: #6366f1; }
+  .provider-stats { grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); }
+  .provider-stats .stat-value { font-size: 22px; }
+  .account-counts { font-size: 12px; color: #9ca3af; margin-top: 4px; }
   .c-white { color: #e5e7eb; } .c-blue { color: #60a5fa; } .c-indigo { color: #818cf8; }
-  .c-green { color: #34d399; } .c-red { color: #f87171; } .c-amber { color: #fbbf24; }
+  .c-green { color: #34d399; } .c-red { color: #f87171; } .c-amber { color: #fbbf24; } .c-orange { color: #fb923c; } .c-teal { color: #2dd4bf; }
 
   .site-card { background: #111827; border: 1px solid #1f2937; border-radius: 12px; margin-bottom: 10px; overflow: hidden; }
   .site-header { display: flex; align-items: center; justify-content: space-between; padding: 14px 20px; cursor: pointer; transition: background .15s; user-select: none; }
@@ -322,6 +201,7 @@ function generateHTML(siteData, stats) {
   .b-green { background: rgba(6,78,59,.4); color: #6ee7b7; border-color: #065f46; }
   .b-red { background: rgba(127,29,29,.4); color: #fca5a5; border-color: #7f1d1d; }
   .b-amber { background: rgba(120,53,15,.4); color: #fcd34d; border-color: #78350f; }
+  .b-orange { background: rgba(124,45,18,.4); color: #fdba74; border-color: #9a3412; }
   .b-blue { background: rgba(30,58,138,.4); color: #93c5fd; border-color: #1e3a8a; }
   .chevron { width: 16px; height: 16px; color: #6b7280; transition: transform .2s; flex-shrink: 0; }
   .chevron.open { transform: rotate(180deg); }
@@ -337,11 +217,31 @@ function generateHTML(siteData, stats) {
   .redirect { color: #4b5563; font-size: 11px; }
   .resolves-to { color: #6b7280; font-size: 11px; max-width: 220px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
   .detail-text { color: #9ca3af; font-size: 11px; }
+  .confirm-note { display: block; color: #6b7280; font-size: 11px; margin-top: 3px; max-width: 320px; }
+  .confirm-note.expired { color: #fca5a5; }
   .verdict { font-weight: 700; font-size: 13px; }
-  .v-good { color: #34d399; } .v-issue { color: #f87171; } .v-pending { color: #fbbf24; } .v-na { color: #4b5563; }
+  .v-good { color: #34d399; } .v-issue { color: #f87171; } .v-pending { color: #fbbf24; } .v-propagating { color: #fb923c; } .v-na { color: #4b5563; } .v-confirmed { color: #2dd4bf; }
+  .b-teal { background: rgba(13,148,136,.3); color: #5eead4; border-color: #0d9488; }
 
   .count-info { font-size: 11px; color: #6b7280; margin-bottom: 12px; }
   .no-match { text-align: center; padding: 48px; color: #4b5563; }
+  .fix-btn { padding: 2px 8px; border-radius: 6px; font-size: 10px; font-weight: 600; cursor: pointer; border: 1px solid #7f1d1d; background: rgba(127,29,29,.2); color: #fca5a5; transition: all .15s; margin-left: 6px; }
+  .fix-btn:hover { background: rgba(127,29,29,.4); }
+  .dialog { background: #111827; color: #e5e7eb; border: 1px solid #1f2937; padding: 20px; }
+  .dialog::backdrop { background: rgba(3,7,18,.7); }
+  .dialog h3 { font-size: 15px; font-weight: 600; margin-bottom: 4px; }
+  .dialog .meta { font-size: 12px; color: #6b7280; }
+  .dialog-actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px; }
+  .dialog-btn { background: transparent; border: 1px solid #374151; color: #9ca3af; padding: 5px 10px; border-radius: 8px; font-size: 12px; cursor: pointer; }
+  .dialog-btn:hover { color: #e5e7eb; border-color: #4b5563; }
+  .dialog.drawer { margin: 0 0 0 auto; height: 100vh; max-height: 100vh; width: 600px; max-width: 100vw; border-width: 0 0 0 1px; overflow-y: auto; }
+  .drawer h4 { font-size: 11px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: .04em; margin: 18px 0 6px; }
+  .fix-table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  .fix-table td { padding: 4px 8px; border-bottom: 1px solid #1f2937; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; word-break: break-all; }
+  .fix-table td.why { font-family: inherit; color: #6b7280; word-break: normal; }
+  .fix-table tr.del td:not(.why) { color: #fca5a5; text-decoration: line-through; }
+  .fix-notes { font-size: 12px; color: #9ca3af; padding-left: 18px; line-height: 1.5; }
+  .snippet { background: #030712; border: 1px solid #1f2937; border-radius: 8px; padding: 10px 12px; font-size: 11px; line-height: 1.5; white-space: pre; overflow-x: auto; color: #d1d5db; }
   .hidden { display: none !important; }
 </style>
 </head>
@@ -361,8 +261,11 @@ function generateHTML(siteData, stats) {
       <div class="filter-group">
         <button class="filter-btn active" data-filter="all">All</button>
         <button class="filter-btn" data-filter="issues">Issues</button>
+        <button class="filter-btn" data-filter="confirmed">Confirmed</button>
         <button class="filter-btn" data-filter="good">Good</button>
       </div>
+      <select class="account-select hidden" id="accountSelect"></select>
+      <select class="provider-select hidden" id="providerSelect" title="Show only domains whose DNS is hosted here"></select>
     </div>
   </div>
 </div>
@@ -374,40 +277,158 @@ function generateHTML(siteData, stats) {
     <div class="stat"><div class="stat-label">Custom Domains</div><div class="stat-value c-indigo">${stats.customDomains}</div></div>
     <div class="stat"><div class="stat-label">Good</div><div class="stat-value c-green">${stats.good}</div></div>
     <div class="stat"><div class="stat-label">Issues</div><div class="stat-value ${stats.issues > 0 ? "c-red" : "c-green"}">${stats.issues}</div></div>
+    <div class="stat"><div class="stat-label">Confirmed</div><div class="stat-value c-teal">${stats.confirmed || 0}</div></div>
     <div class="stat"><div class="stat-label">Pending</div><div class="stat-value c-amber">${stats.pending}</div></div>
+    ${stats.tlsWarnings ? `<div class="stat"><div class="stat-label">TLS Warnings</div><div class="stat-value c-red">${stats.tlsWarnings}</div></div>` : ""}
+    ${stats.httpIssues ? `<div class="stat"><div class="stat-label">HTTP Issues</div><div class="stat-value c-red">${stats.httpIssues}</div></div>` : ""}
+    ${stats.propagating ? `<div class="stat"><div class="stat-label">Propagating</div><div class="stat-value c-orange">${stats.propagating}</div></div>` : ""}
+    ${stats.unavailableSites ? `<div class="stat"><div class="stat-label">Data Unavailable</div><div class="stat-value c-amber">${stats.unavailableSites}</div></div>` : ""}
   </div>
+  <div class="stats account-stats hidden" id="accountStats"></div>
+  <div class="stats provider-stats hidden" id="providerStats" title="Issues by DNS provider"></div>
   <div class="count-info" id="countInfo"></div>
   <div id="siteList"></div>
   <div class="no-match hidden" id="noMatch">No sites match your filters.</div>
 </div>
 
+<dialog class="dialog drawer" id="fixDrawer">
+  <h3 id="fixTitle">Fix DNS</h3>
+  <div class="meta" id="fixMeta"></div>
+  <div id="fixBody"></div>
+  <div class="dialog-actions">
+    <button type="button" class="dialog-btn" onclick="copyFix('text', this)">Copy instructions</button>
+    <button type="button" class="dialog-btn" onclick="copyFix('bind', this)">Copy BIND snippet</button>
+    <button type="button" class="dialog-btn" onclick="document.getElementById('fixDrawer').close()">Close</button>
+  </div>
+</dialog>
+
 <script>
 const DATA = ${dataJSON};
-let currentFilter = "all", currentSearch = "";
+const ACCOUNTS = ${scriptJSON(stats.accounts || [])};
+let currentFilter = "all", currentSearch = "", currentAccount = "", currentProvider = "";
+
+function esc(s) { return s ? s.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;") : ""; }
+
+// Account filter + per-account cards, only when more than one account was scanned
+function renderAccounts() {
+  if (ACCOUNTS.length < 2) return;
+  const select = document.getElementById("accountSelect");
+  const bar = document.getElementById("accountStats");
+  select.classList.remove("hidden");
+  bar.classList.remove("hidden");
+  select.innerHTML = '<option value="">All accounts</option>' +
+    ACCOUNTS.map(a => '<option value="' + esc(a.name) + '"' + (a.name === currentAccount ? ' selected' : '') + '>' + esc(a.name) + '</option>').join("");
+  bar.innerHTML = ACCOUNTS.map(a =>
+    '<div class="stat account' + (a.name === currentAccount ? ' active' : '') + '" data-account="' + esc(a.name) + '">' +
+      '<div class="stat-label">' + esc(a.name) + '</div>' +
+      '<div class="stat-value ' + (a.issues > 0 ? 'c-red' : 'c-white') + '">' + a.totalSites + ' <span style="font-size:13px;font-weight:400;color:#6b7280">sites</span></div>' +
+      '<div class="account-counts">' + a.good + ' good · ' + a.issues + ' issue' + (a.issues !== 1 ? 's' : '') +
+        (a.confirmed ? ' · ' + a.confirmed + ' confirmed' : '') + (a.pending ? ' · ' + a.pending + ' pending' : '') + '</div>' +
+    '</div>').join("");
+  bar.querySelectorAll(".stat.account").forEach(card => card.addEventListener("click", () => {
+    setAccount(card.dataset.account === currentAccount ? "" : card.dataset.account);
+  }));
+}
+
+function setAccount(name) {
+  currentAccount = name;
+  renderAccounts();
+  renderSites();
+}
+
+// DNS provider filter + issue counts per provider (lib/nameservers.js)
+function renderProviders() {
+  const counts = new Map();
+  for (const site of DATA) {
+    if (currentAccount && site.account !== currentAccount) continue;
+    for (const d of site.domains) {
+      if (d.isSystem || !d.dnsProvider || !d.dnsProvider.provider) continue;
+      const c = counts.get(d.dnsProvider.provider) || { domains: 0, issues: 0, known: d.dnsProvider.known };
+      c.domains++;
+      if (d.status === "issue") c.issues++;
+      counts.set(d.dnsProvider.provider, c);
+    }
+  }
+  const select = document.getElementById("providerSelect");
+  const bar = document.getElementById("providerStats");
+  select.classList.toggle("hidden", counts.size === 0);
+  if (currentProvider && !counts.has(currentProvider)) currentProvider = "";
+  const names = [...counts.keys()].sort((a, b) => a.localeCompare(b));
+  select.innerHTML = '<option value="">All DNS providers</option>' +
+    names.map(n => '<option value="' + esc(n) + '"' + (n === currentProvider ? ' selected' : '') + '>' + esc(n) + ' (' + counts.get(n).domains + ')</option>').join("");
+  const withIssues = names.filter(n => counts.get(n).issues > 0).sort((a, b) => counts.get(b).issues - counts.get(a).issues);
+  bar.classList.toggle("hidden", withIssues.length === 0);
+  bar.innerHTML = withIssues.map(n => {
+    const c = counts.get(n);
+    return '<div class="stat provider' + (n === currentProvider ? ' active' : '') + '" data-provider="' + esc(n) + '"' + (c.known ? '' : ' title="Unrecognised nameservers, grouped by their domain"') + '>' +
+      '<div class="stat-label">Issues at ' + esc(n) + '</div>' +
+      '<div class="stat-value c-red">' + c.issues + ' <span style="font-size:13px;font-weight:400;color:#6b7280">of ' + c.domains + ' domains</span></div>' +
+    '</div>';
+  }).join("");
+  bar.querySelectorAll(".stat.provider").forEach(card => card.addEventListener("click", () => {
+    setProvider(card.dataset.provider === currentProvider ? "" : card.dataset.provider);
+  }));
+}
+
+function setProvider(name) {
+  currentProvider = name;
+  renderSites();
+}
 
-function esc(s) { return s ? s.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;") : ""; }
+function providerCell(d) {
+  const p = d.dnsProvider;
+  if (!p) return '<span class="detail-text">—</span>';
+  if (!p.provider) return '<span class="detail-text" title="' + esc(p.error ? "NS lookup failed: " + p.error : "No NS records found for this domain or its parents") + '">unknown</span>';
+  return '<span class="badge ' + (p.known ? 'b-blue' : 'b-gray') + '" title="' + esc("Nameservers for " + p.zone + ":\\n" + p.nameservers.join("\\n")) + '">' + esc(p.provider) + '</span>';
+}
+
+// Who confirmed a domain and why, or when its confirmation ran out
+function confirmNote(d) {
+  const c = d.confirmation || d.confirmationExpired;
+  if (!c) return '';
+  const day = t => new Date(t).toLocaleDateString();
+  if (d.confirmationExpired) return '<span class="confirm-note expired">Confirmation expired ' + day(c.expiresAt) + (c.reason ? ': ' + esc(c.reason) : '') + '</span>';
+  const who = [c.confirmedBy, c.confirmedAt ? day(c.confirmedAt) : ""].filter(Boolean).join(", ");
+  return '<span class="confirm-note">' + esc(c.reason || "No reason recorded") + (who ? ' — ' + esc(who) : '') + (c.expiresAt ? ' · until ' + day(c.expiresAt) : '') + '</span>';
+}
+
+// Domain count, flagged when fewer domains came back than the API reported
+function domainsBadge(site) {
+  const f = site.domainFetch;
+  if (f && f.expected !== null && f.items < f.expected) {
+    return '<span class="badge b-amber" title="Only ' + f.items + ' of ' + f.expected + ' domains were returned by the API">' + f.items + ' of ' + f.expected + ' domains</span>';
+  }
+  const title = f ? ' title="' + f.items + ' domains fetched in ' + f.pages + ' page' + (f.pages !== 1 ? 's' : '') + '"' : '';
+  return '<span class="badge b-gray"' + title + '>' + site.domains.length + ' domains</span>';
+}
 
 function renderSites() {
   const el = document.getElementById("siteList");
   const q = currentSearch.toLowerCase();
 
+  renderProviders();
+  const multiAccount = ACCOUNTS.length > 1;
+  const atProvider = d => !currentProvider || (!!d.dnsProvider && d.dnsProvider.provider === currentProvider);
   const filtered = DATA.filter(site => {
+    if (currentAccount && site.account !== currentAccount) return false;
+    if (currentProvider && !site.domains.some(atProvider)) return false;
     if (q) {
       if (!site.name.toLowerCase().includes(q) &&
           !(site.primary_domain||"").toLowerCase().includes(q) &&
           !site.domains.some(d => d.name.toLowerCase().includes(q))) return false;
     }
     if (currentFilter === "all") return true;
-    if (currentFilter === "issues") return site.issueCount > 0;
-    return site.issueCount === 0;
+    if (currentFilter === "issues") return site.issueCount > 0 || !!site.fetchError;
+    if (currentFilter === "confirmed") return (site.confirmedCount || 0) > 0;
+    return !site.fetchError && site.issueCount === 0 && (site.confirmedCount || 0) === 0 && (site.propagatingCount || 0) === 0;
   });
 
   document.getElementById("countInfo").textContent = "Showing " + filtered.length + " of " + DATA.length + " sites";
   document.getElementById("noMatch").classList.toggle("hidden", filtered.length > 0);
 
   el.innerHTML = filtered.map(site => {
-    const dotCls = site.issueCount > 0 ? "dot-red" : site.domains.filter(d=>!d.isSystem&&d.status==="good").length === site.domains.filter(d=>!d.isSystem).length && site.domains.filter(d=>!d.isSystem).length > 0 ? "dot-green" : "dot-gray";
-    const autoOpen = currentFilter === "issues" && site.issueCount > 0;
+    const dotCls = site.issueCount > 0 ? "dot-red" : site.fetchError ? "dot-amber" : (site.confirmedCount||0) > 0 ? "dot-amber" : site.domains.filter(d=>!d.isSystem&&(d.status==="good"||d.status==="confirmed")).length === site.domains.filter(d=>!d.isSystem).length && site.domains.filter(d=>!d.isSystem).length > 0 ? "dot-green" : "dot-gray";
+    const autoOpen = (currentFilter === "issues" && (site.issueCount > 0 || !!site.fetchError)) || (currentFilter === "confirmed" && (site.confirmedCount||0) > 0);
 
     return '<div class="site-card' + (autoOpen ? ' open' : '') + '">' +
       '<div class="site-header">' +
@@ -415,26 +436,42 @@ function renderSites() {
           '<div class="dot ' + dotCls + '"></div>' +
           '<span class="site-name">' + esc(site.name) + '</span>' +
           '<span class="badge b-gray">' + esc(site.environment) + '</span>' +
+          (multiAccount && site.account ? '<span class="badge b-blue">' + esc(site.account) + '</span>' : '') +
           (site.primary_domain ? '<span class="primary-domain">' + esc(site.primary_domain) + '</span>' : '') +
-          '<span class="badge b-gray">' + site.domains.length + ' domains</span>' +
+          (site.fetchError
+            ? '<span class="badge b-amber" title="' + esc(site.fetchError) + '">data unavailable</span>'
+            : domainsBadge(site)) +
           (site.issueCount > 0 ? '<span class="badge b-red">' + site.issueCount + ' issue' + (site.issueCount!==1?'s':'') + '</span>' : '') +
+          ((site.confirmedCount||0) > 0 ? '<span class="badge b-teal">' + site.confirmedCount + ' confirmed</span>' : '') +
           (site.pendingCount > 0 ? '<span class="badge b-amber">' + site.pendingCount + ' pending</span>' : '') +
-          (site.issueCount === 0 && site.pendingCount === 0 && site.domains.filter(d=>!d.isSystem).length > 0 ? '<span class="badge b-green">All good</span>' : '') +
+          ((site.propagatingCount||0) > 0 ? '<span class="badge b-orange">' + site.propagatingCount + ' propagating</span>' : '') +
+          ((site.httpIssueCount||0) > 0 ? '<span class="badge b-red">' + site.httpIssueCount + ' HTTP issue' + (site.httpIssueCount!==1?'s':'') + '</span>' : '') +
+          ((site.tlsWarningCount||0) > 0 ? '<span class="badge b-red">' + site.tlsWarningCount + ' TLS warning' + (site.tlsWarningCount!==1?'s':'') + '</span>' : '') +
+          (site.issueCount === 0 && (site.confirmedCount||0) === 0 && site.pendingCount === 0 && (site.propagatingCount||0) === 0 && site.domains.filter(d=>!d.isSystem).length > 0 ? '<span class="badge b-green">All good</span>' : '') +
         '</div>' +
         '<svg class="chevron' + (autoOpen ? ' open' : '') + '" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/></svg>' +
       '</div>' +
       '<table class="domain-table" style="display:' + (autoOpen ? 'table' : 'none') + '">' +
-        '<thead><tr><th>Domain</th><th>Network</th><th>DNS</th><th>Resolves To</th><th>SSL</th><th>Status</th><th>Verdict</th></tr></thead>' +
-        '<tbody>' + site.domains.map(d => {
-          const dotColor = d.status==="good"?"#34d399":d.status==="issue"?"#f87171":d.status==="pending"?"#fbbf24":"#4b5563";
-          const resolvesTo = d.dns ? (d.dns.cnames.length > 0 ? d.dns.cnames.join(", ") : d.dns.ips.length > 0 ? d.dns.ips.join(", ") : "—") : "—";
-
-          const statusBadge = d.status==="good"?'b-green':d.status==="issue"?'b-red':d.status==="pending"?'b-amber':'b-gray';
-          const verdictCls = d.status==="good"?"v-good":d.status==="issue"?"v-issue":d.status==="pending"?"v-pending":"v-na";
-          const verdictText = d.status==="good"?"GOOD":d.status==="issue"?"ISSUE":d.status==="pending"?"PENDING":d.status==="system"?"—":"?";
+        '<thead><tr><th>Domain</th><th>Network</th><th>DNS</th><th>Resolves To</th><th>DNS Provider</th><th>SSL</th><th>HTTP</th><th>Status</th><th>Verdict</th></tr></thead>' +
+        '<tbody>' + (site.fetchError ? '<tr><td colspan="9" class="detail-text">Domain data unavailable: ' + esc(site.fetchError) + '. Will retry on the next scan.</td></tr>' : '') +
+        site.domains.filter(atProvider).map(d => {
+          const dotColor = d.status==="good"?"#34d399":d.status==="issue"?"#f87171":d.status==="confirmed"?"#2dd4bf":d.status==="pending"?"#fbbf24":d.status==="propagating"?"#fb923c":"#4b5563";
+          // Per-resolver answers (lib/resolver.js) shown on hover
+          const sourcesTitle = d.dns && d.dns.sources ? d.dns.sources.map(src => src.source + ": " + (src.error ? src.error : src.cnames.concat(src.ips, src.ips6 || []).join(", ") || "no answer")).join("\\n") : "";
+          const resolvesTo = d.dns ? (d.dns.cnames.length > 0 ? d.dns.cnames : d.dns.ips.concat(d.dns.ips6 || [])).join(", ") || "—" : "—";
+
+          const statusBadge = d.status==="good"?'b-green':d.status==="issue"?'b-red':d.status==="confirmed"?'b-teal':d.status==="pending"?'b-amber':d.status==="propagating"?'b-orange':'b-gray';
+          const verdictCls = d.status==="good"?"v-good":d.status==="issue"?"v-issue":d.status==="confirmed"?"v-confirmed":d.status==="pending"?"v-pending":d.status==="propagating"?"v-propagating":"v-na";
+          const verdictText = d.status==="good"?"GOOD":d.status==="issue"?"ISSUE":d.status==="confirmed"?"CONFIRMED":d.status==="pending"?"PENDING":d.status==="propagating"?"PROPAGATING":d.status==="system"?"—":"?";
 
           const netBadge = d.network_type==="AN"?"b-blue":d.network_type==="GES"?"b-green":"b-gray";
           const sslBadge = d.sslStatus==="active"?"b-green":d.sslStatus==="expired"?"b-red":d.sslStatus==="pending_validation"?"b-amber":"b-gray";
+          // What the domain actually serves on 443 (lib/tls-check.js)
+          const tlsBadge = d.tls ? (d.tls.status==="valid"?"b-green":d.tls.status==="expiring"?"b-amber":"b-red") : "";
+          const httpBadge = d.http ? (d.http.status==="ok"?(d.http.wpeHeaders.length>0?"b-green":"b-gray"):"b-red") : "";
+          const httpText = d.http ? (d.http.status==="ok" ? d.http.finalStatus + " · " + d.http.responseTimeMs + "ms" : d.http.detail) : "";
+          const httpTitle = d.http ? d.http.chain.map(h => h.status + " " + h.url).join("\\n") + (d.http.finalUrl ? "\\nFinal: " + d.http.finalUrl : "") + (d.http.wpeHeaders ? "\\nWP Engine headers: " + (d.http.wpeHeaders.join(", ") || "none") : "") : "";
+          const tlsTitle = d.tls && !d.tls.error ? "Issuer: " + (d.tls.issuer||"?") + "\\n" + "SAN: " + d.tls.san.join(", ") + "\\n" + "Expires: " + d.tls.validTo.slice(0,10) + "\\n" + "Chain: " + (d.tls.chainValid ? "valid" : d.tls.chainError) : "";
 
           return '<tr>' +
             '<td><div class="domain-name"><div class="d-dot" style="background:'+dotColor+'"></div>' +
@@ -444,11 +481,15 @@ function renderSites() {
               (d.redirect_to ? ' <span class="redirect">→ ' + esc(d.redirect_to) + '</span>' : '') +
             '</div></td>' +
             '<td><span class="badge '+netBadge+'">' + esc(d.network_type||"—") + '</span></td>' +
-            '<td><span class="badge '+statusBadge+'">' + esc(d.detail) + '</span></td>' +
-            '<td><span class="resolves-to">' + esc(resolvesTo) + '</span></td>' +
-            '<td><span class="badge '+sslBadge+'">' + esc(d.sslStatus||"—") + '</span></td>' +
+            '<td><span class="badge '+statusBadge+'">' + esc(d.status==="confirmed"?(d.originalDetail||d.detail):d.detail) + '</span>' + confirmNote(d) + '</td>' +
+            '<td><span class="resolves-to" title="' + esc(sourcesTitle) + '">' + esc(resolvesTo) + '</span></td>' +
+            '<td>' + providerCell(d) + '</td>' +
+            '<td><span class="badge '+sslBadge+'">' + esc(d.sslStatus||"—") + '</span>' +
+              (d.tls ? ' <span class="badge '+tlsBadge+'" title="'+esc(tlsTitle)+'">' + esc(d.tls.detail) + '</span>' : '') + '</td>' +
+            '<td>' + (d.http ? '<span class="badge '+httpBadge+'" title="'+esc(httpTitle)+'">' + esc(httpText) + '</span>' : '<span class="detail-text">—</span>') + '</td>' +
             '<td><span class="detail-text">' + esc(d.detail) + '</span></td>' +
-            '<td><span class="verdict '+verdictCls+'">' + verdictText + '</span></td>' +
+            '<td><span class="verdict '+verdictCls+'">' + verdictText + '</span>' +
+              (d.remediation ? '<button class="fix-btn" data-site="' + esc(site.id) + '" data-domain="' + esc(d.name) + '" title="DNS records to set and delete">Fix DNS</button>' : '') + '</td>' +
           '</tr>';
         }).join("") + '</tbody>' +
       '</table>' +
@@ -466,6 +507,51 @@ function renderSites() {
       }
     });
   });
+  el.querySelectorAll(".fix-btn").forEach(btn => {
+    btn.addEventListener("click", () => openFix(btn.dataset.site, btn.dataset.domain));
+  });
+}
+
+// ── DNS fix drawer: instructions generated with the page (lib/remediation.js) ──
+let FIX = null;
+
+function openFix(siteId, domain) {
+  const site = DATA.find(s => s.id === siteId);
+  FIX = site.domains.find(d => d.name === domain).remediation;
+  renderFix(FIX);
+  document.getElementById("fixDrawer").showModal();
+}
+
+function renderFix(p) {
+  const table = (records, cls) => '<table class="fix-table">' + records.map(r => '<tr class="' + cls + '">' +
+    '<td>' + esc(r.name) + '</td><td>' + esc(r.type) + '</td><td>' + esc(r.value) + '</td>' +
+    (r.reason ? '<td class="why">' + esc(r.reason) + '</td>' : '') + '</tr>').join("") + '</table>';
+  document.getElementById("fixTitle").textContent = "Fix DNS — " + p.domain;
+  document.getElementById("fixMeta").textContent = "Install " + p.site + " · zone " + p.zone + (p.apex ? " (apex domain)" : "");
+  document.getElementById("fixBody").innerHTML =
+    (p.remove.length ? '<h4>Delete</h4>' + table(p.remove, "del") : '') +
+    (p.add.length ? '<h4>Make sure these exist</h4>' + table(p.add, "") : '') +
+    (p.alternative ? '<h4>Or, with CNAME flattening</h4>' + table([p.alternative], "") : '') +
+    '<h4>Notes</h4><ul class="fix-notes">' + p.notes.map(n => '<li>' + esc(n) + '</li>').join("") + '</ul>' +
+    '<h4>Instructions</h4><pre class="snippet" id="fixText">' + esc(p.text) + '</pre>' +
+    '<h4>BIND zone snippet</h4><pre class="snippet" id="fixBind">' + esc(p.bind) + '</pre>';
+}
+
+// The Clipboard API isn't available on file:// pages; fall back to selecting the text
+async function copyFix(kind, btn) {
+  if (!FIX) return;
+  try {
+    await navigator.clipboard.writeText(FIX[kind]);
+  } catch {
+    const range = document.createRange();
+    range.selectNodeContents(document.getElementById(kind === "bind" ? "fixBind" : "fixText"));
+    getSelection().removeAllRanges();
+    getSelection().addRange(range);
+    if (!document.execCommand("copy")) return;
+  }
+  const label = btn.textContent;
+  btn.textContent = "Copied";
+  setTimeout(() => { btn.textContent = label; }, 1500);
 }
 
 document.querySelectorAll(".filter-btn").forEach(btn => {
@@ -477,13 +563,20 @@ document.querySelectorAll(".filter-btn").forEach(btn => {
   });
 });
 document.getElementById("searchInput").addEventListener("input", e => { currentSearch = e.target.value; renderSites(); });
+document.getElementById("accountSelect").addEventListener("change", e => setAccount(e.target.value));
+document.getElementById("providerSelect").addEventListener("change", e => setProvider(e.target.value));
+renderAccounts();
 renderSites();
 </script>
 </body>
 </html>`;
 }
 
-main().catch((e) => {
-  console.error("Error:", e.message);
-  process.exit(1);
-});
+module.exports = { generateHTML, scriptJSON };
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error("Error:", e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * WP Engine Domain Monitor — Confirmation audit log
+ *
+ * Append-only JSON lines file recording every "Confirm OK" and "Unconfirm"
+ * action: who did it, when, to which domain on which install, the reason
+ * given and the expiry set. Read back newest first for the dashboard.
+ *
+ * Usage:
+ *   const audit = createAuditLog(path.join(__dirname, "confirm-audit.jsonl"));
+ *   await audit.append({ action: "confirm", domain, siteId, site, user, reason, expiresAt });
+ *   await audit.recent({ domain: "example.com", limit: 50 });
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+
+function createAuditLog(file) {
+  return {
+    file,
+
+    async append(entry) {
+      const line = { at: new Date().toISOString(), ...entry };
+      await fs.promises.appendFile(file, JSON.stringify(line) + "\n", "utf8");
+      return line;
+    },
+
+    /** Newest first, optionally for one domain and/or install only. */
+    async recent({ domain, siteId, limit = 100 } = {}) {
+      if (!fs.existsSync(file)) return [];
+      const entries = [];
+      const rl = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line.trim()) continue;
+        let e;
+        try {
+          e = JSON.parse(line);
+        } catch {
+          continue; // partially written last line
+        }
+        if (domain && e.domain !== domain) continue;
+        if (siteId && e.siteId !== siteId) continue;
+        entries.push(e);
+      }
+      return entries.reverse().slice(0, limit);
+    },
+  };
+}
+
+module.exports = { createAuditLog };
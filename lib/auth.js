@@ -0,0 +1,233 @@
+/**
+ * WP Engine Domain Monitor — Authentication and roles
+ *
+ * Three ways to authenticate, all checked by authenticate():
+ *   - session cookie, set by POST /login for local users
+ *   - HTTP Basic with a local user's username/password (scripts, curl)
+ *   - Authorization: Bearer <token> for configured API tokens
+ *
+ * Local users store scrypt password hashes ("scrypt$<salt>$<hash>"); make
+ * one with:  node lib/auth.js hash-password <password>
+ *
+ * Roles are ordered: a "viewer" can read the dashboard and API, an
+ * "operator" can also refresh, confirm domains and fire test alerts.
+ * With no users or tokens configured, auth is disabled and everyone is
+ * treated as an operator (the previous behaviour).
+ *
+ * Failed sign-ins are throttled per client and username: after
+ * LOGIN_MAX_FAILURES within LOGIN_WINDOW_MS, login() and HTTP Basic refuse
+ * that pair until the window runs out (see loginRetryAfter()). Password
+ * checks use async scrypt so a stream of guesses doesn't block the server.
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = { viewer: 1, operator: 2 };
+const SESSION_COOKIE = "wpem_session";
+const SCRYPT_KEYLEN = 32;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// ── Passwords ────────────────────────────────────────────────
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+    // Other apps on the same host can set cookies we can't decode; skip them
+    try {
+      cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      continue;
+    }
+  }
+  return cookies;
+}
+
+// ── Auth ─────────────────────────────────────────────────────
+
+/**
+ * @param {object} [opts]
+ * @param {{username: string, passwordHash: string, role: string}[]} [opts.users]
+ * @param {{name: string, token: string, role: string}[]} [opts.tokens]
+ * @param {number} [opts.sessionTtlHours]
+ */
+function createAuth({ users = [], tokens = [], sessionTtlHours = 12 } = {}) {
+  const enabled = users.length > 0 || tokens.length > 0;
+  const sessionTtlMs = sessionTtlHours * 60 * 60 * 1000;
+  const sessions = new Map(); // id -> { username, role, expiresAt }
+  const failures = new Map(); // "<client> <username>" -> { count, resetAt }
+
+  // Drop expired sessions and failure counts; called whenever either map grows
+  function prune() {
+    const now = Date.now();
+    for (const [sid, s] of sessions) if (s.expiresAt < now) sessions.delete(sid);
+    for (const [key, f] of failures) if (f.resetAt <= now) failures.delete(key);
+  }
+
+  function retryAfter(key) {
+    const f = failures.get(key);
+    if (!f || f.resetAt <= Date.now()) return 0;
+    return f.count >= LOGIN_MAX_FAILURES ? f.resetAt - Date.now() : 0;
+  }
+
+  async function checkUser(username, password) {
+    const u = users.find((x) => x.username === username);
+    if (!u || !(await verifyPassword(password, u.passwordHash))) return null;
+    return { username: u.username, role: u.role, via: "password" };
+  }
+
+  // A password check for /login or HTTP Basic, counted against the client's failures
+  async function attempt(username, password, client) {
+    const key = `${client} ${username}`;
+    const wait = retryAfter(key);
+    if (wait > 0) return { user: null, retryAfterMs: wait };
+    prune();
+    const user = await checkUser(username, password);
+    if (user) {
+      failures.delete(key);
+    } else {
+      const f = failures.get(key) || { count: 0, resetAt: Date.now() + LOGIN_WINDOW_MS };
+      f.count++;
+      failures.set(key, f);
+    }
+    return { user, retryAfterMs: 0 };
+  }
+
+  /** @returns {Promise<{ user: object|null, retryAfterMs: number }>} */
+  async function identify(req) {
+    const header = req.headers.authorization || "";
+    if (header.startsWith("Bearer ")) {
+      const t = tokens.find((x) => safeEqual(x.token, header.slice(7).trim()));
+      return { user: t ? { username: t.name, role: t.role, via: "token" } : null, retryAfterMs: 0 };
+    }
+    if (header.startsWith("Basic ")) {
+      const decoded = Buffer.from(header.slice(6), "base64").toString("utf8");
+      const colon = decoded.indexOf(":");
+      if (colon === -1) return { user: null, retryAfterMs: 0 };
+      return attempt(decoded.slice(0, colon), decoded.slice(colon + 1), req.ip);
+    }
+    const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sid && sessions.get(sid);
+    if (!session) return { user: null, retryAfterMs: 0 };
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(sid);
+      return { user: null, retryAfterMs: 0 };
+    }
+    return { user: { username: session.username, role: session.role, via: "session" }, retryAfterMs: 0 };
+  }
+
+  return {
+    enabled,
+
+    /**
+     * Middleware: sets req.user, or rejects with 401 (API, /metrics) / redirect to /login (pages).
+     * HTTP Basic from a throttled client gets 429 with Retry-After.
+     */
+    async authenticate(req, res, next) {
+      if (!enabled) {
+        req.user = { username: null, role: "operator", via: "none" };
+        return next();
+      }
+      let result;
+      try {
+        result = await identify(req);
+      } catch (e) {
+        return next(e);
+      }
+      if (result.user) {
+        req.user = result.user;
+        return next();
+      }
+      if (result.retryAfterMs > 0) {
+        res.setHeader("Retry-After", String(Math.ceil(result.retryAfterMs / 1000)));
+        return res.status(429).json({ error: "Too many failed sign-ins, try again later" });
+      }
+      // Scrapers and scripts get a status code, not a login page
+      if (req.path.startsWith("/api/") || req.path === "/metrics") {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      res.redirect("/login");
+    },
+
+    /** Middleware factory: only let through users with at least `role`. */
+    requireRole(role) {
+      return (req, res, next) => {
+        if (req.user && ROLES[req.user.role] >= ROLES[role]) return next();
+        res.status(403).json({ error: `Requires ${role} role` });
+      };
+    },
+
+    /** Milliseconds until `client` may try signing in as `username` again; 0 when it may now. */
+    loginRetryAfter(client, username) {
+      return retryAfter(`${client} ${username}`);
+    },
+
+    /**
+     * Check a username/password and open a session; resolves to the session id or null.
+     * Also null, without checking the password, while the client is throttled.
+     */
+    async login(username, password, client = "") {
+      const { user } = await attempt(username, password, client);
+      if (!user) return null;
+      const sid = crypto.randomBytes(24).toString("base64url");
+      sessions.set(sid, { username: user.username, role: user.role, expiresAt: Date.now() + sessionTtlMs });
+      return sid;
+    },
+
+    /** Open sessions, expired or not (tests, diagnostics) */
+    sessionCount() {
+      return sessions.size;
+    },
+
+    logout(req) {
+      const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      if (sid) sessions.delete(sid);
+    },
+
+    sessionCookie(sid, req) {
+      return `${SESSION_COOKIE}=${encodeURIComponent(sid)}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${Math.floor(sessionTtlMs / 1000)}` +
+        (req.secure ? "; Secure" : "");
+    },
+
+    clearCookie() {
+      return `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+    },
+  };
+}
+
+module.exports = { createAuth, hashPassword, verifyPassword, parseCookies, ROLES, LOGIN_MAX_FAILURES };
+
+// CLI: node lib/auth.js hash-password <password>
+if (require.main === module) {
+  const [cmd, password] = process.argv.slice(2);
+  if (cmd !== "hash-password" || !password) {
+    console.error("Usage: node lib/auth.js hash-password <password>");
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
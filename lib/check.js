@@ -0,0 +1,122 @@
+/**
+ * WP Engine Domain Monitor — Headless check
+ *
+ * Turns a scan result (with confirmed overrides applied) into a pass/fail
+ * verdict for cron jobs and CI pipelines (see check.js at the repo root):
+ * filter the domains, find what's wrong with each one and compare the
+ * number of failing domains against a threshold.
+ *
+ * Problem kinds a check can fail on:
+ *   issue        DNS not pointed to WP Engine (confirmed domains never count)
+ *   pending      WP Engine network setup not finished
+ *   propagating  resolvers disagree
+ *   tls          live certificate expired, expiring, mismatched or unreachable
+ *   http         domain unreachable or redirecting somewhere unexpected
+ *   unavailable  the install's domains couldn't be fetched from the API
+ */
+
+const FAIL_ON = ["issue", "pending", "propagating", "tls", "http", "unavailable"];
+
+// Shell-style glob (* and ?), case-insensitive, matched against the whole string
+function globToRegExp(glob) {
+  const body = glob.split("").map((c) => (c === "*" ? ".*" : c === "?" ? "." : c.replace(/[.+^${}()|[\]\\]/g, "\\$&"))).join("");
+  return new RegExp(`^${body}$`, "i");
+}
+
+// Any of a comma-separated list of globs; no list matches everything
+function matcher(patterns) {
+  if (!patterns) return () => true;
+  const res = String(patterns).split(",").map((p) => p.trim()).filter(Boolean).map(globToRegExp);
+  return (value) => res.some((re) => re.test(value || ""));
+}
+
+function problemsOf(d) {
+  const kinds = [];
+  if (["issue", "pending", "propagating"].includes(d.status)) kinds.push(d.status);
+  if (d.tls && d.tls.status !== "valid") kinds.push("tls");
+  if (d.http && d.http.status !== "ok") kinds.push("http");
+  return kinds;
+}
+
+/**
+ * @param {{ sites: object[], stats: object }} data
+ * @param {object}   [opts]
+ * @param {string}   [opts.install]      comma-separated globs matched against install names
+ * @param {string}   [opts.environment]  comma-separated globs matched against environments
+ * @param {string}   [opts.domain]       comma-separated globs matched against domain names
+ * @param {string[]} [opts.failOn]       problem kinds that count as failures (default ["issue"])
+ * @param {number}   [opts.maxIssues]    failing entries allowed before the check fails (default 0)
+ * @returns {{ ok, maxIssues, failOn, counts, domains: object[], failing: object[], timestamp }}
+ */
+function evaluateCheck(data, { install, environment, domain, failOn = ["issue"], maxIssues = 0 } = {}) {
+  const installOk = matcher(install);
+  const envOk = matcher(environment);
+  const domainOk = matcher(domain);
+
+  const sites = data.sites.filter((s) => installOk(s.name) && envOk(s.environment));
+  const domains = [];
+  for (const site of sites) {
+    // No domain list to filter: only reported when not narrowing by domain
+    if (site.fetchError && !domain) {
+      domains.push({ site: site.name, environment: site.environment, domain: null, status: "unavailable", detail: site.fetchError, problems: ["unavailable"] });
+    }
+    for (const d of site.domains) {
+      if (d.isSystem || !domainOk(d.name)) continue;
+      domains.push({ site: site.name, environment: site.environment, domain: d.name, status: d.status, detail: d.detail, problems: problemsOf(d) });
+    }
+  }
+
+  const counts = { sites: sites.length, domains: domains.filter((r) => r.domain).length, good: 0, confirmed: 0 };
+  for (const kind of FAIL_ON) counts[kind] = 0;
+  for (const r of domains) {
+    if (r.status === "good") counts.good++;
+    if (r.status === "confirmed") counts.confirmed++;
+    for (const kind of r.problems) counts[kind]++;
+  }
+
+  const failing = domains.filter((r) => r.problems.some((k) => failOn.includes(k)));
+  return {
+    ok: failing.length <= maxIssues,
+    maxIssues,
+    failOn,
+    counts,
+    domains,
+    failing,
+    timestamp: data.stats ? data.stats.timestamp : null,
+  };
+}
+
+function pad(text, width) {
+  return text.length >= width ? text : text + " ".repeat(width - text.length);
+}
+
+/**
+ * Plain-text report: a table of failing domains (or every domain with
+ * `all`), then a one-line summary and the verdict.
+ */
+function formatTable(result, { all = false } = {}) {
+  const rows = (all ? result.domains : result.failing).map((r) => [
+    r.problems.length > 0 ? r.problems.join(",") : r.status,
+    r.domain || "(domains unavailable)",
+    r.site,
+    r.environment || "",
+    r.detail || "",
+  ]);
+  const lines = [];
+  if (rows.length > 0) {
+    const header = ["STATUS", "DOMAIN", "INSTALL", "ENV", "DETAIL"];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+    widths[widths.length - 1] = 0; // last column isn't padded
+    for (const r of [header, ...rows]) lines.push(r.map((c, i) => pad(c, widths[i])).join("  ").trimEnd());
+    lines.push("");
+  }
+  const c = result.counts;
+  const found = FAIL_ON.filter((k) => c[k] > 0).map((k) => `${c[k]} ${k}`);
+  lines.push(`${c.domains} domains on ${c.sites} installs: ${c.good} good, ${c.confirmed} confirmed` + (found.length ? `, ${found.join(", ")}` : ""));
+  lines.push(result.ok
+    ? `PASS: ${result.failing.length} failing (max ${result.maxIssues}, failing on ${result.failOn.join(", ")})`
+    : `FAIL: ${result.failing.length} failing > max ${result.maxIssues} (failing on ${result.failOn.join(", ")})`);
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { FAIL_ON, globToRegExp, evaluateCheck, formatTable };
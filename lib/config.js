@@ -0,0 +1,370 @@
+/**
+ * WP Engine Domain Monitor — Configuration
+ *
+ * Loads and validates the monitor's JSON config file, layering:
+ *
+ *   built-in defaults  <  config file  <  environment variables  <  command line
+ *
+ * The file is config.json next to server.js unless --config <file> or
+ * WPE_MONITOR_CONFIG points elsewhere. Unknown keys and values of the wrong
+ * type are rejected with a ConfigError listing every problem, so a typo
+ * fails at startup instead of silently falling back to a default.
+ * Relative storage paths are resolved against the config file's directory.
+ *
+ * Several WP Engine accounts can be scanned together by listing them under
+ * "accounts"; the single "credentials" pair is used when that list is empty.
+ */
+
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { parseCron, nextCronTime, MAX_TIMER_MS } = require("./scheduler");
+const { WPE_IP_RANGES, WPE_CNAME_SUFFIXES } = require("./monitor");
+const { DEFAULT_API_OPTIONS } = require("./wpe-api");
+const { createResolver } = require("./resolver");
+const { ROLES } = require("./auth");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const DEFAULT_FILE = path.join(ROOT_DIR, "config.json");
+
+class ConfigError extends Error {
+  constructor(source, problems) {
+    super(`Invalid configuration (${source}):\n` + problems.map((p) => `  - ${p}`).join("\n"));
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const DEFAULTS = {
+  credentials: { user: null, pass: null },
+  accounts: [],
+  server: { port: 4782 },
+  wpe: { ipRanges: WPE_IP_RANGES, cnameSuffixes: WPE_CNAME_SUFFIXES },
+  concurrency: { installs: 10, dns: 30 },
+  timeouts: { apiMs: DEFAULT_API_OPTIONS.timeoutMs, dnsMs: 3000, tlsMs: 5000, httpMs: 10000 },
+  api: {
+    baseUrl: DEFAULT_API_OPTIONS.baseUrl,
+    retries: DEFAULT_API_OPTIONS.retries,
+    retryBaseMs: DEFAULT_API_OPTIONS.retryBaseMs,
+    retryMaxMs: DEFAULT_API_OPTIONS.retryMaxMs,
+  },
+  dns: { resolvers: [], authoritative: false },
+  checks: {
+    tls: { enabled: true, expiryWarningDays: 14 },
+    http: { enabled: true, maxRedirects: 10 },
+    nameservers: { enabled: true },
+  },
+  schedule: { intervalMinutes: 60, cron: null, jitterSeconds: 0 },
+  storage: {
+    confirmedFile: "confirmed.json",
+    auditFile: "confirm-audit.jsonl",
+    historyFile: "history.jsonl",
+    lastScanFile: "last-scan.json",
+    notificationsFile: "notifications.json",
+    dashboardFile: "dashboard.html",
+  },
+  history: { maxAgeDays: 90 },
+  notifications: null,
+  auth: { users: [], tokens: [], sessionTtlHours: 12 },
+};
+
+// ── Schema ───────────────────────────────────────────────────
+
+function isCIDR(v) {
+  if (typeof v !== "string" || !v.includes("/")) return false;
+  const [addr, bits] = v.split("/");
+  const version = net.isIP(addr);
+  const n = Number(bits);
+  return version !== 0 && /^\d+$/.test(bits) && n >= 0 && n <= (version === 4 ? 32 : 128);
+}
+
+const isRole = (r) => Object.prototype.hasOwnProperty.call(ROLES, r);
+
+function isUserEntry(u) {
+  return typeof u === "object" && u !== null && typeof u.username === "string" && u.username !== "" &&
+    typeof u.passwordHash === "string" && u.passwordHash.startsWith("scrypt$") && isRole(u.role);
+}
+
+function isTokenEntry(t) {
+  return typeof t === "object" && t !== null && typeof t.name === "string" &&
+    typeof t.token === "string" && t.token.length >= 16 && isRole(t.role);
+}
+
+function isAccountEntry(a) {
+  return typeof a === "object" && a !== null && typeof a.name === "string" && a.name !== "" &&
+    typeof a.user === "string" && a.user !== "" && typeof a.pass === "string" && a.pass !== "";
+}
+
+// Longest schedule.intervalMinutes: a single timer's worth
+const MAX_INTERVAL_MINUTES = Math.floor(MAX_TIMER_MS / 60000);
+
+function isCron(v) {
+  try {
+    // Also rejects expressions that never match, like "0 0 31 2 *"
+    nextCronTime(parseCron(v));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Leaf validators: [description, test, secret?]
+const T = {
+  string: ["a string", (v) => typeof v === "string"],
+  secretString: ["a string or null", (v) => v === null || typeof v === "string", true],
+  boolean: ["true or false", (v) => typeof v === "boolean"],
+  positiveInt: ["a positive integer", (v) => Number.isInteger(v) && v > 0],
+  nonNegativeInt: ["a non-negative integer", (v) => Number.isInteger(v) && v >= 0],
+  nonNegativeNumber: ["a non-negative number", (v) => typeof v === "number" && v >= 0],
+  port: ["a port number (1-65535)", (v) => Number.isInteger(v) && v >= 1 && v <= 65535],
+  intervalMinutes: [`a number of minutes from 0 to ${MAX_INTERVAL_MINUTES}`, (v) => typeof v === "number" && v >= 0 && v <= MAX_INTERVAL_MINUTES],
+  cron: ["a 5-field cron expression that matches within a year, or null", (v) => v === null || (typeof v === "string" && isCron(v))],
+  cidrList: ["an array of CIDR ranges (e.g. \"141.193.213.0/24\")", (v) => Array.isArray(v) && v.every(isCIDR)],
+  ipList: ["an array of IP addresses", (v) => Array.isArray(v) && v.every((x) => net.isIP(x) !== 0)],
+  suffixList: ["an array of domain suffixes starting with \".\"", (v) => Array.isArray(v) && v.every((x) => typeof x === "string" && x.startsWith("."))],
+  url: ["an http(s) URL without a trailing slash", (v) => typeof v === "string" && /^https?:\/\/[^/\s]+(\/\S*[^/])?$/.test(v)],
+  object: ["an object or null", (v) => v === null || (typeof v === "object" && !Array.isArray(v))],
+  positiveNumber: ["a positive number", (v) => typeof v === "number" && v > 0],
+  accounts: [
+    "an array of { name, user, pass } with unique names",
+    (v) => Array.isArray(v) && v.every(isAccountEntry) && new Set(v.map((a) => a.name)).size === v.length,
+    true,
+  ],
+  users: [
+    `an array of { username, passwordHash: "scrypt$...", role: ${Object.keys(ROLES).join(" | ")} }`,
+    (v) => Array.isArray(v) && v.every(isUserEntry),
+    true,
+  ],
+  tokens: [
+    `an array of { name, token (16+ chars), role: ${Object.keys(ROLES).join(" | ")} }`,
+    (v) => Array.isArray(v) && v.every(isTokenEntry),
+    true,
+  ],
+};
+
+const SCHEMA = {
+  credentials: { user: T.secretString, pass: T.secretString },
+  accounts: T.accounts,
+  server: { port: T.port },
+  wpe: { ipRanges: T.cidrList, cnameSuffixes: T.suffixList },
+  concurrency: { installs: T.positiveInt, dns: T.positiveInt },
+  timeouts: { apiMs: T.positiveInt, dnsMs: T.positiveInt, tlsMs: T.positiveInt, httpMs: T.positiveInt },
+  api: { baseUrl: T.url, retries: T.nonNegativeInt, retryBaseMs: T.positiveInt, retryMaxMs: T.positiveInt },
+  dns: { resolvers: T.ipList, authoritative: T.boolean },
+  checks: {
+    tls: { enabled: T.boolean, expiryWarningDays: T.nonNegativeInt },
+    http: { enabled: T.boolean, maxRedirects: T.nonNegativeInt },
+    nameservers: { enabled: T.boolean },
+  },
+  schedule: { intervalMinutes: T.intervalMinutes, cron: T.cron, jitterSeconds: T.nonNegativeNumber },
+  storage: { confirmedFile: T.string, auditFile: T.string, historyFile: T.string, lastScanFile: T.string, notificationsFile: T.string, dashboardFile: T.string },
+  history: { maxAgeDays: T.nonNegativeInt },
+  // Validated by createNotifier() — see lib/notifier.js
+  notifications: T.object,
+  auth: { users: T.users, tokens: T.tokens, sessionTtlHours: T.positiveNumber },
+};
+
+function validate(value, schema, prefix, problems) {
+  if (Array.isArray(schema)) {
+    const [desc, test, secret] = schema;
+    const got = typeof value === "number" && Number.isNaN(value) ? "not a number" : JSON.stringify(value);
+    // Never echo API credentials, password hashes or tokens into logs
+    if (!test(value)) problems.push(`${prefix} must be ${desc}` + (secret ? "" : ` (got ${got})`));
+    return;
+  }
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    problems.push(`${prefix} must be an object`);
+    return;
+  }
+  for (const key of Object.keys(value)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (!(key in schema)) problems.push(`${keyPath} is not a known setting`);
+    else validate(value[key], schema[key], keyPath, problems);
+  }
+}
+
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
+
+// Deep merge where arrays and non-objects replace. Nested objects are always
+// copied, so a loaded config never shares (and never mutates) one of DEFAULTS.
+function merge(base, over) {
+  const out = {};
+  for (const [k, v] of Object.entries(base)) out[k] = isPlainObject(v) ? merge(v, {}) : v;
+  for (const [k, v] of Object.entries(over)) {
+    out[k] = isPlainObject(v) && isPlainObject(out[k]) ? merge(out[k], v) : v;
+  }
+  return out;
+}
+
+function setPath(obj, dotted, value) {
+  const keys = dotted.split(".");
+  let o = obj;
+  for (const k of keys.slice(0, -1)) o = o[k] = isPlainObject(o[k]) ? o[k] : {};
+  o[keys[keys.length - 1]] = value;
+}
+
+// ── Environment overrides ────────────────────────────────────
+
+const list = (v) => v.split(",").map((s) => s.trim()).filter(Boolean);
+const num = (v) => (v.trim() === "" ? NaN : Number(v));
+const bool = (v) => (v === "1" || v === "true" ? true : v === "0" || v === "false" ? false : v);
+
+// env var -> [config path, parser]
+const ENV_OVERRIDES = {
+  WPE_API_USER: ["credentials.user", String],
+  WPE_API_PASS: ["credentials.pass", String],
+  PORT: ["server.port", num],
+  WPE_IP_RANGES: ["wpe.ipRanges", list],
+  WPE_CNAME_SUFFIXES: ["wpe.cnameSuffixes", list],
+  INSTALL_CONCURRENCY: ["concurrency.installs", num],
+  DNS_CONCURRENCY: ["concurrency.dns", num],
+  API_TIMEOUT_MS: ["timeouts.apiMs", num],
+  API_RETRIES: ["api.retries", num],
+  WPE_API_BASE: ["api.baseUrl", String],
+  DNS_TIMEOUT_MS: ["timeouts.dnsMs", num],
+  TLS_TIMEOUT_MS: ["timeouts.tlsMs", num],
+  HTTP_TIMEOUT_MS: ["timeouts.httpMs", num],
+  DNS_RESOLVERS: ["dns.resolvers", list],
+  DNS_AUTHORITATIVE: ["dns.authoritative", bool],
+  TLS_CHECK: ["checks.tls.enabled", bool],
+  TLS_EXPIRY_WARN_DAYS: ["checks.tls.expiryWarningDays", num],
+  HTTP_CHECK: ["checks.http.enabled", bool],
+  HTTP_MAX_REDIRECTS: ["checks.http.maxRedirects", num],
+  NS_CHECK: ["checks.nameservers.enabled", bool],
+  SCAN_INTERVAL_MINUTES: ["schedule.intervalMinutes", num],
+  SCAN_CRON: ["schedule.cron", String],
+  SCAN_JITTER_SECONDS: ["schedule.jitterSeconds", num],
+  CONFIRMED_FILE: ["storage.confirmedFile", String],
+  AUDIT_FILE: ["storage.auditFile", String],
+  HISTORY_FILE: ["storage.historyFile", String],
+  LAST_SCAN_FILE: ["storage.lastScanFile", String],
+  NOTIFY_CONFIG: ["storage.notificationsFile", String],
+  HISTORY_MAX_AGE_DAYS: ["history.maxAgeDays", num],
+};
+
+function envOverrides(env) {
+  const over = {};
+  const problems = [];
+  for (const [name, [keyPath, parse]] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] === undefined || env[name] === "") continue;
+    const single = {};
+    setPath(single, keyPath, parse(env[name]));
+    const before = problems.length;
+    validate(single, SCHEMA, "", problems);
+    for (let i = before; i < problems.length; i++) problems[i] = `${name}: ${problems[i]}`;
+    setPath(over, keyPath, parse(env[name]));
+  }
+  if (problems.length > 0) throw new ConfigError("environment variables", problems);
+  return over;
+}
+
+// ── Command line ─────────────────────────────────────────────
+
+// Flags that never take a value, so "--json acme" leaves "acme" positional
+const BOOLEAN_FLAGS = new Set(["json", "all", "verbose"]);
+
+/**
+ * Split argv into --config, other --flags and positional arguments.
+ * Returns { configFile, flags: { name: value|true }, positional: [] }.
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) {
+      positional.push(a);
+      continue;
+    }
+    const eq = a.indexOf("=");
+    if (eq !== -1) flags[a.slice(2, eq)] = a.slice(eq + 1);
+    else if (!BOOLEAN_FLAGS.has(a.slice(2)) && i + 1 < argv.length && !argv[i + 1].startsWith("--")) flags[a.slice(2)] = argv[++i];
+    else flags[a.slice(2)] = true;
+  }
+  return { configFile: typeof flags.config === "string" ? flags.config : null, flags, positional };
+}
+
+// ── Load ─────────────────────────────────────────────────────
+
+/**
+ * @param {object}   [opts]
+ * @param {string[]} [opts.argv]  command-line arguments (without node + script)
+ * @param {object}   [opts.env]   environment (defaults to process.env)
+ * @param {string}   [opts.file]  config file path, overriding argv/env
+ * @returns {object} validated config, plus `configFile` and parsed `args`
+ * @throws {ConfigError}
+ */
+function loadConfig({ argv = [], env = process.env, file } = {}) {
+  const args = parseArgs(argv);
+  const explicit = file || args.configFile || env.WPE_MONITOR_CONFIG || null;
+  const configFile = explicit ? path.resolve(explicit) : fs.existsSync(DEFAULT_FILE) ? DEFAULT_FILE : null;
+
+  let fromFile = {};
+  if (configFile) {
+    let text;
+    try {
+      text = fs.readFileSync(configFile, "utf8");
+    } catch (e) {
+      throw new ConfigError(configFile, [`cannot read file: ${e.code || e.message}`]);
+    }
+    try {
+      fromFile = JSON.parse(text);
+    } catch (e) {
+      throw new ConfigError(configFile, [`not valid JSON: ${e.message}`]);
+    }
+    const problems = [];
+    validate(fromFile, SCHEMA, "", problems);
+    if (problems.length > 0) throw new ConfigError(configFile, problems);
+  }
+
+  const fromEnv = envOverrides(env);
+
+  const config = merge(merge(DEFAULTS, fromFile), fromEnv);
+
+  // Positional credentials: <API_USER> <API_PASS>
+  if (args.positional[0]) config.credentials.user = args.positional[0];
+  if (args.positional[1]) config.credentials.pass = args.positional[1];
+
+  const baseDir = configFile ? path.dirname(configFile) : ROOT_DIR;
+  for (const key of Object.keys(config.storage)) {
+    config.storage[key] = path.resolve(baseDir, config.storage[key]);
+  }
+
+  return { ...config, configFile, args };
+}
+
+/**
+ * The WP Engine accounts to scan: the "accounts" list, or the single
+ * "credentials" pair as an account named "default".
+ */
+function configuredAccounts(config) {
+  if (config.accounts.length > 0) return config.accounts;
+  const { user, pass } = config.credentials;
+  return user && pass ? [{ name: "default", user, pass }] : [];
+}
+
+/**
+ * runScan() options for a loaded config. Call once per scan: it builds a
+ * fresh resolver so authoritative nameserver lookups aren't cached forever.
+ */
+function scanOptions(config) {
+  const { dns, timeouts, checks } = config;
+  return {
+    accounts: configuredAccounts(config),
+    concurrency: config.concurrency,
+    wpe: config.wpe,
+    api: { ...config.api, timeoutMs: timeouts.apiMs },
+    resolver: dns.resolvers.length > 0 || dns.authoritative
+      ? createResolver({ servers: dns.resolvers, authoritative: dns.authoritative, timeoutMs: timeouts.dnsMs })
+      : undefined,
+    checks: {
+      tls: { ...checks.tls, timeoutMs: timeouts.tlsMs },
+      http: { ...checks.http, timeoutMs: timeouts.httpMs },
+      nameservers: { ...checks.nameservers, servers: dns.resolvers, timeoutMs: timeouts.dnsMs },
+    },
+  };
+}
+
+module.exports = { loadConfig, parseArgs, scanOptions, configuredAccounts, ConfigError, DEFAULTS };
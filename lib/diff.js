@@ -0,0 +1,98 @@
+/**
+ * WP Engine Domain Monitor — Scan diff
+ *
+ * Compares two scan results ({ sites, stats }) and returns a structured
+ * list of what changed: installs added/removed, domains added/removed,
+ * status transitions, DNS answer changes and SSL status changes.
+ * Domains are keyed by install id + domain name, so the same domain
+ * moving between installs shows up as removed from one and added to the other.
+ * Installs whose domain list couldn't be fetched in either scan (fetchError)
+ * are left out of the domain comparison, so an API hiccup doesn't look like
+ * every domain on the install being removed and re-added.
+ */
+
+function domainKey(site, d) {
+  return `${site.id}|${d.name}`;
+}
+
+function indexDomains(data) {
+  const map = new Map();
+  for (const site of data.sites) {
+    for (const d of site.domains) {
+      if (!d.isSystem) map.set(domainKey(site, d), { site, domain: d });
+    }
+  }
+  return map;
+}
+
+function sortedAnswers(dnsResult) {
+  if (!dnsResult) return { ips: [], ips6: [], cnames: [] };
+  return { ips: [...dnsResult.ips].sort(), ips6: [...(dnsResult.ips6 || [])].sort(), cnames: [...dnsResult.cnames].sort() };
+}
+
+function ref(site, d) {
+  return { siteId: site.id, site: site.name, environment: site.environment, domain: d.name };
+}
+
+function diffScans(prev, next) {
+  const changes = {
+    from: prev.stats.timestamp,
+    to: next.stats.timestamp,
+    installsAdded: [],
+    installsRemoved: [],
+    domainsAdded: [],
+    domainsRemoved: [],
+    statusChanges: [],
+    dnsChanges: [],
+    sslChanges: [],
+  };
+
+  const prevSites = new Map(prev.sites.map((s) => [s.id, s]));
+  const nextSites = new Map(next.sites.map((s) => [s.id, s]));
+  for (const [id, s] of nextSites) {
+    if (!prevSites.has(id)) changes.installsAdded.push({ siteId: id, site: s.name, environment: s.environment });
+  }
+  for (const [id, s] of prevSites) {
+    if (!nextSites.has(id)) changes.installsRemoved.push({ siteId: id, site: s.name, environment: s.environment });
+  }
+
+  const unavailable = new Set([...prev.sites, ...next.sites].filter((s) => s.fetchError).map((s) => s.id));
+  const before = indexDomains(prev);
+  const after = indexDomains(next);
+
+  for (const [key, { site, domain }] of after) {
+    if (unavailable.has(site.id)) continue;
+    const old = before.get(key);
+    if (!old) {
+      changes.domainsAdded.push({ ...ref(site, domain), status: domain.status, detail: domain.detail });
+      continue;
+    }
+    const o = old.domain;
+    if (o.status !== domain.status) {
+      changes.statusChanges.push({
+        ...ref(site, domain),
+        from: o.status, to: domain.status,
+        fromDetail: o.detail, toDetail: domain.detail,
+      });
+    }
+    const a = sortedAnswers(o.dns);
+    const b = sortedAnswers(domain.dns);
+    // Only compare when both scans actually looked the domain up
+    if (o.dns && domain.dns && JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.dnsChanges.push({ ...ref(site, domain), before: a, after: b });
+    }
+    if ((o.sslStatus || null) !== (domain.sslStatus || null)) {
+      changes.sslChanges.push({ ...ref(site, domain), from: o.sslStatus || null, to: domain.sslStatus || null });
+    }
+  }
+  for (const [key, { site, domain }] of before) {
+    if (!unavailable.has(site.id) && !after.has(key)) changes.domainsRemoved.push({ ...ref(site, domain), status: domain.status, detail: domain.detail });
+  }
+
+  changes.total = changes.installsAdded.length + changes.installsRemoved.length +
+    changes.domainsAdded.length + changes.domainsRemoved.length +
+    changes.statusChanges.length + changes.dnsChanges.length + changes.sslChanges.length;
+  return changes;
+}
+
+module.exports = { diffScans };
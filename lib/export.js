@@ -0,0 +1,116 @@
+/**
+ * WP Engine Domain Monitor — Exports
+ *
+ * Flattens a scan result ({ sites, stats }, with confirmed overrides
+ * applied) into one row per custom domain, and renders those rows as CSV or
+ * JSON. The same filters as the dashboard apply:
+ *
+ *   filter   "all" | "issues" | "confirmed" | "good" — matched per domain
+ *   q        search text, matched against site name, primary domain and domain
+ *   account  account name (multi-account setups)
+ *   provider DNS provider name (lib/nameservers.js)
+ *
+ * CSV output starts with a UTF-8 byte-order mark and uses CRLF line endings
+ * so Excel opens it with the right encoding and columns. Cells that a
+ * spreadsheet would run as a formula are prefixed with "'".
+ */
+
+const FILTERS = ["all", "issues", "confirmed", "good"];
+
+const COLUMNS = [
+  ["account", "Account"],
+  ["site", "Site"],
+  ["environment", "Environment"],
+  ["domain", "Domain"],
+  ["primary", "Primary"],
+  ["network", "Network"],
+  ["status", "Status"],
+  ["detail", "Detail"],
+  ["resolvedCnames", "Resolved CNAMEs"],
+  ["resolvedIPs", "Resolved IPs"],
+  ["expectedCname", "Expected CNAME"],
+  ["expectedARecords", "Expected A Records"],
+  ["dnsProvider", "DNS Provider"],
+  ["nameservers", "Nameservers"],
+  ["sslStatus", "SSL Status"],
+  ["confirmReason", "Confirm Reason"],
+  ["confirmedBy", "Confirmed By"],
+  ["confirmExpiresAt", "Confirm Expires"],
+  ["scannedAt", "Scanned At"],
+];
+
+function matchesStatus(d, filter) {
+  if (filter === "issues") return d.status === "issue";
+  if (filter === "confirmed") return d.status === "confirmed";
+  if (filter === "good") return d.status === "good";
+  return true;
+}
+
+/**
+ * @param {{ sites: object[], stats: object }} data
+ * @param {{ filter?: string, q?: string, account?: string, provider?: string }} [opts]
+ * @returns {object[]} one row per matching custom domain
+ */
+function exportRows(data, { filter = "all", q = "", account = "", provider = "" } = {}) {
+  const query = q.toLowerCase();
+  const rows = [];
+  for (const site of data.sites) {
+    if (account && site.account !== account) continue;
+    const siteMatches = !query || site.name.toLowerCase().includes(query) ||
+      (site.primary_domain || "").toLowerCase().includes(query);
+    for (const d of site.domains) {
+      if (d.isSystem || !matchesStatus(d, filter)) continue;
+      if (!siteMatches && !d.name.toLowerCase().includes(query)) continue;
+      const ns = d.dnsProvider || {};
+      if (provider && ns.provider !== provider) continue;
+      const dnsResult = d.dns || { cnames: [], ips: [], ips6: [] };
+      const confirmation = d.confirmation || {};
+      rows.push({
+        account: site.account || "",
+        site: site.name,
+        siteId: site.id,
+        environment: site.environment || "",
+        domain: d.name,
+        primary: !!d.primary,
+        network: d.network_type || "",
+        status: d.status,
+        // Confirmed domains keep the detail that made them an issue
+        detail: d.status === "confirmed" ? d.originalDetail || d.detail : d.detail,
+        resolvedCnames: dnsResult.cnames,
+        resolvedIPs: [...dnsResult.ips, ...(dnsResult.ips6 || [])],
+        expectedCname: d.expectedCname || "",
+        expectedARecords: d.expectedARecords || [],
+        dnsProvider: ns.provider || "",
+        nameservers: ns.nameservers || [],
+        sslStatus: d.sslStatus || "",
+        confirmReason: confirmation.reason || "",
+        confirmedBy: confirmation.confirmedBy || "",
+        confirmExpiresAt: confirmation.expiresAt || "",
+        scannedAt: data.stats ? data.stats.timestamp : "",
+      });
+    }
+  }
+  return rows;
+}
+
+// Spreadsheets run cells starting with these as formulas; a leading "'"
+// makes them plain text. Reasons and names come from operators and the API.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join("; ") : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(rows) {
+  const lines = [COLUMNS.map(([, title]) => title).join(",")];
+  for (const row of rows) lines.push(COLUMNS.map(([key]) => csvCell(row[key])).join(","));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+function toJSON(rows) {
+  return JSON.stringify(rows, null, 2) + "\n";
+}
+
+module.exports = { FILTERS, COLUMNS, exportRows, toCSV, toJSON };
@@ -0,0 +1,185 @@
+/**
+ * WP Engine Domain Monitor — Scan history
+ *
+ * Append-only JSON lines store: every completed scan is written as one line
+ * holding the stats and a compact per-domain record (status, detail,
+ * resolved IPs/CNAMEs, SSL status). Queries stream the file back and
+ * collapse consecutive identical states into timeline entries, so a domain
+ * that stayed "good" for 200 scans is one entry, not 200.
+ *
+ * Single-site rescans and domain rechecks are written as partial records
+ * ("partial": true) holding only the domains they checked. With maxAgeDays
+ * set, records older than that are dropped by rewriting the file, at most
+ * once a day.
+ *
+ * Usage:
+ *   const history = createHistoryStore(path.join(__dirname, "history.jsonl"), { maxAgeDays: 90 });
+ *   await history.append(cachedData);
+ *   await history.appendPartial(sites, cachedData.stats.updatedAt, "example.com");
+ *   await history.domainTimeline("example.com");
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+
+// Fields that make up a domain's "state" — a change in any starts a new timeline entry
+const STATE_FIELDS = ["status", "detail", "ips", "ips6", "cnames", "sslStatus"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Compact per-domain records for the custom domains of `sites` (only `name`, when given)
+function domainRecords(sites, name) {
+  return sites.flatMap((site) =>
+    site.domains
+      .filter((d) => !d.isSystem && (!name || d.name === name))
+      .map((d) => ({
+        siteId: site.id,
+        site: site.name,
+        environment: site.environment,
+        name: d.name,
+        status: d.status,
+        detail: d.detail,
+        ips: d.dns ? d.dns.ips : [],
+        ips6: d.dns ? d.dns.ips6 || [] : [],
+        cnames: d.dns ? d.dns.cnames : [],
+        sslStatus: d.sslStatus,
+      }))
+  );
+}
+
+function toRecord(data) {
+  return { timestamp: data.stats.timestamp, stats: data.stats, domains: domainRecords(data.sites) };
+}
+
+function sameState(a, b) {
+  return STATE_FIELDS.every((f) => JSON.stringify(a[f]) === JSON.stringify(b[f]));
+}
+
+// Collapse [{ timestamp, ...state }] (oldest first) into [{ from, to, scans, ...state }]
+function collapse(points) {
+  const timeline = [];
+  for (const p of points) {
+    const last = timeline[timeline.length - 1];
+    if (last && sameState(last, p)) {
+      last.to = p.timestamp;
+      last.scans++;
+    } else {
+      const { timestamp, ...state } = p;
+      timeline.push({ from: timestamp, to: timestamp, scans: 1, ...state });
+    }
+  }
+  return timeline;
+}
+
+function createHistoryStore(file, { maxAgeDays = 0 } = {}) {
+  let prunedAt = 0;
+  // Appends and pruning rewrites run one at a time so a prune never drops a fresh line
+  let writing = Promise.resolve();
+  function serial(fn) {
+    const done = writing.then(fn);
+    writing = done.catch(() => {});
+    return done;
+  }
+
+  async function* records() {
+    if (!fs.existsSync(file)) return;
+    const rl = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        // A partially written last line (crash mid-append) is skipped, not fatal
+      }
+    }
+  }
+
+  function write(record) {
+    return serial(async () => {
+      await fs.promises.appendFile(file, JSON.stringify(record) + "\n", "utf8");
+      if (maxAgeDays > 0 && Date.now() - prunedAt >= DAY_MS) await prune();
+    });
+  }
+
+  async function prune() {
+    if (!(maxAgeDays > 0)) return 0;
+    prunedAt = Date.now();
+    const cutoff = prunedAt - maxAgeDays * DAY_MS;
+    const kept = [];
+    let dropped = 0;
+    for await (const rec of records()) {
+      if (Date.parse(rec.timestamp) < cutoff) dropped++;
+      else kept.push(JSON.stringify(rec) + "\n");
+    }
+    if (dropped === 0) return 0;
+    // Write aside and rename, so a crash mid-prune leaves the old file intact
+    const tmp = file + ".tmp";
+    await fs.promises.writeFile(tmp, kept.join(""), "utf8");
+    await fs.promises.rename(tmp, file);
+    return dropped;
+  }
+
+  return {
+    file,
+
+    async append(data) {
+      if (!data || !data.sites) return;
+      await write(toRecord(data));
+    },
+
+    /** Record a single-site rescan or domain recheck: only the domains it checked. */
+    async appendPartial(sites, timestamp, name) {
+      const domains = domainRecords(sites, name);
+      if (domains.length === 0) return;
+      await write({ timestamp, partial: true, domains });
+    },
+
+    /** Drop records older than maxAgeDays (no-op when it is 0). @returns {Promise<number>} records dropped */
+    prune() {
+      return serial(prune);
+    },
+
+    /** Timeline for one domain name across all installs, oldest first. */
+    async domainTimeline(name) {
+      const points = [];
+      for await (const rec of records()) {
+        for (const d of rec.domains) {
+          if (d.name === name) points.push({ timestamp: rec.timestamp, ...d });
+        }
+      }
+      // A domain can move between installs — keep one timeline per install
+      const byInstall = new Map();
+      for (const p of points) {
+        if (!byInstall.has(p.siteId)) byInstall.set(p.siteId, []);
+        byInstall.get(p.siteId).push(p);
+      }
+      return [...byInstall.values()].flatMap(collapse).sort((a, b) => a.from.localeCompare(b.from));
+    },
+
+    /** Per-domain timelines for every custom domain seen on one install. */
+    async siteTimeline(siteId) {
+      const byDomain = new Map();
+      const scans = [];
+      for await (const rec of records()) {
+        const domains = rec.domains.filter((d) => d.siteId === siteId);
+        if (domains.length === 0) continue;
+        scans.push({
+          timestamp: rec.timestamp,
+          partial: Boolean(rec.partial),
+          issues: domains.filter((d) => d.status === "issue").length,
+          pending: domains.filter((d) => d.status === "pending").length,
+          good: domains.filter((d) => d.status === "good").length,
+        });
+        for (const d of domains) {
+          if (!byDomain.has(d.name)) byDomain.set(d.name, []);
+          byDomain.get(d.name).push({ timestamp: rec.timestamp, ...d });
+        }
+      }
+      const domains = {};
+      for (const [name, points] of byDomain) domains[name] = collapse(points);
+      return { scans, domains };
+    },
+  };
+}
+
+module.exports = { createHistoryStore };
@@ -0,0 +1,110 @@
+/**
+ * WP Engine Domain Monitor — HTTP reachability probe
+ *
+ * A domain can be "Active & DNS pointed" and still serve 5xx or redirect
+ * somewhere unexpected. probeDomain() requests https://<domain>/ (falling
+ * back to http:// when TLS fails), follows redirects by hand so every hop
+ * is recorded, and notes whether WP Engine response headers are present.
+ * evaluateProbe() turns that into a verdict and checks that domains with a
+ * redirect_to in the API really redirect there.
+ */
+
+const fetch = require("node-fetch");
+const https = require("https");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_REDIRECTS = 10;
+
+// Certificate problems are reported by lib/tls-check.js — don't let them hide the HTTP result
+const insecureAgent = new https.Agent({ rejectUnauthorized: false });
+
+// Response headers that show the request was served by WP Engine
+function wpeHeadersIn(headers) {
+  const found = [];
+  for (const [name, value] of headers.entries()) {
+    if (name.startsWith("wpe-") || name.startsWith("x-wpe-") || name === "x-cache-group" || name === "x-cacheable") found.push(name);
+    else if (name === "x-powered-by" && /wp engine/i.test(value)) found.push(name);
+  }
+  return found;
+}
+
+async function request(url, timeoutMs) {
+  const started = Date.now();
+  const res = await fetch(url, {
+    method: "GET",
+    redirect: "manual",
+    timeout: timeoutMs,
+    agent: url.startsWith("https:") ? insecureAgent : undefined,
+    headers: { "User-Agent": "wpengine-monitor" },
+  });
+  // Body isn't needed — release the socket
+  res.body.resume();
+  return { res, ms: Date.now() - started };
+}
+
+/**
+ * @returns {Promise<object>} { chain: [{ url, status, location, ms }], finalUrl, finalStatus,
+ *   responseTimeMs, wpeHeaders, checkedAt } or { error, chain, checkedAt }
+ */
+async function probeDomain(domain, { timeoutMs = DEFAULT_TIMEOUT_MS, maxRedirects = DEFAULT_MAX_REDIRECTS } = {}) {
+  const checkedAt = new Date().toISOString();
+  const chain = [];
+  let url = `https://${domain}/`;
+  let total = 0;
+  let fellBack = false;
+  let last;
+
+  while (true) {
+    let r;
+    try {
+      r = await request(url, timeoutMs);
+    } catch (e) {
+      // Domain without working HTTPS: try plain HTTP once before giving up
+      if (chain.length === 0 && !fellBack) {
+        fellBack = true;
+        url = `http://${domain}/`;
+        continue;
+      }
+      return { error: e.code || e.message, chain, checkedAt };
+    }
+    total += r.ms;
+    const location = r.res.headers.get("location");
+    chain.push({ url, status: r.res.status, location: location || null, ms: r.ms });
+    last = r.res;
+    if (r.res.status < 300 || r.res.status >= 400 || !location) break;
+    if (chain.length > maxRedirects) return { error: `More than ${maxRedirects} redirects`, chain, checkedAt };
+    url = new URL(location, url).toString();
+  }
+
+  return {
+    chain,
+    finalUrl: url,
+    finalStatus: last.status,
+    responseTimeMs: total,
+    wpeHeaders: wpeHeadersIn(last.headers),
+    checkedAt,
+  };
+}
+
+/**
+ * Verdict for a probe.
+ * @param {object} probe              result of probeDomain()
+ * @param {string|null} redirectTo    redirect_to domain from the API, if any
+ * @returns {{ status: string, detail: string }}
+ *   status: "ok" | "error" | "unreachable" | "redirect_mismatch"
+ */
+function evaluateProbe(probe, redirectTo) {
+  if (probe.error) return { status: "unreachable", detail: `HTTP failed: ${probe.error}` };
+
+  const finalHost = new URL(probe.finalUrl).hostname;
+  if (redirectTo && finalHost !== redirectTo.toLowerCase()) {
+    return {
+      status: "redirect_mismatch",
+      detail: probe.chain.length > 1 ? `Redirects to ${finalHost}, expected ${redirectTo}` : `Does not redirect to ${redirectTo}`,
+    };
+  }
+  if (probe.finalStatus >= 400) return { status: "error", detail: `HTTP ${probe.finalStatus}` };
+  return { status: "ok", detail: `HTTP ${probe.finalStatus}, ${probe.responseTimeMs}ms` };
+}
+
+module.exports = { probeDomain, evaluateProbe };
@@ -0,0 +1,137 @@
+/**
+ * WP Engine Domain Monitor — Prometheus metrics
+ *
+ * Renders the monitor's numbers in the Prometheus text exposition format
+ * for GET /metrics: stats gauges, one status series per domain, certificate
+ * days remaining, a scan duration histogram and outcome counters fed by
+ * recordScan() after every full scan, and failed API requests counted by
+ * recordApiError() (the api.onError hook in lib/wpe-api.js).
+ *
+ * Usage:
+ *   const metrics = createMetrics();
+ *   metrics.recordScan({ durationMs, data, error });
+ *   metrics.recordApiError(apiError);
+ *   res.type("text/plain; version=0.0.4").send(metrics.render({ data, refreshing }));
+ */
+
+const PREFIX = "wpe_monitor_";
+const DAY_MS = 86400000;
+// Scan duration histogram buckets, in seconds: a few seconds for a small
+// account up to an hour for thousands of domains
+const DURATION_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelString(labels) {
+  const parts = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length > 0 ? `{${parts.join(",")}}` : "";
+}
+
+// Collects samples per metric so each gets a single HELP/TYPE header.
+// `suffix` names a histogram's series: "_bucket", "_sum", "_count".
+function exposition() {
+  const metrics = new Map();
+  return {
+    add(name, type, help, value, labels, suffix = "") {
+      if (!metrics.has(name)) metrics.set(name, { type, help, samples: [] });
+      metrics.get(name).samples.push(`${PREFIX}${name}${suffix}${labelString(labels)} ${value}`);
+    },
+    toString() {
+      const lines = [];
+      for (const [name, m] of metrics) {
+        lines.push(`# HELP ${PREFIX}${name} ${m.help}`, `# TYPE ${PREFIX}${name} ${m.type}`, ...m.samples);
+      }
+      return lines.join("\n") + "\n";
+    },
+  };
+}
+
+function createMetrics() {
+  const counters = {
+    scans: { success: 0, error: 0 },
+    apiErrors: { installs: 0, domains: 0 },
+  };
+  const duration = { buckets: DURATION_BUCKETS.map(() => 0), count: 0, sum: 0 };
+  let lastScan = null;
+
+  /**
+   * Record a finished full scan.
+   * @param {{ durationMs: number, data?: object, error?: Error }} scan  data on success, error on failure
+   */
+  function recordScan({ durationMs, data, error }) {
+    counters.scans[error ? "error" : "success"]++;
+    const seconds = durationMs / 1000;
+    DURATION_BUCKETS.forEach((le, i) => {
+      if (seconds <= le) duration.buckets[i]++;
+    });
+    duration.count++;
+    duration.sum += seconds;
+    lastScan = { durationMs, finishedAt: Date.now(), ok: !error };
+  }
+
+  /**
+   * Count one API request that failed after its retries.
+   * @param {{ urlPath?: string }} err  ApiError from lib/wpe-api.js
+   */
+  function recordApiError(err) {
+    counters.apiErrors[/\/domains/.test(err.urlPath || "") ? "domains" : "installs"]++;
+  }
+
+  /**
+   * @param {{ data?: object, refreshing?: boolean }} state  data with confirmed overrides applied
+   */
+  function render({ data, refreshing = false } = {}) {
+    const out = exposition();
+    const now = Date.now();
+
+    out.add("scan_in_progress", "gauge", "1 while a full scan is running.", refreshing ? 1 : 0);
+    for (const [result, n] of Object.entries(counters.scans)) {
+      out.add("scans_total", "counter", "Full scans finished, by result.", n, { result });
+    }
+    for (const [stage, n] of Object.entries(counters.apiErrors)) {
+      out.add("api_errors_total", "counter", "WP Engine API requests that failed after retries, by stage.", n, { stage });
+    }
+    const histogram = (value, labels, suffix) => out.add("scan_duration_seconds", "histogram", "Duration of full scans.", value, labels, suffix);
+    DURATION_BUCKETS.forEach((le, i) => histogram(duration.buckets[i], { le }, "_bucket"));
+    histogram(duration.count, { le: "+Inf" }, "_bucket");
+    histogram(duration.sum, null, "_sum");
+    histogram(duration.count, null, "_count");
+    if (lastScan) {
+      out.add("last_scan_duration_seconds", "gauge", "Duration of the last full scan.", lastScan.durationMs / 1000);
+      out.add("last_scan_success", "gauge", "1 if the last full scan succeeded.", lastScan.ok ? 1 : 0);
+    }
+
+    if (!data || !data.stats) return out.toString();
+    const s = data.stats;
+    out.add("last_scan_timestamp_seconds", "gauge", "When the scan data was collected.", Date.parse(s.timestamp) / 1000);
+    out.add("sites", "gauge", "Installs scanned.", s.totalSites);
+    out.add("custom_domains", "gauge", "Custom (non-WP Engine) domains.", s.customDomains);
+    // Labelled with the same status values as domain_status
+    const byStatus = { good: s.good, issue: s.issues, pending: s.pending, confirmed: s.confirmed, propagating: s.propagating };
+    for (const [status, n] of Object.entries(byStatus)) {
+      out.add("domains", "gauge", "Custom domains by status.", n || 0, { status });
+    }
+    out.add("tls_warnings", "gauge", "Custom domains whose live certificate isn't valid.", s.tlsWarnings || 0);
+    out.add("http_issues", "gauge", "Custom domains failing the HTTP probe.", s.httpIssues || 0);
+    out.add("sites_unavailable", "gauge", "Installs whose domains couldn't be fetched.", s.unavailableSites || 0);
+
+    for (const site of data.sites) {
+      for (const d of site.domains) {
+        if (d.isSystem) continue;
+        const labels = { domain: d.name, install: site.name, environment: site.environment || "", account: site.account || "" };
+        out.add("domain_status", "gauge", "Current status of each custom domain (1 for the status label that applies).", 1, { ...labels, status: d.status });
+        if (d.tls && d.tls.validTo) {
+          const days = (Date.parse(d.tls.validTo) - now) / DAY_MS;
+          out.add("domain_ssl_days_remaining", "gauge", "Days until the served certificate expires.", days.toFixed(2), labels);
+        }
+      }
+    }
+    return out.toString();
+  }
+
+  return { recordScan, recordApiError, render };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,708 @@
+/**
+ * WP Engine Domain Monitor — Core
+ *
+ * Shared scan pipeline used by server.js, generate-dashboard.js and any
+ * other script that wants the same data: fetches installs + domains from
+ * the WP Engine API, runs DNS lookups on custom domains and classifies
+ * each domain with determineDomainStatus().
+ *
+ * Usage:
+ *   const { runScan } = require("./lib/monitor");
+ *   const { sites, stats } = await runScan({ credentials: { user, pass } });
+ *   // or several WP Engine accounts at once:
+ *   await runScan({ accounts: [{ name: "agency", user, pass }, { name: "client-x", user, pass }] });
+ */
+
+const dns = require("dns").promises;
+const fs = require("fs");
+const net = require("net");
+const { inspectCertificate, evaluateCertificate } = require("./tls-check");
+const { probeDomain, evaluateProbe } = require("./http-probe");
+const { createNameserverLookup } = require("./nameservers");
+const {
+  API_BASE, makeHeaders, apiFetch, fetchPaged, fetchAllInstalls, fetchInstallDomains, fetchDomains, fetchInstall, fetchDomain,
+} = require("./wpe-api");
+
+// Known WP Engine CNAME suffixes
+const WPE_CNAME_SUFFIXES = [".wpengine.com", ".wpenginepowered.com", ".wpesvc.net", ".wpeproxy.com"];
+
+// Known WP Engine IP ranges (from real DNS lookups across the account), plus
+// the IPv6 ranges of the Advanced Network / Global Edge Security edge
+const WPE_IP_RANGES = [
+  "141.193.213.0/24", "35.203.43.0/24", "172.64.80.0/24",
+  "2a06:98c1:3120::/48", "2a06:98c1:3121::/48",
+];
+
+const DEFAULT_CONCURRENCY = { installs: 10, dns: 30 };
+
+// ── WP Engine network matching ───────────────────────────────
+
+/**
+ * Build the matcher used to decide whether DNS answers point at WP Engine.
+ * @param {{ ipRanges?: string[], cnameSuffixes?: string[] }} [opts]  CIDR ranges (IPv4/IPv6) and CNAME suffixes
+ */
+function createWPEMatcher({ ipRanges = WPE_IP_RANGES, cnameSuffixes = WPE_CNAME_SUFFIXES } = {}) {
+  const ranges = new net.BlockList();
+  for (const cidr of ipRanges) {
+    const [addr, bits] = cidr.split("/");
+    ranges.addSubnet(addr, Number(bits), net.isIPv6(addr) ? "ipv6" : "ipv4");
+  }
+  return {
+    cnameSuffixes,
+    isWPECname: (name) => cnameSuffixes.some((s) => name.endsWith(s)),
+    isWPEIPv4: (ip) => net.isIPv4(ip) && ranges.check(ip, "ipv4"),
+    isWPEIPv6: (ip) => net.isIPv6(ip) && ranges.check(ip, "ipv6"),
+  };
+}
+
+const DEFAULT_MATCHER = createWPEMatcher();
+
+// ── DNS helpers ──────────────────────────────────────────────
+
+function isSystemDomain(name) {
+  return name.endsWith(".wpenginepowered.com") || name.endsWith(".wpengine.com");
+}
+
+async function dnsLookup(domain) {
+  const result = { ips: [], ips6: [], cnames: [], resolved: false };
+  try {
+    result.ips = await dns.resolve4(domain);
+    result.resolved = true;
+  } catch {}
+  try {
+    result.ips6 = await dns.resolve6(domain);
+    result.resolved = result.resolved || result.ips6.length > 0;
+  } catch {}
+  try {
+    result.cnames = await dns.resolveCname(domain);
+    result.resolved = result.resolved || result.cnames.length > 0;
+  } catch {}
+  return result;
+}
+
+function cnamePointsToWPE(dnsResult, installCname, allDomainNames, matcher = DEFAULT_MATCHER) {
+  if (dnsResult.cnames.some((c) => matcher.isWPECname(c) || c === installCname)) return true;
+  if (allDomainNames && dnsResult.cnames.some((c) => allDomainNames.has(c))) return true;
+  return false;
+}
+
+function dnsPointsToWPE(dnsResult, installCname, allDomainNames, matcher = DEFAULT_MATCHER) {
+  if (!dnsResult || !dnsResult.resolved) return false;
+  if (dnsResult.cnames.length > 0) {
+    if (cnamePointsToWPE(dnsResult, installCname, allDomainNames, matcher)) return true;
+  }
+  if (dnsResult.ips.length > 0) {
+    if (dnsResult.ips.some(matcher.isWPEIPv4)) return true;
+  }
+  // IPv6-only domain (AAAA records but no A records)
+  if (dnsResult.ips.length === 0 && (dnsResult.ips6 || []).length > 0) {
+    if (dnsResult.ips6.some(matcher.isWPEIPv6)) return true;
+  }
+  return false;
+}
+
+// A domain whose A records point at WPE can still carry a stale AAAA
+// record for an old host; IPv6 clients then land on the wrong server.
+// Domains that CNAME to WPE get their AAAA answers from WPE, so only
+// A-record (apex style) setups are checked.
+function ipv6Verdict(dnsResult, installCname, allDomainNames, matcher) {
+  const ips6 = (dnsResult && dnsResult.ips6) || [];
+  if (ips6.length === 0) return null;
+  if (dnsResult.cnames.length > 0 && cnamePointsToWPE(dnsResult, installCname, allDomainNames, matcher)) return null;
+  const wrong = ips6.filter((ip) => !matcher.isWPEIPv6(ip));
+  if (wrong.length === 0) return null;
+  if (wrong.length === ips6.length) return { status: "issue", detail: "AAAA not pointed to WPE" };
+  return { status: "issue", detail: "Mixed IPv6 answers" };
+}
+
+// Check DNS answers against the A records / CNAME the WPE API says to use
+function dnsMatchesExpected(dnsResult, expectedCname, expectedARecords) {
+  if (dnsResult.ips.length > 0 && expectedARecords.length > 0) {
+    if (dnsResult.ips.some((ip) => expectedARecords.includes(ip))) return true;
+  }
+  if (dnsResult.cnames.length > 0 && expectedCname) {
+    if (dnsResult.cnames.some((c) => c === expectedCname)) return true;
+  }
+  return false;
+}
+
+// ── Batch helper ─────────────────────────────────────────────
+
+/**
+ * fn(item, index) over every item with at most `concurrency` running at once;
+ * results keep the items' order. A pool rather than fixed batches, so one slow
+ * item holds up only its own slot. Stops starting new items after a failure.
+ */
+async function batchAsync(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  async function worker() {
+    while (!failed && next < items.length) {
+      const i = next++;
+      try {
+        results[i] = await fn(items[i], i);
+      } catch (e) {
+        failed = true;
+        throw e;
+      }
+    }
+  }
+  const workers = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+// ── Determine domain status ──────────────────────────────────
+
+function determineDomainStatus(domain, dnsResult, installCname, allDomainNames, matcher = DEFAULT_MATCHER) {
+  if (isSystemDomain(domain.name)) return { status: "system", detail: "System domain" };
+
+  // Primary source of truth: WP Engine API's network_info
+  const networkStatus = domain.network_details?.network_info?.status?.toUpperCase();
+
+  // Expected IPs/CNAME from WPE API
+  const expectedCname = domain.network_details?.dns_config_info?.cname || null;
+  const expectedARecords = domain.network_details?.dns_config_info?.a_records || [];
+
+  const dnsMatches = dnsResult ? dnsPointsToWPE(dnsResult, installCname, allDomainNames, matcher) : false;
+  const matchesExpected = dnsResult ? dnsMatchesExpected(dnsResult, expectedCname, expectedARecords) : false;
+
+  // Several resolvers were asked (see lib/resolver.js) and they disagree on
+  // whether the domain points at WP Engine — a change still propagating, or
+  // a split-horizon / stale cache answer somewhere.
+  if (dnsResult && dnsResult.sources && dnsResult.sources.length > 1 && (networkStatus === "ACTIVE" || !networkStatus)) {
+    const verdicts = dnsResult.sources
+      .filter((src) => !src.error)
+      .map((src) => dnsPointsToWPE(src, installCname, allDomainNames, matcher) || dnsMatchesExpected(src, expectedCname, expectedARecords));
+    if (verdicts.includes(true) && verdicts.includes(false)) {
+      return { status: "propagating", detail: "Resolvers disagree" };
+    }
+  }
+
+  if (networkStatus === "ACTIVE") {
+    // WPE says it's active
+    if (dnsMatches || matchesExpected) {
+      return ipv6Verdict(dnsResult, installCname, allDomainNames, matcher) || { status: "good", detail: "Active & DNS pointed" };
+    }
+    if (dnsResult && dnsResult.resolved) {
+      // DNS resolves but not to WPE — it's pointed elsewhere
+      return { status: "issue", detail: "DNS not pointed to WPE" };
+    }
+    if (dnsResult && !dnsResult.resolved) {
+      return { status: "issue", detail: "DNS not resolving" };
+    }
+    // No DNS check yet — trust the API
+    return { status: "good", detail: "Active (API)" };
+  }
+
+  if (networkStatus === "PENDING") {
+    return { status: "pending", detail: "Pending setup" };
+  }
+
+  if (networkStatus === "DELETED") {
+    return { status: "issue", detail: "Network deleted" };
+  }
+
+  // LEGACY domains or no network_info — rely on DNS
+  if (!networkStatus) {
+    if (dnsMatches) return ipv6Verdict(dnsResult, installCname, allDomainNames, matcher) || { status: "good", detail: "DNS pointed (Legacy)" };
+    if (dnsResult && dnsResult.resolved) return { status: "issue", detail: "DNS not pointed to WPE" };
+    if (dnsResult && !dnsResult.resolved) return { status: "issue", detail: "DNS not resolving" };
+    return { status: "unknown", detail: "No status data" };
+  }
+
+  return { status: "unknown", detail: networkStatus || "Unknown" };
+}
+
+// ── Site data + stats ────────────────────────────────────────
+
+// Per-site counters, recomputed whenever a site's domains change
+function siteCounts(domains) {
+  const custom = domains.filter((d) => !d.isSystem);
+  return {
+    issueCount: custom.filter((d) => d.status === "issue").length,
+    pendingCount: custom.filter((d) => d.status === "pending").length,
+    propagatingCount: custom.filter((d) => d.status === "propagating").length,
+    tlsWarningCount: custom.filter((d) => d.tls && d.tls.status !== "valid").length,
+    httpIssueCount: custom.filter((d) => d.http && d.http.status !== "ok").length,
+  };
+}
+
+/**
+ * @param {object} [checks]  optional per-domain check results keyed by domain id, and the matcher:
+ *   { tls: { [id]: inspectCertificate() result }, tlsOptions: { expiryWarningDays },
+ *     http: { [id]: probeDomain() result }, ns: { [id]: nameserver lookup result },
+ *     matcher: createWPEMatcher() result }
+ */
+function buildSiteData(installDomains, dnsResults, allDomainNames, checks = {}) {
+  const tlsResults = checks.tls || {};
+  const httpResults = checks.http || {};
+  const nsResults = checks.ns || {};
+  return installDomains.map(({ install, domains, error, paging }) => {
+    const enrichedDomains = domains.map((d) => {
+      const dnsResult = dnsResults[d.id] || null;
+      const { status, detail } = determineDomainStatus(d, dnsResult, install.cname, allDomainNames, checks.matcher);
+      const sslStatus = d.network_details?.network_info?.ssl?.status || null;
+      const cert = tlsResults[d.id];
+      const probe = httpResults[d.id];
+      return {
+        name: d.name,
+        id: d.id,
+        primary: d.primary,
+        network_type: d.network_type || "",
+        redirect_to: d.redirect_to?.name || null,
+        isSystem: isSystemDomain(d.name),
+        dns: dnsResult,
+        status,       // "good" | "issue" | "pending" | "propagating" | "system" | "unknown"
+        detail,       // human-readable explanation
+        sslStatus,
+        tls: cert ? { ...cert, ...evaluateCertificate(cert, sslStatus, checks.tlsOptions) } : null,
+        http: probe ? { ...probe, ...evaluateProbe(probe, d.redirect_to?.name || null) } : null,
+        expectedCname: d.network_details?.dns_config_info?.cname || null,
+        expectedARecords: d.network_details?.dns_config_info?.a_records || [],
+        // Who hosts the zone's DNS: { zone, nameservers, provider, known, error? } (lib/nameservers.js)
+        dnsProvider: nsResults[d.id] || null,
+      };
+    });
+
+    return {
+      name: install.name,
+      id: install.id,
+      account: install.account || null,
+      environment: install.environment,
+      primary_domain: install.primary_domain,
+      cname: install.cname,
+      php_version: install.php_version,
+      // Set when the install's domains couldn't be fetched: `domains` is empty
+      // because the data is unavailable, not because there are none
+      fetchError: error || null,
+      // Pages/items fetched from the domains endpoint, and the total the API
+      // reported; items < expected means the list is still incomplete
+      domainFetch: paging ? { pages: paging.pages, items: domains.length, expected: paging.count } : null,
+      domains: enrichedDomains,
+      ...siteCounts(enrichedDomains),
+    };
+  });
+}
+
+// Per-account breakdown, in the order accounts first appear in `sites`
+function accountStats(sites) {
+  const byAccount = new Map();
+  for (const site of sites) {
+    const name = site.account || "default";
+    if (!byAccount.has(name)) byAccount.set(name, []);
+    byAccount.get(name).push(site);
+  }
+  return [...byAccount].map(([name, accountSites]) => {
+    const custom = accountSites.flatMap((s) => s.domains).filter((d) => !d.isSystem);
+    return {
+      name,
+      totalSites: accountSites.length,
+      customDomains: custom.length,
+      good: custom.filter((d) => d.status === "good").length,
+      issues: custom.filter((d) => d.status === "issue").length,
+      confirmed: custom.filter((d) => d.status === "confirmed").length,
+      pending: custom.filter((d) => d.status === "pending").length,
+    };
+  });
+}
+
+function computeStats(sites, timestamp) {
+  const allDomains = sites.flatMap((s) => s.domains);
+  const customDomains = allDomains.filter((d) => !d.isSystem);
+  return {
+    totalSites: sites.length,
+    totalDomains: allDomains.length,
+    customDomains: customDomains.length,
+    good: customDomains.filter((d) => d.status === "good").length,
+    issues: customDomains.filter((d) => d.status === "issue").length,
+    pending: customDomains.filter((d) => d.status === "pending").length,
+    propagating: customDomains.filter((d) => d.status === "propagating").length,
+    tlsWarnings: customDomains.filter((d) => d.tls && d.tls.status !== "valid").length,
+    httpIssues: customDomains.filter((d) => d.http && d.http.status !== "ok").length,
+    unavailableSites: sites.filter((s) => s.fetchError).length,
+    accounts: accountStats(sites),
+    timestamp: timestamp || new Date().toISOString(),
+  };
+}
+
+// ── Confirmed overrides ──────────────────────────────────────
+//
+// confirmed.json maps "<siteId>/<domain>" to
+//   { domain, siteId, site, reason, confirmedBy, confirmedAt, expiresAt }
+// so a confirmation only covers the domain on the install it was made for.
+// Entries from older versions are keyed by bare domain name, hold only
+// { confirmedAt } and still apply to that domain on every install.
+// Past expiresAt a confirmation stops applying and the domain is an issue again.
+
+function confirmKey(siteId, domain) {
+  return `${siteId}/${domain}`;
+}
+
+function loadConfirmed(file) {
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+  } catch {}
+  return {};
+}
+
+function saveConfirmed(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+// The confirmation covering a domain on an install (expired or not), or null
+function findConfirmation(confirmedDomains, siteId, domain) {
+  const scoped = confirmedDomains[confirmKey(siteId, domain)];
+  if (scoped) return { key: confirmKey(siteId, domain), ...scoped };
+  const legacy = confirmedDomains[domain];
+  return legacy ? { key: domain, domain, siteId: null, reason: "", confirmedBy: null, expiresAt: null, ...legacy } : null;
+}
+
+function isExpired(confirmation, now = Date.now()) {
+  return !!confirmation.expiresAt && Date.parse(confirmation.expiresAt) <= now;
+}
+
+// The confirmation that currently turns this domain's issue into "confirmed", or null
+function activeConfirmation(confirmedDomains, siteId, domain, now = Date.now()) {
+  const c = findConfirmation(confirmedDomains, siteId, domain);
+  return c && !isExpired(c, now) ? c : null;
+}
+
+function applyConfirmedOverrides(data, confirmedDomains, now = Date.now()) {
+  if (!data || !data.sites) return data;
+  const sites = data.sites.map((site) => {
+    const domains = site.domains.map((d) => {
+      if (d.status !== "issue") return d;
+      const c = findConfirmation(confirmedDomains, site.id, d.name);
+      if (!c) return d;
+      const confirmation = {
+        key: c.key, siteId: c.siteId, reason: c.reason, confirmedBy: c.confirmedBy, confirmedAt: c.confirmedAt, expiresAt: c.expiresAt,
+      };
+      if (isExpired(c, now)) return { ...d, confirmationExpired: confirmation };
+      return { ...d, status: "confirmed", originalStatus: "issue", originalDetail: d.detail, detail: "Confirmed OK", confirmedAt: c.confirmedAt, confirmation };
+    });
+    const custom = domains.filter((d) => !d.isSystem);
+    return {
+      ...site, domains,
+      issueCount: custom.filter((d) => d.status === "issue").length,
+      confirmedCount: custom.filter((d) => d.status === "confirmed").length,
+    };
+  });
+  const customDomains = sites.flatMap((s) => s.domains).filter((d) => !d.isSystem);
+  return {
+    ...data,
+    sites,
+    stats: {
+      ...data.stats,
+      good: customDomains.filter((d) => d.status === "good").length,
+      issues: customDomains.filter((d) => d.status === "issue").length,
+      confirmed: customDomains.filter((d) => d.status === "confirmed").length,
+      pending: customDomains.filter((d) => d.status === "pending").length,
+      accounts: accountStats(sites),
+    },
+  };
+}
+
+// ── Scan ─────────────────────────────────────────────────────
+
+// `accounts`, or the single `credentials` pair as an account named "default"
+function scanAccounts({ credentials, accounts }) {
+  if (!accounts || accounts.length === 0) {
+    accounts = credentials ? [{ name: "default", ...credentials }] : [];
+  }
+  if (accounts.length === 0 || accounts.some((a) => !a.user || !a.pass)) {
+    throw new Error("runScan: credentials.user and credentials.pass (or accounts[].user/pass) are required");
+  }
+  return accounts;
+}
+
+/**
+ * DNS and NS, then TLS and HTTP (if enabled), for each of a list of custom
+ * domains. Each pair runs side by side, so a domain takes as long as its
+ * slowest check rather than their sum; onDomain(d, results) fires as soon as
+ * that domain is fully checked.
+ * @returns {Promise<{ dns: object, tls: object, http: object }>} results keyed by domain id
+ */
+async function checkDomains(domains, { resolver, checks, limit, onProgress, onDomain = () => {} }) {
+  const results = { dns: {}, tls: {}, http: {}, ns: {} };
+  const inspect = checks.tls && checks.tls.enabled ? checks.tls.inspect || inspectCertificate : null;
+  const probe = checks.http && checks.http.enabled ? checks.http.probe || probeDomain : null;
+  // One lookup per call, so each zone's nameservers are asked for once per scan
+  const nameservers = checks.nameservers && checks.nameservers.enabled ? createNameserverLookup(checks.nameservers) : null;
+  const kinds = ["DNS", nameservers && "NS", inspect && "TLS", probe && "HTTP"].filter(Boolean).join("/");
+  const total = domains.length;
+
+  onProgress(`${kinds} checks on ${total} domains...`, { phase: "checks", done: 0, total });
+  let done = 0;
+  await batchAsync(domains, limit, async (d) => {
+    // Nameservers whether or not the name resolves: a missing record is still the DNS host's to fix
+    const [dnsResult, nsResult] = await Promise.all([resolver(d.name), nameservers && nameservers(d.name)]);
+    results.dns[d.id] = dnsResult;
+    if (nameservers) results.ns[d.id] = nsResult;
+    // Live TLS inspection and HTTP probe only for domains that resolve
+    if (dnsResult && dnsResult.resolved) {
+      const [cert, reach] = await Promise.all([
+        inspect && inspect(d.name, { timeoutMs: checks.tls.timeoutMs }),
+        probe && probe(d.name, { timeoutMs: checks.http.timeoutMs, maxRedirects: checks.http.maxRedirects }),
+      ]);
+      if (inspect) results.tls[d.id] = cert;
+      if (probe) results.http[d.id] = reach;
+    }
+    done++;
+    if (done % 50 === 0) onProgress(`Checks: ${done}/${total}`, { phase: "checks", done, total, domain: d.name });
+    onDomain(d, results);
+  });
+  return results;
+}
+
+/**
+ * Run a full scan of every install on one or more WP Engine accounts.
+ *
+ * @param {object}   opts
+ * @param {{user: string, pass: string}} [opts.credentials]  WP Engine API credentials (single account)
+ * @param {{name: string, user: string, pass: string}[]} [opts.accounts]  several named accounts;
+ *   takes precedence over `credentials`. Every site is tagged with its account name.
+ * @param {function} [opts.resolver]     (domain) => Promise<{ ips, cnames, resolved }>, defaults to dnsLookup
+ * @param {{installs?: number, dns?: number}} [opts.concurrency]  parallel API / DNS requests
+ * @param {{ipRanges?: string[], cnameSuffixes?: string[]}} [opts.wpe]  what counts as "pointed to WP Engine"
+ * @param {object}   [opts.api]          API client timeout/retry settings (see DEFAULT_API_OPTIONS in lib/wpe-api.js)
+ * @param {object}   [opts.checks]       extra per-domain checks, off unless enabled:
+ *   tls: { enabled, expiryWarningDays, timeoutMs, inspect } — live certificate inspection (lib/tls-check.js)
+ *   http: { enabled, timeoutMs, maxRedirects, probe } — reachability + redirect probe (lib/http-probe.js)
+ *   nameservers: { enabled, servers, timeoutMs, resolveNs } — NS lookup + DNS provider (lib/nameservers.js)
+ * @param {function} [opts.onProgress]   (message, { phase, done, total, ... }) — a human-readable progress
+ *   message plus structured detail; phase is "installs" | "domains" | "checks"
+ * @param {function} [opts.onSite]       (site, { done, total }) — called with each site as soon as all its
+ *   domains are checked, before the scan as a whole finishes
+ * @returns {Promise<{ sites: object[], stats: object, summary: object }>}
+ *   summary: pages/items fetched from the API, overall and per install
+ */
+async function runScan({
+  credentials, accounts, resolver = dnsLookup, concurrency = {}, wpe, api, checks = {},
+  onProgress = () => {}, onSite = null,
+}) {
+  accounts = scanAccounts({ credentials, accounts });
+  const limits = { ...DEFAULT_CONCURRENCY, ...concurrency };
+
+  // Installs from every account, each remembering which credentials fetch its domains
+  const installs = [];
+  let installPages = 0;
+  for (const [i, account] of accounts.entries()) {
+    const headers = makeHeaders(account.user, account.pass);
+    onProgress(accounts.length > 1 ? `Fetching installs for ${account.name}...` : "Fetching installs...",
+      { phase: "installs", done: i, total: accounts.length, account: account.name });
+    let found;
+    try {
+      found = await fetchPaged("/installs", headers, api);
+    } catch (err) {
+      // Name the account, but keep the error itself (an ApiError with its status) for callers
+      if (accounts.length > 1) err.message = `${account.name}: ${err.message}`;
+      throw err;
+    }
+    installPages += found.pages;
+    for (const inst of found.results) installs.push({ install: { ...inst, account: account.name }, headers });
+  }
+
+  onProgress(`Fetching domains for ${installs.length} installs...`, { phase: "domains", done: 0, total: installs.length });
+  let fetchedCount = 0;
+  const installDomains = await batchAsync(installs, limits.installs, async ({ install, headers }) => {
+    let entry;
+    try {
+      const { results, pages, count } = await fetchInstallDomains(install.id, headers, api);
+      entry = { install, domains: results, paging: { pages, count } };
+    } catch (err) {
+      entry = { install, domains: [], error: err.message };
+    }
+    fetchedCount++;
+    if (fetchedCount % 25 === 0) {
+      onProgress(`Domains: ${fetchedCount}/${installs.length}`, { phase: "domains", done: fetchedCount, total: installs.length, install: install.name });
+    }
+    return entry;
+  });
+  const failed = installDomains.filter((x) => x.error).length;
+  if (failed > 0) onProgress(`Domain data unavailable for ${failed} install${failed !== 1 ? "s" : ""}`);
+  const fetched = installDomains.filter((x) => x.paging);
+  const domainPages = fetched.reduce((n, x) => n + x.paging.pages, 0);
+  const domainItems = fetched.reduce((n, x) => n + x.domains.length, 0);
+  onProgress(`Fetched ${domainItems} domains in ${domainPages} pages`);
+
+  // Build set of all domain names (for cross-domain CNAME detection)
+  const allDomainNames = new Set();
+  for (const { domains } of installDomains) {
+    for (const d of domains) allDomainNames.add(d.name);
+  }
+
+  // Flatten custom domains for DNS lookup
+  const allCustomDomains = [];
+  for (const { domains } of installDomains) {
+    for (const d of domains) {
+      if (!isSystemDomain(d.name)) allCustomDomains.push(d);
+    }
+  }
+
+  const matcher = wpe ? createWPEMatcher(wpe) : DEFAULT_MATCHER;
+  const build = (entries, results) => buildSiteData(entries, results.dns, allDomainNames, {
+    tls: results.tls, tlsOptions: checks.tls, http: results.http, ns: results.ns, matcher,
+  });
+
+  // Stream each site out as soon as its last custom domain has been checked
+  let onDomain;
+  if (onSite) {
+    const remaining = new Map();
+    const owner = new Map();
+    let sitesDone = 0;
+    const emit = (entry, results) => onSite(build([entry], results)[0], { done: ++sitesDone, total: installDomains.length });
+    for (const entry of installDomains) {
+      const custom = entry.domains.filter((d) => !isSystemDomain(d.name));
+      remaining.set(entry, custom.length);
+      for (const d of custom) owner.set(d.id, entry);
+    }
+    for (const [entry, n] of remaining) if (n === 0) emit(entry, { dns: {}, tls: {}, http: {}, ns: {} });
+    onDomain = (d, results) => {
+      const entry = owner.get(d.id);
+      remaining.set(entry, remaining.get(entry) - 1);
+      if (remaining.get(entry) === 0) emit(entry, results);
+    };
+  }
+
+  const results = await checkDomains(allCustomDomains, { resolver, checks, limit: limits.dns, onProgress, onDomain });
+  const sites = build(installDomains, results);
+  const summary = {
+    installs: { pages: installPages, items: installs.length },
+    domains: { pages: domainPages, items: domainItems },
+    perInstall: sites.filter((s) => s.domainFetch).map((s) => ({ siteId: s.id, site: s.name, ...s.domainFetch })),
+    incomplete: sites.filter((s) => s.domainFetch && s.domainFetch.expected !== null && s.domainFetch.items < s.domainFetch.expected).map((s) => s.id),
+  };
+  return { sites, stats: computeStats(sites), summary };
+}
+
+// ── Partial rescans ──────────────────────────────────────────
+//
+// Re-run the API fetch and checks for one install or one domain, taking the
+// same options as runScan(). They return fresh site objects; replaceSites()
+// merges those into a scan result so callers can merge into whatever data is
+// current once the (slow) checks finish.
+
+function siteHeaders(opts, site) {
+  const accounts = scanAccounts(opts);
+  const account = accounts.find((a) => a.name === site.account) || accounts[0];
+  return makeHeaders(account.user, account.pass);
+}
+
+// Domain names in every other install, for cross-domain CNAME detection
+function otherDomainNames(data, siteId) {
+  return data.sites.filter((s) => s.id !== siteId).flatMap((s) => s.domains.map((d) => d.name));
+}
+
+/**
+ * Rescan a single install: refetch it and its domains, then rerun DNS/TLS/HTTP.
+ * @param {{ sites: object[] }} data  current scan result (for the site's account and other installs' domains)
+ * @returns {Promise<object>} the rebuilt site
+ */
+async function rescanSite(data, siteId, opts = {}) {
+  const { resolver = dnsLookup, concurrency = {}, wpe, api, checks = {}, onProgress = () => {} } = opts;
+  const old = data.sites.find((s) => s.id === siteId);
+  if (!old) throw new Error(`Unknown site ${siteId}`);
+  const headers = siteHeaders(opts, old);
+
+  onProgress(`Fetching ${old.name}...`);
+  const install = { ...(await fetchInstall(siteId, headers, api)), account: old.account };
+  let entry;
+  try {
+    const { results, pages, count } = await fetchInstallDomains(siteId, headers, api);
+    entry = { install, domains: results, paging: { pages, count } };
+  } catch (err) {
+    entry = { install, domains: [], error: err.message };
+  }
+
+  const allDomainNames = new Set([...otherDomainNames(data, siteId), ...entry.domains.map((d) => d.name)]);
+  const custom = entry.domains.filter((d) => !isSystemDomain(d.name));
+  const limit = { ...DEFAULT_CONCURRENCY, ...concurrency }.dns;
+  const results = await checkDomains(custom, { resolver, checks, limit, onProgress });
+  const [site] = buildSiteData([entry], results.dns, allDomainNames, {
+    tls: results.tls, tlsOptions: checks.tls, http: results.http, ns: results.ns,
+    matcher: wpe ? createWPEMatcher(wpe) : DEFAULT_MATCHER,
+  });
+  return site;
+}
+
+/**
+ * Recheck one domain wherever it appears: refetch its API record, rerun
+ * DNS/TLS/HTTP and rebuild the sites that contain it.
+ * @returns {Promise<object[]>} the rebuilt sites
+ */
+async function recheckDomain(data, name, opts = {}) {
+  const { resolver = dnsLookup, wpe, api, checks = {}, onProgress = () => {} } = opts;
+  const owners = data.sites.filter((s) => s.domains.some((d) => d.name === name && !d.isSystem));
+  if (owners.length === 0) throw new Error(`Unknown domain ${name}`);
+  const matcher = wpe ? createWPEMatcher(wpe) : DEFAULT_MATCHER;
+
+  return Promise.all(owners.map(async (site) => {
+    const existing = site.domains.find((d) => d.name === name);
+    const raw = await fetchDomain(site.id, existing.id, siteHeaders(opts, site), api);
+    const results = await checkDomains([raw], { resolver, checks, limit: 1, onProgress });
+    const allDomainNames = new Set([...otherDomainNames(data, site.id), ...site.domains.map((d) => d.name)]);
+    const install = {
+      id: site.id, name: site.name, account: site.account, environment: site.environment,
+      primary_domain: site.primary_domain, cname: site.cname, php_version: site.php_version,
+    };
+    const [rebuilt] = buildSiteData([{ install, domains: [raw] }], results.dns, allDomainNames, {
+      tls: results.tls, tlsOptions: checks.tls, http: results.http, ns: results.ns, matcher,
+    });
+    const domains = site.domains.map((d) => (d.name === name ? rebuilt.domains[0] : d));
+    return { ...site, domains, ...siteCounts(domains) };
+  }));
+}
+
+/**
+ * Merge rebuilt sites into a scan result. `stats.timestamp` stays the time of
+ * the last full scan; `stats.updatedAt` records the partial update.
+ */
+function replaceSites(data, updated) {
+  const byId = new Map(updated.map((s) => [s.id, s]));
+  const sites = data.sites.map((s) => byId.get(s.id) || s);
+  const summary = data.summary && {
+    ...data.summary,
+    perInstall: data.summary.perInstall.map((f) => {
+      const s = byId.get(f.siteId);
+      return s && s.domainFetch ? { ...f, ...s.domainFetch } : f;
+    }),
+  };
+  return {
+    ...data,
+    sites,
+    stats: { ...computeStats(sites, data.stats.timestamp), updatedAt: new Date().toISOString() },
+    ...(summary ? { summary } : {}),
+  };
+}
+
+module.exports = {
+  API_BASE,
+  WPE_CNAME_SUFFIXES,
+  WPE_IP_RANGES,
+  createWPEMatcher,
+  makeHeaders,
+  apiFetch,
+  fetchAllInstalls,
+  fetchDomains,
+  isSystemDomain,
+  dnsLookup,
+  dnsPointsToWPE,
+  batchAsync,
+  determineDomainStatus,
+  buildSiteData,
+  computeStats,
+  confirmKey,
+  loadConfirmed,
+  saveConfirmed,
+  findConfirmation,
+  activeConfirmation,
+  applyConfirmedOverrides,
+  runScan,
+  rescanSite,
+  recheckDomain,
+  replaceSites,
+};
@@ -0,0 +1,126 @@
+/**
+ * WP Engine Domain Monitor — Nameservers and DNS providers
+ *
+ * Who hosts a client's DNS decides who has to make the fix. For each custom
+ * domain the scan finds its zone the same way the authoritative resolver
+ * does (createZoneFinder in lib/resolver.js: walk up until a name has NS
+ * records) and names the provider from the nameserver hostnames:
+ * *.ns.cloudflare.com is Cloudflare, *.awsdns-NN.* is Route 53,
+ * *.domaincontrol.com is GoDaddy, and so on. Unrecognised nameservers are
+ * reported by their own registrable domain (ns1.examplehost.net →
+ * "examplehost.net") so they still group together.
+ *
+ * Usage:
+ *   const lookup = createNameserverLookup({ servers: ["1.1.1.1"] });
+ *   await lookup("www.example.com")
+ *   // → { zone: "example.com", nameservers: ["ada.ns.cloudflare.com", ...], provider: "Cloudflare", known: true }
+ *
+ * One lookup function caches per name and per zone, so a scan asks about
+ * each name once.
+ */
+
+const dns = require("dns");
+const { createZoneFinder } = require("./resolver");
+
+const DEFAULT_TIMEOUT_MS = 3000;
+
+// Public suffixes with two labels that clients commonly register under.
+// Anything else is treated as a one-label TLD: the last two labels.
+const TWO_LABEL_SUFFIXES = new Set([
+  "co.uk", "org.uk", "me.uk", "ac.uk", "gov.uk", "ltd.uk", "plc.uk",
+  "com.au", "net.au", "org.au", "co.nz", "org.nz", "net.nz",
+  "co.za", "com.br", "com.mx", "com.sg", "com.my", "co.in", "co.jp", "com.tr", "com.cn", "com.hk",
+]);
+
+/**
+ * Best guess at a name's registrable domain, without any DNS queries. Only for
+ * naming things; the zone a domain actually lives in comes from createZoneFinder.
+ */
+function registrableDomain(name) {
+  const labels = name.toLowerCase().replace(/\.$/, "").split(".");
+  const take = labels.length > 2 && TWO_LABEL_SUFFIXES.has(labels.slice(-2).join(".")) ? 3 : 2;
+  return labels.slice(-take).join(".");
+}
+
+// [provider, nameserver hostname patterns]; first match wins
+const PROVIDERS = [
+  ["Cloudflare", [/\.ns\.cloudflare\.com$/]],
+  ["Amazon Route 53", [/^ns-\d+\.awsdns-\d+\.(com|net|org|co\.uk)$/]],
+  ["GoDaddy", [/\.domaincontrol\.com$/]],
+  ["Google Cloud DNS", [/^ns-cloud-[a-z]\d+\.googledomains\.com$/]],
+  ["Google Domains / Squarespace", [/\.googledomains\.com$/, /\.squarespacedns\.com$/]],
+  ["Azure DNS", [/\.azure-dns\.(com|net|org|info)$/]],
+  ["Namecheap", [/\.registrar-servers\.com$/]],
+  ["Network Solutions", [/\.worldnic\.com$/]],
+  ["DNSimple", [/\.dnsimple\.com$/, /\.dnsimple-edge\.(net|org)$/]],
+  ["DNS Made Easy", [/\.dnsmadeeasy\.com$/]],
+  ["NS1", [/\.nsone\.net$/]],
+  ["Akamai", [/\.akam\.net$/]],
+  ["UltraDNS", [/\.ultradns\.(com|net|org|biz|info)$/]],
+  ["Oracle Dyn", [/\.dynect\.net$/]],
+  ["Constellix", [/\.constellix\.(com|net)$/]],
+  ["DigitalOcean", [/\.digitalocean\.com$/]],
+  ["Linode / Akamai Cloud", [/\.linode\.com$/]],
+  ["Hetzner", [/\.ns\.hetzner\.(com|de)$/, /\.your-server\.de$/]],
+  ["OVHcloud", [/\.ovh\.(net|ca)$/]],
+  ["IONOS", [/\.ui-dns\.(com|de|org|biz)$/]],
+  ["Gandi", [/\.gandi\.net$/]],
+  ["Hover", [/\.hover\.com$/]],
+  ["Name.com", [/\.name\.com$/]],
+  ["Porkbun", [/\.porkbun\.com$/]],
+  ["Bluehost", [/\.bluehost\.com$/]],
+  ["HostGator", [/\.hostgator\.com$/]],
+  ["DreamHost", [/\.dreamhost\.com$/]],
+  ["SiteGround", [/\.siteground\.net$/]],
+  ["WordPress.com", [/\.wordpress\.com$/]],
+  ["Wix", [/\.wixdns\.net$/]],
+  ["Vercel", [/\.vercel-dns\.com$/]],
+];
+
+/**
+ * @param {string[]} nameservers  NS hostnames
+ * @returns {{ provider: string, known: boolean } | null}  null when there are no nameservers
+ */
+function identifyProvider(nameservers) {
+  const hosts = nameservers.map((ns) => ns.toLowerCase().replace(/\.$/, ""));
+  for (const [provider, patterns] of PROVIDERS) {
+    if (hosts.some((h) => patterns.some((p) => p.test(h)))) return { provider, known: true };
+  }
+  return hosts.length > 0 ? { provider: registrableDomain(hosts[0]), known: false } : null;
+}
+
+/**
+ * @param {object}   [opts]
+ * @param {string[]} [opts.servers]    resolver IPs to ask (default: the OS resolver)
+ * @param {number}   [opts.timeoutMs]
+ * @param {function} [opts.resolveNs]  (name) => Promise<string[]>, replaces the DNS query (tests)
+ * @returns {function(string): Promise<{ zone, nameservers, provider, known, error? }>}
+ *   zone is null when no NS records were found or the lookup failed
+ */
+function createNameserverLookup({ servers = [], timeoutMs = DEFAULT_TIMEOUT_MS, resolveNs } = {}) {
+  if (!resolveNs) {
+    const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries: 2 });
+    if (servers.length > 0) resolver.setServers(servers);
+    resolveNs = (name) => resolver.resolveNs(name);
+  }
+  const findZone = createZoneFinder(resolveNs);
+  // zone -> result, so every domain in a zone shares one
+  const results = new Map();
+
+  return async function lookup(domain) {
+    let found;
+    try {
+      found = await findZone(domain);
+    } catch (e) {
+      return { zone: null, nameservers: [], provider: null, known: false, error: e.code || e.message };
+    }
+    if (!found) return { zone: null, nameservers: [], provider: null, known: false };
+    if (!results.has(found.zone)) {
+      const nameservers = found.nameservers.map((ns) => ns.toLowerCase()).sort();
+      results.set(found.zone, { zone: found.zone, nameservers, provider: null, known: false, ...identifyProvider(nameservers) });
+    }
+    return results.get(found.zone);
+  };
+}
+
+module.exports = { registrableDomain, identifyProvider, createNameserverLookup, PROVIDERS };
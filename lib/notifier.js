@@ -0,0 +1,218 @@
+/**
+ * WP Engine Domain Monitor — Notifications
+ *
+ * Turns a scan diff (see lib/diff.js) into alert events and delivers them
+ * to pluggable channels: a generic JSON webhook, a Slack-compatible
+ * incoming webhook, or SMTP email. The same alert (event + install +
+ * domain + new state) is sent at most once per quiet period. Every
+ * delivery gives up after timeoutMs, so a hung endpoint can't hold up the
+ * alerts behind it.
+ *
+ * Config shape (notifications.json):
+ *   {
+ *     "rules": ["new_issue", "ssl_expired"],
+ *     "quietPeriodMinutes": 60,
+ *     "timeoutMs": 10000,
+ *     "channels": [
+ *       { "name": "ops", "type": "webhook", "url": "https://example.com/hook" },
+ *       { "name": "slack", "type": "slack", "url": "https://hooks.slack.com/services/...", "events": ["new_issue"] },
+ *       { "name": "mail", "type": "email", "host": "smtp.example.com", "port": 587,
+ *         "auth": { "user": "...", "pass": "..." }, "from": "monitor@example.com", "to": ["ops@example.com"] }
+ *     ]
+ *   }
+ */
+
+const fetch = require("node-fetch");
+const nodemailer = require("nodemailer");
+
+// Event types a rule can enable
+const EVENT_TYPES = {
+  new_issue: "Domain has a new issue",
+  ssl_expired: "SSL certificate expired",
+  recovered: "Domain recovered",
+  pending: "Domain went to pending",
+};
+
+const DEFAULT_RULES = ["new_issue", "ssl_expired"];
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// ── Events ───────────────────────────────────────────────────
+
+function eventsFromChanges(changes) {
+  if (!changes) return [];
+  const events = [];
+  const at = changes.to;
+  for (const c of changes.statusChanges) {
+    const base = { siteId: c.siteId, site: c.site, environment: c.environment, domain: c.domain, from: c.fromDetail, to: c.toDetail, at };
+    if (c.to === "issue") events.push({ type: "new_issue", ...base });
+    else if (c.from === "issue" && c.to === "good") events.push({ type: "recovered", ...base });
+    else if (c.to === "pending") events.push({ type: "pending", ...base });
+  }
+  for (const d of changes.domainsAdded) {
+    if (d.status === "issue") {
+      events.push({ type: "new_issue", siteId: d.siteId, site: d.site, environment: d.environment, domain: d.domain, from: null, to: d.detail, at });
+    }
+  }
+  for (const c of changes.sslChanges) {
+    if (c.to === "expired") {
+      events.push({ type: "ssl_expired", siteId: c.siteId, site: c.site, environment: c.environment, domain: c.domain, from: c.from, to: c.to, at });
+    }
+  }
+  return events;
+}
+
+function eventKey(e) {
+  return [e.type, e.siteId, e.domain, e.to].join("|");
+}
+
+function describe(e) {
+  const where = e.site ? ` (${e.site}${e.environment ? "/" + e.environment : ""})` : "";
+  const transition = e.from ? `${e.from} → ${e.to}` : e.to;
+  const label = e.type === "test" ? "Test alert" : EVENT_TYPES[e.type] || e.type;
+  return `${label}: ${e.domain}${where} — ${transition}`;
+}
+
+function summarize(events) {
+  const subject = events.length === 1
+    ? `[WPE Monitor] ${describe(events[0])}`
+    : `[WPE Monitor] ${events.length} domain alerts`;
+  return { subject, text: events.map((e) => "• " + describe(e)).join("\n") };
+}
+
+// ── Channels ─────────────────────────────────────────────────
+
+async function postJSON(url, body, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    timeout: timeoutMs,
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+}
+
+function webhookChannel(cfg) {
+  if (!cfg.url) throw new Error(`Notification channel "${cfg.name}": url is required`);
+  return {
+    send: (events) => postJSON(cfg.url, { source: "wpengine-monitor", events, ...summarize(events) }, { headers: cfg.headers, timeoutMs: cfg.timeoutMs }),
+  };
+}
+
+function slackChannel(cfg) {
+  if (!cfg.url) throw new Error(`Notification channel "${cfg.name}": url is required`);
+  return {
+    send(events) {
+      const { subject, text } = summarize(events);
+      return postJSON(cfg.url, { text: `*${subject}*\n${text}` }, { timeoutMs: cfg.timeoutMs });
+    },
+  };
+}
+
+function emailChannel(cfg) {
+  if (!cfg.host || !cfg.from || !cfg.to) throw new Error(`Notification channel "${cfg.name}": host, from and to are required`);
+  const transport = nodemailer.createTransport({
+    host: cfg.host,
+    port: cfg.port || 587,
+    secure: !!cfg.secure,
+    auth: cfg.auth,
+    ignoreTLS: !!cfg.ignoreTLS,
+    connectionTimeout: cfg.timeoutMs,
+    greetingTimeout: cfg.timeoutMs,
+    socketTimeout: cfg.timeoutMs,
+  });
+  return {
+    async send(events) {
+      const { subject, text } = summarize(events);
+      await transport.sendMail({ from: cfg.from, to: cfg.to, subject, text });
+    },
+  };
+}
+
+const CHANNEL_TYPES = { webhook: webhookChannel, slack: slackChannel, email: emailChannel };
+
+// ── Notifier ─────────────────────────────────────────────────
+
+/**
+ * @param {object}   [settings]  the config shape above
+ * @param {number}   [settings.timeoutMs]  per delivery, for every channel; a channel's own timeoutMs wins
+ */
+function createNotifier({ channels = [], rules = DEFAULT_RULES, quietPeriodMinutes = 60, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  for (const r of rules) {
+    if (!EVENT_TYPES[r]) throw new Error(`Unknown notification rule "${r}" (expected one of ${Object.keys(EVENT_TYPES).join(", ")})`);
+  }
+  const active = channels.map((cfg, i) => {
+    const name = cfg.name || `${cfg.type}-${i + 1}`;
+    const factory = CHANNEL_TYPES[cfg.type];
+    if (!factory) throw new Error(`Notification channel "${name}": unknown type "${cfg.type}"`);
+    return { name, type: cfg.type, events: cfg.events || null, channel: factory({ timeoutMs, ...cfg, name }) };
+  });
+
+  const quietMs = quietPeriodMinutes * 60 * 1000;
+  const lastSent = new Map();   // eventKey -> epoch ms
+  const deliveries = [];        // most recent delivery results
+
+  async function deliver(events, targets = active) {
+    const results = [];
+    for (const ch of targets) {
+      const wanted = ch.events ? events.filter((e) => e.type === "test" || ch.events.includes(e.type)) : events;
+      if (wanted.length === 0) continue;
+      try {
+        await ch.channel.send(wanted);
+        results.push({ channel: ch.name, type: ch.type, ok: true, events: wanted.length });
+      } catch (e) {
+        results.push({ channel: ch.name, type: ch.type, ok: false, error: e.message });
+      }
+    }
+    deliveries.unshift(...results.map((r) => ({ ...r, at: new Date().toISOString() })));
+    deliveries.length = Math.min(deliveries.length, 50);
+    return results;
+  }
+
+  return {
+    /** Filter events by rules, de-duplicate within the quiet period and send. */
+    async notify(events) {
+      const now = Date.now();
+      // Keys past their quiet period no longer suppress anything
+      for (const [key, sentAt] of lastSent) if (now - sentAt >= quietMs) lastSent.delete(key);
+      const fresh = [];
+      const seen = new Set();
+      for (const e of events) {
+        if (!rules.includes(e.type)) continue;
+        const key = eventKey(e);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (lastSent.has(key) && now - lastSent.get(key) < quietMs) continue;
+        fresh.push(e);
+      }
+      if (fresh.length === 0 || active.length === 0) return { sent: 0, results: [] };
+      const results = await deliver(fresh);
+      if (results.some((r) => r.ok)) for (const e of fresh) lastSent.set(eventKey(e), now);
+      return { sent: fresh.length, results };
+    },
+
+    /** Send a test alert, bypassing rules and de-duplication. */
+    test(channelName) {
+      const event = {
+        type: "test", siteId: null, site: "wpengine-monitor", environment: null,
+        domain: "test.example.com", from: null, to: "Test notification", at: new Date().toISOString(),
+      };
+      const targets = channelName ? active.filter((c) => c.name === channelName) : active;
+      if (channelName && targets.length === 0) return Promise.reject(new Error(`Unknown channel "${channelName}"`));
+      return deliver([event], targets);
+    },
+
+    status() {
+      return {
+        rules,
+        quietPeriodMinutes,
+        timeoutMs,
+        // Alerts held back by the quiet period, as of the last notify()
+        quieted: lastSent.size,
+        channels: active.map((c) => ({ name: c.name, type: c.type, events: c.events })),
+        recentDeliveries: deliveries,
+      };
+    },
+  };
+}
+
+module.exports = { createNotifier, eventsFromChanges, EVENT_TYPES };
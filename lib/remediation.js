@@ -0,0 +1,141 @@
+/**
+ * WP Engine Domain Monitor — DNS remediation
+ *
+ * Turns a broken domain from a scan into the exact DNS changes that fix it:
+ * the records to set (from the API's dns_config_info, stored on each domain
+ * as expectedCname / expectedARecords, falling back to the install's CNAME)
+ * and the records to delete (from what the DNS lookup found). The result is
+ * also rendered as plain-text instructions and a BIND zone snippet, ready to
+ * send to whoever manages the client's DNS.
+ *
+ *   const plan = remediationFor(domain, site, { matcher });
+ *   plan.add     [{ type, name, value }]          records that should exist; name relative to plan.zone, "@" = apex
+ *   plan.remove  [{ type, name, value, reason }]
+ *   plan.text / plan.bind
+ *
+ * Apex domains can't carry a CNAME, so they get A records; where the API
+ * gives no A records the plan says so instead of guessing an IP. The zone is
+ * the one the scan found (NS lookup or authoritative resolver), so delegated
+ * subzones get the right apex; without one it is guessed from the name.
+ */
+
+const { createWPEMatcher } = require("./monitor");
+const { registrableDomain } = require("./nameservers");
+
+function relativeName(name, zone) {
+  return name === zone ? "@" : name.slice(0, -(zone.length + 1));
+}
+
+function zoneFor(d, domain) {
+  const authoritative = d.dns && (d.dns.sources || []).find((s) => s.source === "authoritative");
+  const found = [d.dnsProvider && d.dnsProvider.zone, authoritative && authoritative.zone]
+    .find((zone) => zone && (domain === zone || domain.endsWith("." + zone)));
+  return found || registrableDomain(domain);
+}
+
+/**
+ * @param {object} d      a domain from runScan() — uses name, status, detail, dns, dnsProvider, expectedCname, expectedARecords
+ * @param {object} site   the site it belongs to — uses name, cname
+ * @param {{ matcher?: object }} [opts]  createWPEMatcher() result, for telling stale records from WP Engine ones
+ */
+function remediationFor(d, site, { matcher = createWPEMatcher() } = {}) {
+  const domain = d.name.toLowerCase();
+  const zone = zoneFor(d, domain);
+  const apex = domain === zone;
+  const name = relativeName(domain, zone);
+  const cnameTarget = d.expectedCname || site.cname || null;
+  const aTargets = d.expectedARecords || [];
+  const found = d.dns;
+
+  const add = [];
+  const remove = [];
+  const notes = [];
+  let alternative = null;
+
+  if (d.detail === "Network deleted") {
+    notes.push("WP Engine reports this domain's network as DELETED. Add the domain to the install again in the User Portal; DNS changes alone won't bring it back.");
+  }
+
+  const useCname = !apex && cnameTarget;
+  if (useCname) {
+    add.push({ type: "CNAME", name, value: cnameTarget });
+  } else {
+    for (const ip of aTargets) add.push({ type: "A", name, value: ip });
+    if (aTargets.length === 0) {
+      notes.push(`WP Engine returned no A records for ${domain}. Look up the IP addresses on the install's Domains page in the User Portal and add them as A records on ${name}.`);
+    }
+    if (apex && cnameTarget) {
+      alternative = { type: "ALIAS", name, value: cnameTarget };
+      notes.push(`A zone apex can't have a CNAME. If the DNS host supports CNAME flattening, ALIAS or ANAME records (Cloudflare, DNSimple, Route 53 alias and others), point ${name} at ${cnameTarget} that way instead of A records; it then follows WP Engine IP changes by itself.`);
+    }
+  }
+
+  if (!found) {
+    notes.push(`The last scan has no DNS lookup for ${domain}; check its existing records by hand and delete any that conflict.`);
+  } else if (found.cnames.length > 0) {
+    // Only the first hop of the chain lives in this zone
+    const current = found.cnames[0];
+    const onWPE = matcher.isWPECname(current) || current === site.cname;
+    if (!useCname) {
+      remove.push({ type: "CNAME", name, value: current, reason: onWPE ? "a zone apex can't have a CNAME; the A records replace it" : "points away from WP Engine" });
+    } else if (current !== cnameTarget) {
+      remove.push({ type: "CNAME", name, value: current, reason: onWPE ? `older WP Engine target; replace it with ${cnameTarget}` : "points away from WP Engine" });
+    }
+  } else {
+    for (const ip of found.ips) {
+      if (useCname) remove.push({ type: "A", name, value: ip, reason: "a CNAME can't share a name with other records" });
+      else if (aTargets.length ? !aTargets.includes(ip) : !matcher.isWPEIPv4(ip)) remove.push({ type: "A", name, value: ip, reason: "points away from WP Engine" });
+    }
+    for (const ip of found.ips6 || []) {
+      if (useCname) remove.push({ type: "AAAA", name, value: ip, reason: "a CNAME can't share a name with other records" });
+      else if (!matcher.isWPEIPv6(ip)) remove.push({ type: "AAAA", name, value: ip, reason: "IPv6 address outside WP Engine; browsers may prefer it" });
+    }
+  }
+
+  notes.push("Resolvers keep the old records until their TTL runs out, so the fix can take a while to show everywhere. Recheck the domain once the change is live.");
+
+  const plan = { domain, site: site.name, zone, apex, add, remove, alternative, notes };
+  return { ...plan, text: toText(plan), bind: toBind(plan) };
+}
+
+// ── Rendering ────────────────────────────────────────────────
+
+function columns(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((r) => r[i].length)));
+  return rows.map((r) => "  " + r.map((cell, i) => (i < r.length - 1 ? cell.padEnd(widths[i]) : cell)).join("  ").trimEnd());
+}
+
+/** Plain-text instructions for a client or their DNS provider */
+function toText(plan) {
+  const lines = [`DNS changes for ${plan.domain} (WP Engine install: ${plan.site})`, `Zone: ${plan.zone} ("@" means ${plan.zone} itself)`, ""];
+  if (plan.remove.length) {
+    lines.push("Delete these records:");
+    lines.push(...columns(plan.remove.map((r) => [r.name, r.type, r.value, `(${r.reason})`])), "");
+  }
+  if (plan.add.length) {
+    lines.push("Make sure these records exist:");
+    lines.push(...columns(plan.add.map((r) => [r.name, r.type, r.value])), "");
+  }
+  if (plan.alternative) {
+    lines.push("Or, instead of the A records, where the DNS host supports CNAME flattening:");
+    lines.push(...columns([[plan.alternative.name, `${plan.alternative.type} (flattened CNAME)`, plan.alternative.value]]), "");
+  }
+  if (plan.notes.length) {
+    lines.push("Notes:", ...plan.notes.map((n) => `  - ${n}`));
+  }
+  return lines.join("\n").trimEnd() + "\n";
+}
+
+const fqdn = (r) => (r.type === "A" || r.type === "AAAA" ? r.value : `${r.value}.`);
+
+/** BIND zone file snippet; deletions are commented out since zone files only describe what exists */
+function toBind(plan) {
+  const line = (r) => [r.name, "IN", r.type, fqdn(r)].join("\t");
+  const lines = [`; ${plan.domain} on WP Engine install ${plan.site}`, `$ORIGIN ${plan.zone}.`];
+  if (plan.remove.length) lines.push("; delete:", ...plan.remove.map((r) => `; ${line(r)}`));
+  if (plan.add.length) lines.push("; set:", ...plan.add.map(line));
+  if (plan.alternative) lines.push("; or, where the DNS host supports ALIAS / CNAME flattening:", `; ${line(plan.alternative)}`);
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { remediationFor, toText, toBind };
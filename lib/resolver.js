@@ -0,0 +1,152 @@
+/**
+ * WP Engine Domain Monitor — DNS resolver layer
+ *
+ * The default dnsLookup() in lib/monitor.js asks the OS resolver, which can
+ * hand back cached or split-horizon answers. createResolver() builds a
+ * lookup function that queries a chosen set of sources instead:
+ *
+ *   - specific upstream resolvers (e.g. 1.1.1.1, 8.8.8.8)
+ *   - the domain's authoritative nameservers, found by walking up the name
+ *     until an NS record set is found
+ *   - optionally the system resolver as well
+ *
+ * The result has the same { ips, ips6, cnames, resolved } shape as dnsLookup(),
+ * taken from the most trustworthy source (authoritative first), plus a
+ * `sources` array with every source's answer so determineDomainStatus()
+ * can flag resolvers that disagree.
+ *
+ * createZoneFinder() is the zone walk on its own; lib/nameservers.js uses it
+ * too, so provider detection and authoritative lookups agree on the zone.
+ *
+ * Usage:
+ *   const lookup = createResolver({ servers: ["1.1.1.1", "8.8.8.8"], authoritative: true });
+ *   await runScan({ credentials, resolver: lookup });
+ */
+
+const dns = require("dns");
+
+const DEFAULT_TIMEOUT_MS = 3000;
+
+async function queryWith(resolver, domain) {
+  const result = { ips: [], ips6: [], cnames: [], resolved: false };
+  const errors = [];
+  try {
+    result.ips = await resolver.resolve4(domain);
+    result.resolved = true;
+  } catch (e) {
+    errors.push(e.code);
+  }
+  try {
+    result.ips6 = await resolver.resolve6(domain);
+    result.resolved = result.resolved || result.ips6.length > 0;
+  } catch (e) {
+    errors.push(e.code);
+  }
+  try {
+    result.cnames = await resolver.resolveCname(domain);
+    result.resolved = result.resolved || result.cnames.length > 0;
+  } catch (e) {
+    errors.push(e.code);
+  }
+  // Timeouts / refused queries mean "no answer", which is not the same as NXDOMAIN
+  if (!result.resolved && errors.some((c) => c === "ETIMEOUT" || c === "ECONNREFUSED" || c === "ESERVFAIL")) {
+    result.error = errors.find((c) => c !== "ENODATA" && c !== "ENOTFOUND") || errors[0];
+  }
+  return result;
+}
+
+function makeResolver(servers, timeoutMs) {
+  const r = new dns.promises.Resolver({ timeout: timeoutMs, tries: 2 });
+  if (servers) r.setServers(servers);
+  return r;
+}
+
+// Answers that mean "no NS records at this name", so the zone is further up
+const NO_NS_CODES = new Set(["ENODATA", "ENOTFOUND"]);
+
+/**
+ * Find the zone a name lives in: the closest enclosing name with NS records.
+ * Walks up one label at a time (www.shop.example.co.uk → shop.example.co.uk →
+ * example.co.uk), so delegated subzones and multi-label suffixes need no list.
+ * Other failures (timeouts, SERVFAIL) reject rather than guess a parent zone.
+ *
+ * @param {function} resolveNs  (name) => Promise<string[]>
+ * @returns {function(string): Promise<{ zone: string, nameservers: string[] } | null>}
+ *   null when nothing below the TLD has NS records; cached per name
+ */
+function createZoneFinder(resolveNs) {
+  // name -> Promise<{ zone, nameservers } | null>
+  const cache = new Map();
+
+  return function findZone(domain) {
+    const name = domain.toLowerCase().replace(/\.$/, "");
+    if (cache.has(name)) return cache.get(name);
+    const p = (async () => {
+      let nameservers = [];
+      try {
+        nameservers = await resolveNs(name);
+      } catch (e) {
+        if (!NO_NS_CODES.has(e.code)) throw e;
+      }
+      if (nameservers.length > 0) return { zone: name, nameservers };
+      const parent = name.split(".").slice(1).join(".");
+      // Stop before querying a bare TLD
+      return parent.includes(".") ? findZone(parent) : null;
+    })();
+    cache.set(name, p);
+    return p;
+  };
+}
+
+/**
+ * @param {object}   [opts]
+ * @param {string[]} [opts.servers]        upstream resolver IPs, each queried separately
+ * @param {boolean}  [opts.authoritative]  also query the domain's authoritative nameservers
+ * @param {boolean}  [opts.system]         also query the OS resolver (default: only if no servers given)
+ * @param {number}   [opts.timeoutMs]      per-query timeout
+ * @returns {function(string): Promise<object>}
+ */
+function createResolver({ servers = [], authoritative = false, system, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const useSystem = system !== undefined ? system : servers.length === 0;
+  const upstreams = servers.map((s) => ({ source: s, resolver: makeResolver([s], timeoutMs) }));
+  const systemResolver = makeResolver(null, timeoutMs);
+  // Used to discover nameservers: first configured upstream, else the OS resolver
+  const discovery = upstreams.length > 0 ? upstreams[0].resolver : systemResolver;
+
+  const findZone = createZoneFinder((name) => discovery.resolveNs(name));
+  // zone -> Promise<{ zone, nameservers, resolver } | null>, shared across lookups
+  const authorities = new Map();
+
+  async function findAuthority(domain) {
+    const found = await findZone(domain).catch(() => null);
+    if (!found) return null;
+    if (!authorities.has(found.zone)) {
+      authorities.set(found.zone, (async () => {
+        const ips = (await Promise.all(found.nameservers.map((ns) => discovery.resolve4(ns).catch(() => [])))).flat();
+        return ips.length > 0 ? { ...found, resolver: makeResolver(ips, timeoutMs) } : null;
+      })());
+    }
+    return authorities.get(found.zone);
+  }
+
+  return async function lookup(domain) {
+    const queries = upstreams.map((u) => queryWith(u.resolver, domain).then((r) => ({ source: u.source, ...r })));
+    if (useSystem) queries.push(queryWith(systemResolver, domain).then((r) => ({ source: "system", ...r })));
+    if (authoritative) {
+      queries.push((async () => {
+        const zone = await findAuthority(domain);
+        if (!zone) return { source: "authoritative", ips: [], ips6: [], cnames: [], resolved: false, error: "NO_NS" };
+        const r = await queryWith(zone.resolver, domain);
+        return { source: "authoritative", zone: zone.zone, nameservers: zone.nameservers, ...r };
+      })());
+    }
+    const sources = await Promise.all(queries);
+
+    // Prefer the authoritative answer, then the first source that answered at all
+    const answered = sources.filter((s) => !s.error);
+    const primary = answered.find((s) => s.source === "authoritative") || answered[0] || sources[0];
+    return { ips: primary.ips, ips6: primary.ips6, cnames: primary.cnames, resolved: primary.resolved, source: primary.source, sources };
+  };
+}
+
+module.exports = { createResolver, createZoneFinder };
@@ -0,0 +1,200 @@
+/**
+ * WP Engine Domain Monitor — Scheduler
+ *
+ * Runs a task on a fixed interval or a 5-field cron expression
+ * ("minute hour day-of-month month day-of-week"), with optional random
+ * jitter, and skips a run when the task (or anything else reported by
+ * isBusy) is still in progress.
+ *
+ * Runs more than MAX_TIMER_MS away (a monthly or yearly cron, a long
+ * interval) are waited for in steps: setTimeout() can't wait longer than
+ * 2^31-1 ms and fires after 1 ms instead.
+ *
+ * Usage:
+ *   const scheduler = createScheduler({ task: refreshData, intervalMs: 3600000, jitterMs: 60000 });
+ *   scheduler.start();
+ *   scheduler.status();  // { nextRunAt, lastRunAt, lastRunDurationMs, ... }
+ */
+
+// ── Cron parsing ─────────────────────────────────────────────
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day-of-week", min: 0, max: 7 },
+];
+
+function parseCronField(expr, { name, min, max }) {
+  const values = new Set();
+  for (const part of expr.split(",")) {
+    const [range, stepStr] = part.split("/");
+    const step = stepStr === undefined ? 1 : Number(stepStr);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step "${part}" in ${name}`);
+
+    let lo, hi;
+    if (range === "*") {
+      lo = min; hi = max;
+    } else if (range.includes("-")) {
+      [lo, hi] = range.split("-").map(Number);
+    } else {
+      lo = Number(range);
+      hi = stepStr === undefined ? lo : max;
+    }
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < min || hi > max || lo > hi) {
+      throw new Error(`Invalid cron value "${part}" in ${name} (allowed ${min}-${max})`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  // 7 is an alias for Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes, hours, days, months, weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
+
+function cronMatches(cron, date) {
+  if (!cron.minutes.has(date.getMinutes())) return false;
+  if (!cron.hours.has(date.getHours())) return false;
+  if (!cron.months.has(date.getMonth() + 1)) return false;
+  const dayOk = cron.days.has(date.getDate());
+  const weekdayOk = cron.weekdays.has(date.getDay());
+  // Standard cron: when both day fields are restricted, either may match
+  if (!cron.anyDay && !cron.anyWeekday) return dayOk || weekdayOk;
+  return dayOk && weekdayOk;
+}
+
+function nextCronTime(cron, from = new Date()) {
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  // Search at most one year ahead, minute by minute
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    if (cronMatches(cron, d)) return d;
+    d.setMinutes(d.getMinutes() + 1);
+  }
+  throw new Error("Cron expression never matches");
+}
+
+// ── Scheduler ────────────────────────────────────────────────
+
+// Longest delay setTimeout() accepts (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * @param {object}   opts
+ * @param {function} opts.task          async function to run
+ * @param {number}   [opts.intervalMs]  run every N ms (ignored when cron is set)
+ * @param {string}   [opts.cron]        5-field cron expression, local time
+ * @param {number}   [opts.jitterMs]    random 0..jitterMs delay added to each run
+ * @param {function} [opts.isBusy]      returns true when a run should be skipped
+ * @param {function} [opts.onError]     called with errors thrown by the task
+ */
+function createScheduler({ task, intervalMs = 0, cron = null, jitterMs = 0, isBusy = () => false, onError = () => {} }) {
+  const parsedCron = cron ? parseCron(cron) : null;
+  if (!parsedCron && !(intervalMs > 0)) throw new Error("createScheduler: intervalMs or cron is required");
+  // Fail now rather than on the first reschedule
+  if (parsedCron) nextCronTime(parsedCron);
+
+  let timer = null;
+  let running = false;
+  const state = {
+    nextRunAt: null,
+    lastRunAt: null,
+    lastRunDurationMs: null,
+    lastRunError: null,
+    lastSkippedAt: null,
+    runs: 0,
+    skipped: 0,
+  };
+
+  function nextRunTime() {
+    const jitter = jitterMs > 0 ? Math.floor(Math.random() * jitterMs) : 0;
+    if (parsedCron) return nextCronTime(parsedCron).getTime() + jitter;
+    return Date.now() + intervalMs + jitter;
+  }
+
+  function scheduleNext() {
+    let at;
+    try {
+      at = nextRunTime();
+    } catch (e) {
+      state.nextRunAt = null;
+      state.lastRunError = e.message;
+      onError(e);
+      return;
+    }
+    state.nextRunAt = new Date(at).toISOString();
+    wait(at);
+  }
+
+  // Sleep until `at` in timer-sized steps, checking the clock before each run
+  function wait(at) {
+    const remaining = at - Date.now();
+    if (remaining > MAX_TIMER_MS) timer = setTimeout(() => wait(at), MAX_TIMER_MS);
+    else timer = setTimeout(tick, Math.max(0, remaining));
+  }
+
+  async function tick() {
+    timer = null;
+    if (running || isBusy()) {
+      state.skipped++;
+      state.lastSkippedAt = new Date().toISOString();
+    } else {
+      await runNow();
+    }
+    if (state.nextRunAt !== null) scheduleNext();
+  }
+
+  async function runNow() {
+    running = true;
+    const started = Date.now();
+    state.lastRunAt = new Date(started).toISOString();
+    try {
+      await task();
+      state.lastRunError = null;
+    } catch (e) {
+      state.lastRunError = e.message;
+      onError(e);
+    } finally {
+      state.lastRunDurationMs = Date.now() - started;
+      state.runs++;
+      running = false;
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      scheduleNext();
+    },
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      state.nextRunAt = null;
+    },
+    status() {
+      return {
+        enabled: state.nextRunAt !== null,
+        mode: parsedCron ? "cron" : "interval",
+        cron: cron || null,
+        intervalMs: parsedCron ? null : intervalMs,
+        jitterMs,
+        running,
+        ...state,
+      };
+    },
+  };
+}
+
+module.exports = { createScheduler, parseCron, nextCronTime, MAX_TIMER_MS };
@@ -0,0 +1,104 @@
+/**
+ * WP Engine Domain Monitor — Scan snapshots
+ *
+ * A snapshot is one scan saved to a file with everything needed to show it
+ * again later without API credentials or DNS: the scan result (sites, stats,
+ * fetch summary), the Confirm OK overrides in force and the "what changed"
+ * diff. server.js --snapshot and generate-dashboard.js --from-snapshot
+ * replay one; GET /api/snapshot and generate-dashboard.js --save-snapshot
+ * write one. The live server also keeps its most recent scan in this format
+ * (storage.lastScanFile) so a restart can serve it straight away.
+ *
+ * File format, version 1:
+ *   {
+ *     "format": "wpe-monitor-snapshot",
+ *     "version": 1,
+ *     "savedAt": "2026-03-01T12:00:00.000Z",
+ *     "data": { "sites": [...], "stats": {...}, "summary": {...} | null },
+ *     "confirmed": { "<siteId>/<domain>": {...} },
+ *     "changes": {...} | null
+ *   }
+ *
+ * Confirmation expiries are judged as of savedAt when replaying, so a
+ * snapshot keeps showing what the monitor showed when it was taken.
+ */
+
+const fs = require("fs");
+
+const SNAPSHOT_FORMAT = "wpe-monitor-snapshot";
+const SNAPSHOT_VERSION = 1;
+
+class SnapshotError extends Error {
+  constructor(file, message) {
+    super(`Invalid snapshot (${file}): ${message}`);
+    this.name = "SnapshotError";
+  }
+}
+
+/**
+ * @param {{ sites: object[], stats: object, summary?: object }} data  a raw scan (no confirmed overrides applied)
+ * @param {{ confirmed?: object, changes?: object }} [extra]
+ */
+function createSnapshot(data, { confirmed = {}, changes = null } = {}) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    data: { sites: data.sites, stats: data.stats, summary: data.summary || null },
+    confirmed,
+    changes,
+  };
+}
+
+function saveSnapshot(file, data, extra) {
+  const snapshot = createSnapshot(data, extra);
+  fs.writeFileSync(file, JSON.stringify(snapshot) + "\n");
+  return snapshot;
+}
+
+/**
+ * Like saveSnapshot, but async and atomic: written to a temp file and renamed
+ * into place, so a crash mid-write never leaves a truncated file behind.
+ */
+async function writeSnapshot(file, data, extra) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(createSnapshot(data, extra)) + "\n");
+  await fs.promises.rename(tmp, file);
+}
+
+/** Validate a parsed snapshot file. @throws {SnapshotError} */
+function checkSnapshot(snapshot, file = "snapshot") {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) throw new SnapshotError(file, "not a wpe-monitor snapshot file");
+  if (!Number.isInteger(snapshot.version) || snapshot.version < 1) throw new SnapshotError(file, "missing version");
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new SnapshotError(file, `written by a newer version (v${snapshot.version}); this version reads up to v${SNAPSHOT_VERSION}`);
+  }
+  const { data } = snapshot;
+  if (!data || !Array.isArray(data.sites) || !data.stats) throw new SnapshotError(file, "no scan data");
+  return {
+    version: snapshot.version,
+    savedAt: snapshot.savedAt || data.stats.timestamp,
+    data: { sites: data.sites, stats: data.stats, summary: data.summary || null },
+    confirmed: snapshot.confirmed || {},
+    changes: snapshot.changes || null,
+  };
+}
+
+/** @throws {SnapshotError} */
+function loadSnapshot(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    throw new SnapshotError(file, `cannot read file: ${e.code || e.message}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new SnapshotError(file, `not valid JSON: ${e.message}`);
+  }
+  return { file, ...checkSnapshot(parsed, file) };
+}
+
+module.exports = { SNAPSHOT_FORMAT, SNAPSHOT_VERSION, SnapshotError, createSnapshot, saveSnapshot, writeSnapshot, checkSnapshot, loadSnapshot };
@@ -0,0 +1,95 @@
+/**
+ * WP Engine Domain Monitor — Live TLS certificate inspection
+ *
+ * The API's network_info.ssl.status only says what WP Engine thinks it is
+ * serving. inspectCertificate() opens a TLS connection to the domain on 443
+ * with SNI and records what is actually served: issuer, SAN list, expiry,
+ * and whether the chain validates. evaluateCertificate() turns that into a
+ * verdict and flags hostname mismatches, certificates expiring within the
+ * warning window, and disagreement with the API's SSL status.
+ */
+
+const tls = require("tls");
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_EXPIRY_WARNING_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseSAN(subjectaltname) {
+  if (!subjectaltname) return [];
+  return subjectaltname.split(",").map((s) => s.trim()).filter((s) => s.startsWith("DNS:")).map((s) => s.slice(4));
+}
+
+/**
+ * @returns {Promise<object>} { issuer, subject, san, validFrom, validTo, daysRemaining,
+ *   chainValid, chainError, hostnameMatch, checkedAt } or { error, checkedAt }
+ */
+function inspectCertificate(domain, { port = 443, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve) => {
+    const checkedAt = new Date().toISOString();
+    let settled = false;
+    const done = (result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve({ ...result, checkedAt });
+    };
+
+    // Verify ourselves so we can still read the certificate when it's invalid
+    const socket = tls.connect({ host: domain, port, servername: domain, rejectUnauthorized: false });
+    socket.setTimeout(timeoutMs, () => done({ error: `Timed out after ${timeoutMs}ms` }));
+    socket.once("error", (e) => done({ error: e.code || e.message }));
+    socket.once("secureConnect", () => {
+      const cert = socket.getPeerCertificate();
+      if (!cert || Object.keys(cert).length === 0) return done({ error: "No certificate served" });
+      const validTo = new Date(cert.valid_to);
+      done({
+        issuer: (cert.issuer && (cert.issuer.O || cert.issuer.CN)) || null,
+        subject: (cert.subject && cert.subject.CN) || null,
+        san: parseSAN(cert.subjectaltname),
+        validFrom: new Date(cert.valid_from).toISOString(),
+        validTo: validTo.toISOString(),
+        daysRemaining: Math.floor((validTo.getTime() - Date.now()) / DAY_MS),
+        chainValid: socket.authorized,
+        chainError: socket.authorized ? null : String(socket.authorizationError || "unknown"),
+        hostnameMatch: tls.checkServerIdentity(domain, cert) === undefined,
+      });
+    });
+  });
+}
+
+/**
+ * Verdict for an inspected certificate.
+ * @param {object} cert              result of inspectCertificate()
+ * @param {string|null} apiSslStatus network_info.ssl.status from the API
+ * @returns {{ status: string, detail: string, apiMismatch: boolean }}
+ *   status: "valid" | "expiring" | "expired" | "mismatch" | "invalid" | "unreachable"
+ */
+function evaluateCertificate(cert, apiSslStatus, { expiryWarningDays = DEFAULT_EXPIRY_WARNING_DAYS } = {}) {
+  let verdict;
+  if (cert.error) {
+    verdict = { status: "unreachable", detail: `TLS failed: ${cert.error}` };
+  } else if (cert.daysRemaining < 0) {
+    verdict = { status: "expired", detail: `Expired ${-cert.daysRemaining}d ago` };
+  } else if (!cert.hostnameMatch) {
+    verdict = { status: "mismatch", detail: `Certificate is for ${cert.subject || cert.san[0] || "another host"}` };
+  } else if (!cert.chainValid) {
+    verdict = { status: "invalid", detail: `Chain invalid: ${cert.chainError}` };
+  } else if (cert.daysRemaining <= expiryWarningDays) {
+    verdict = { status: "expiring", detail: `Expires in ${cert.daysRemaining}d` };
+  } else {
+    verdict = { status: "valid", detail: `Valid, ${cert.daysRemaining}d left` };
+  }
+
+  // Does what is served agree with what the API reports?
+  const api = (apiSslStatus || "").toLowerCase();
+  const servedOk = verdict.status === "valid" || verdict.status === "expiring";
+  let apiMismatch = false;
+  if (api === "active" && !servedOk && verdict.status !== "unreachable") apiMismatch = true;
+  if (api === "expired" && servedOk) apiMismatch = true;
+  if (apiMismatch) verdict.detail += ` (API says ${api})`;
+
+  return { ...verdict, apiMismatch };
+}
+
+module.exports = { inspectCertificate, evaluateCertificate, DEFAULT_EXPIRY_WARNING_DAYS };
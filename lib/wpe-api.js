@@ -0,0 +1,178 @@
+/**
+ * WP Engine Domain Monitor — API client
+ *
+ * Thin wrapper around the WP Engine REST API (https://api.wpengineapi.com/v1)
+ * that survives a flaky or busy API instead of failing the whole scan:
+ *
+ *   - every request has a timeout
+ *   - 429 and 5xx responses, timeouts and network errors are retried with
+ *     exponential backoff, honoring Retry-After when the API sends one
+ *   - anything else (401, 403, 404, ...) fails immediately with an ApiError
+ *   - list endpoints are followed page by page until the API says there's
+ *     no `next` page, and report how many pages/items that took
+ *
+ * Usage:
+ *   const headers = makeHeaders(user, pass);
+ *   const installs = await fetchAllInstalls(headers, { timeoutMs: 15000, retries: 4 });
+ */
+
+const fetch = require("node-fetch");
+
+const API_BASE = "https://api.wpengineapi.com/v1";
+
+const DEFAULT_API_OPTIONS = {
+  baseUrl: API_BASE,  // overridable for a proxy or a local stand-in (see test/helpers)
+  timeoutMs: 15000,
+  retries: 4,         // retries after the first attempt
+  retryBaseMs: 500,   // first backoff; doubles every retry
+  retryMaxMs: 60000,  // cap on any single wait, including Retry-After
+  onError: null,      // (ApiError) => void, called for every request that fails after retries (metrics)
+};
+
+class ApiError extends Error {
+  constructor(message, { status = null, urlPath, attempts }) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.urlPath = urlPath;
+    this.attempts = attempts;
+  }
+}
+
+function makeHeaders(user, pass) {
+  return {
+    Authorization: "Basic " + Buffer.from(`${user}:${pass}`).toString("base64"),
+    "Content-Type": "application/json",
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function backoffMs(attempt, { retryBaseMs, retryMaxMs }) {
+  const exp = retryBaseMs * 2 ** attempt;
+  // ±20% jitter so parallel install fetches don't retry in lockstep
+  return Math.min(retryMaxMs, Math.round(exp * (0.8 + Math.random() * 0.4)));
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Report a request that gave up, then hand the error back to throw
+function failed(err, o) {
+  if (o.onError) o.onError(err);
+  return err;
+}
+
+/**
+ * GET a JSON resource from the API, retrying transient failures.
+ * @param {string} urlPath   path below the API base URL, e.g. "/installs?limit=100"
+ * @param {object} headers   from makeHeaders()
+ * @param {object} [opts]    overrides for DEFAULT_API_OPTIONS
+ */
+async function apiFetch(urlPath, headers, opts = {}) {
+  const o = { ...DEFAULT_API_OPTIONS, ...opts };
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(`${o.baseUrl}${urlPath}`, { headers, timeout: o.timeoutMs });
+    } catch (err) {
+      // Timeouts and connection errors
+      if (attempt >= o.retries) {
+        throw failed(new ApiError(`API request failed on ${urlPath}: ${err.message}`, { urlPath, attempts: attempt + 1 }), o);
+      }
+      await sleep(backoffMs(attempt, o));
+      continue;
+    }
+
+    if (res.ok) return res.json();
+
+    if (!isRetryableStatus(res.status) || attempt >= o.retries) {
+      const tries = attempt > 0 ? ` after ${attempt + 1} attempts` : "";
+      throw failed(new ApiError(`API ${res.status} on ${urlPath}${tries}`, { status: res.status, urlPath, attempts: attempt + 1 }), o);
+    }
+    const retryAfter = parseRetryAfter(res.headers.get("retry-after"));
+    await sleep(retryAfter !== null ? Math.min(retryAfter, o.retryMaxMs) : backoffMs(attempt, o));
+  }
+}
+
+const PAGE_SIZE = 100;
+
+// The path below the API base for a `next` link, which the API gives as a full URL.
+// Links off the API base are refused rather than sent the credentials.
+function nextPath(next, urlPath, opts = {}) {
+  const base = new URL(`${opts.baseUrl || DEFAULT_API_OPTIONS.baseUrl}/`);
+  const url = new URL(next, base);
+  if (url.origin !== base.origin || !url.pathname.startsWith(base.pathname)) {
+    throw new ApiError(`API gave a next page outside ${base.href} on ${urlPath}: ${next}`, { urlPath, attempts: 1 });
+  }
+  return `/${url.pathname.slice(base.pathname.length)}${url.search}`;
+}
+
+/**
+ * Fetch every page of a list endpoint, following the API's `next` links, so
+ * a page shorter than the limit asked for doesn't skip items.
+ * @returns {Promise<{ results: object[], pages: number, count: number|null }>}
+ *   `count` is the total the API reported, if it reported one
+ */
+async function fetchPaged(urlPath, headers, opts) {
+  const results = [];
+  let pages = 0;
+  let count = null;
+  let pagePath = `${urlPath}?limit=${PAGE_SIZE}&offset=0`;
+  for (;;) {
+    const data = await apiFetch(pagePath, headers, opts);
+    const page = data.results || [];
+    pages++;
+    results.push(...page);
+    if (typeof data.count === "number") count = data.count;
+    // An empty page with a `next` link would otherwise loop forever
+    if (!data.next || page.length === 0) break;
+    pagePath = nextPath(data.next, urlPath, opts);
+  }
+  return { results, pages, count };
+}
+
+async function fetchAllInstalls(headers, opts) {
+  return (await fetchPaged("/installs", headers, opts)).results;
+}
+
+// Throws on failure: the caller records the error against the install
+// rather than mistaking it for an install with no domains.
+async function fetchInstallDomains(installId, headers, opts) {
+  return fetchPaged(`/installs/${installId}/domains`, headers, opts);
+}
+
+async function fetchDomains(installId, headers, opts) {
+  return (await fetchInstallDomains(installId, headers, opts)).results;
+}
+
+async function fetchInstall(installId, headers, opts) {
+  return apiFetch(`/installs/${installId}`, headers, opts);
+}
+
+async function fetchDomain(installId, domainId, headers, opts) {
+  return apiFetch(`/installs/${installId}/domains/${domainId}`, headers, opts);
+}
+
+module.exports = {
+  API_BASE,
+  DEFAULT_API_OPTIONS,
+  ApiError,
+  makeHeaders,
+  parseRetryAfter,
+  apiFetch,
+  nextPath,
+  fetchPaged,
+  fetchAllInstalls,
+  fetchInstallDomains,
+  fetchDomains,
+  fetchInstall,
+  fetchDomain,
+};
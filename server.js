@@ -3,324 +3,556 @@
  * WP Engine Domain Monitor — Live Server
  *
  * Serves the dashboard and provides a /api/refresh endpoint
- * so data can be refreshed from the browser.
+ * so data can be refreshed from the browser. A background scheduler
+ * rescans on an interval (or cron expression) so data stays fresh.
  *
  * Usage:
  *   node server.js <API_USER> <API_PASS>
  *   node server.js  (uses env vars WPE_API_USER / WPE_API_PASS)
+ *   node server.js --config /etc/wpe-monitor.json
  *
- * Then open http://localhost:3000
+ * Settings (port, WP Engine IP ranges, concurrency, timeouts, DNS resolvers,
+ * enabled checks, schedule, storage paths) come from config.json with
+ * environment variable overrides; see lib/config.js and the README.
+ *
+ * A background scheduler rescans on the configured interval or cron
+ * expression. Every completed scan, rescan and recheck is appended to the
+ * history file (pruned to history.maxAgeDays) and served from
+ * /api/history?domain= and /api/sites/:id/history.
+ * /api/changes describes what changed between the last two scans.
+ *
+ * The latest scan is also kept in storage.lastScanFile. On restart it's
+ * served straight away, flagged as stale in /api/status, while the first
+ * scan runs in the background.
+ *
+ * Alerts on status transitions are sent to the channels configured in
+ * notifications.json (or the config's "notifications" section); see lib/notifier.js.
+ *
+ * Access control: with users or tokens in the config's "auth" section,
+ * every page and API route needs a login (session cookie, HTTP Basic or
+ * Bearer token). Viewers can read; only operators can refresh, confirm
+ * domains or fire test alerts. See lib/auth.js.
+ *
+ * "Confirm OK" overrides need a reason, are scoped to one install and can
+ * expire; every confirm/unconfirm is written to the audit log served from
+ * /api/audit.
+ *
+ * Replay: `node server.js --snapshot scan.json` serves a snapshot saved from
+ * GET /api/snapshot (or generate-dashboard.js --save-snapshot) read-only —
+ * no API credentials, DNS lookups, refreshes or confirmations. See lib/snapshot.js.
+ *
+ * Then open http://localhost:4782
+ *
+ * createServer(config) is exported for tests: it returns the Express app
+ * without listening, scanning or starting the scheduler.
  */
 
 const express = require("express");
-const fetch = require("node-fetch");
-const dns = require("dns").promises;
 const fs = require("fs");
 const path = require("path");
+const {
+  runScan, rescanSite, recheckDomain, replaceSites, createWPEMatcher,
+  confirmKey, loadConfirmed, saveConfirmed, findConfirmation, activeConfirmation, applyConfirmedOverrides,
+} = require("./lib/monitor");
+const { loadConfig, scanOptions, configuredAccounts, ConfigError } = require("./lib/config");
+const { createScheduler } = require("./lib/scheduler");
+const { createHistoryStore } = require("./lib/history");
+const { createAuditLog } = require("./lib/audit");
+const { diffScans } = require("./lib/diff");
+const { createNotifier, eventsFromChanges } = require("./lib/notifier");
+const { createAuth } = require("./lib/auth");
+const { FILTERS, exportRows, toCSV, toJSON } = require("./lib/export");
+const { createMetrics } = require("./lib/metrics");
+const { remediationFor } = require("./lib/remediation");
+const { createSnapshot, writeSnapshot, loadSnapshot, SnapshotError } = require("./lib/snapshot");
 
-const app = express();
-const PORT = process.env.PORT || 4782;
-const API_BASE = "https://api.wpengineapi.com/v1";
+/**
+ * Build the app and the scan state behind it. Nothing listens or scans
+ * until the caller does: main() below starts the server, the first scan
+ * and the scheduler.
+ * @param {object}   config             from loadConfig()
+ * @param {object}   [deps]
+ * @param {function} [deps.resolver]    replaces the configured DNS resolver (tests use a fake one)
+ * @param {object}   [deps.snapshot]    from loadSnapshot(): serve it read-only instead of scanning
+ * @returns {{ app, auth, scheduler, refreshData, restoredAt }}  restoredAt: when the scan loaded from disk was saved, or null
+ */
+function createServer(config, { resolver, snapshot } = {}) {
+  const app = express();
+  const auth = createAuth(config.auth);
+  const operator = auth.requireRole("operator");
 
-const WPE_CNAME_SUFFIXES = [".wpengine.com", ".wpenginepowered.com", ".wpesvc.net", ".wpeproxy.com"];
-const WPE_IP_PREFIXES = ["141.193.213.", "35.203.43.", "172.64.80."];
+  // ── Confirmed domains persistence ────────────────────────────
+  const CONFIRMED_FILE = config.storage.confirmedFile;
 
-const user = process.argv[2] || process.env.WPE_API_USER;
-const pass = process.argv[3] || process.env.WPE_API_PASS;
-if (!user || !pass) {
-  console.error("Usage: node server.js <API_USER> <API_PASS>");
-  process.exit(1);
-}
+  // Key = "<siteId>/<domain>" (bare domain for older entries); see lib/monitor.js.
+  // A snapshot brings its own and never touches the file.
+  let confirmedDomains = snapshot ? snapshot.confirmed : loadConfirmed(CONFIRMED_FILE);
+  const audit = createAuditLog(config.storage.auditFile);
 
-const headers = {
-  Authorization: "Basic " + Buffer.from(`${user}:${pass}`).toString("base64"),
-  "Content-Type": "application/json",
-};
+  // ── Scan history ─────────────────────────────────────────────
+  const history = createHistoryStore(config.storage.historyFile, config.history);
 
-// ── Confirmed domains persistence ────────────────────────────
-const CONFIRMED_FILE = path.join(__dirname, "confirmed.json");
+  // ── Notifications ────────────────────────────────────────────
+  const NOTIFY_CONFIG = config.storage.notificationsFile;
 
-function loadConfirmed() {
+  let notifier;
   try {
-    if (fs.existsSync(CONFIRMED_FILE)) {
-      return JSON.parse(fs.readFileSync(CONFIRMED_FILE, "utf8"));
-    }
-  } catch {}
-  return {};
-}
+    const settings = config.notifications ||
+      (fs.existsSync(NOTIFY_CONFIG) ? JSON.parse(fs.readFileSync(NOTIFY_CONFIG, "utf8")) : {});
+    notifier = createNotifier(settings);
+  } catch (e) {
+    throw new ConfigError(config.notifications ? config.configFile : NOTIFY_CONFIG, [`notifications: ${e.message}`]);
+  }
 
-function saveConfirmed(data) {
-  fs.writeFileSync(CONFIRMED_FILE, JSON.stringify(data, null, 2));
-}
+  // runScan() options; a resolver passed in (tests) replaces the configured one.
+  // Failed API requests are counted for /metrics.
+  const scanOpts = () => {
+    const opts = scanOptions(config);
+    return { ...opts, api: { ...opts.api, onError: (e) => metrics.recordApiError(e) }, ...(resolver ? { resolver } : {}) };
+  };
 
-// Key = domain name, value = { confirmedAt, note }
-let confirmedDomains = loadConfirmed();
+  // ── Last scan on disk ────────────────────────────────────────
+  const LAST_SCAN_FILE = config.storage.lastScanFile;
 
-// ── Cached data ──────────────────────────────────────────────
-let cachedData = null;
-let isRefreshing = false;
-let refreshProgress = "";
+  function restoreLastScan() {
+    if (snapshot || !fs.existsSync(LAST_SCAN_FILE)) return null;
+    try {
+      return loadSnapshot(LAST_SCAN_FILE);
+    } catch (e) {
+      console.error(`  Ignoring the saved scan: ${e.message}`);
+      return null;
+    }
+  }
 
-// ── API helpers ──────────────────────────────────────────────
+  // One write at a time, so a slow write can't land after a newer one
+  let persisting = Promise.resolve();
+  function persistScan() {
+    const data = cachedData;
+    const changes = lastChanges;
+    persisting = persisting
+      .then(() => writeSnapshot(LAST_SCAN_FILE, data, { changes }))
+      .catch((e) => console.error("  Failed to save the last scan:", e.message));
+  }
 
-async function apiFetch(urlPath) {
-  const res = await fetch(`${API_BASE}${urlPath}`, { headers });
-  if (!res.ok) throw new Error(`API ${res.status} on ${urlPath}`);
-  return res.json();
-}
+  // ── Cached data ──────────────────────────────────────────────
+  const restored = restoreLastScan();
+  const initial = snapshot || restored;
+  let cachedData = initial ? initial.data : null;
+  let lastChanges = initial ? initial.changes : null;
+  // Set while the data served was loaded from disk and no full scan has finished since
+  let restoredAt = restored ? restored.savedAt : null;
+  let isRefreshing = false;
+  let refreshProgress = "";
+  let refreshDetail = null;
+  let lastRefresh = { startedAt: null, finishedAt: null, durationMs: null, error: null };
+  const metrics = createMetrics();
+
+  // ── Live scan events (Server-Sent Events) ────────────────────
+  //
+  // Every open dashboard listens on GET /api/events and sees the same scan:
+  //   start    { startedAt }
+  //   progress { message, phase, done, total, install?, domain? }
+  //   site     { site, done, total }  — a site whose checks just finished
+  //   done     { dataTimestamp, restoredAt }
+  //   error    { message }
+  const streams = new Set();
+
+  function broadcast(event, data) {
+    const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of streams) res.write(frame);
+  }
 
-async function fetchAllInstalls() {
-  let all = [];
-  let offset = 0;
-  while (true) {
-    const data = await apiFetch(`/installs?limit=100&offset=${offset}`);
-    all = all.concat(data.results || []);
-    if (!data.next) break;
-    offset += 100;
+  // Confirm-OK overrides applied before data goes out. A snapshot judges
+  // expiries as of when it was saved, so it shows what the monitor showed then.
+  function withOverrides(data) {
+    return applyConfirmedOverrides(data, confirmedDomains, snapshot ? Date.parse(snapshot.savedAt) : Date.now());
   }
-  return all;
-}
 
-async function fetchDomains(installId) {
-  try {
-    const data = await apiFetch(`/installs/${installId}/domains?limit=100`);
-    return data.results || [];
-  } catch {
-    return [];
+  function withConfirmed(site) {
+    return withOverrides({ sites: [site], stats: {} }).sites[0];
   }
-}
 
-async function dnsLookup(domain) {
-  const result = { ips: [], cnames: [], resolved: false };
-  try { result.ips = await dns.resolve4(domain); result.resolved = true; } catch {}
-  try { result.cnames = await dns.resolveCname(domain); result.resolved = result.resolved || result.cnames.length > 0; } catch {}
-  return result;
-}
+  // ── Data fetching ────────────────────────────────────────────
 
-function dnsPointsToWPE(dnsResult, installCname, allDomainNames) {
-  if (!dnsResult || !dnsResult.resolved) return false;
-  if (dnsResult.cnames.length > 0) {
-    if (dnsResult.cnames.some((c) => WPE_CNAME_SUFFIXES.some((s) => c.endsWith(s)) || c === installCname)) return true;
-    if (allDomainNames && dnsResult.cnames.some((c) => allDomainNames.has(c))) return true;
+  function notifyChanges(changes) {
+    // Domains someone has confirmed as OK shouldn't page anyone
+    const events = eventsFromChanges(changes).filter((e) => !activeConfirmation(confirmedDomains, e.siteId, e.domain));
+    notifier.notify(events).catch((e) => console.error("  Notification failed:", e.message));
   }
-  if (dnsResult.ips.length > 0) {
-    if (dnsResult.ips.some((ip) => WPE_IP_PREFIXES.some((p) => ip.startsWith(p)))) return true;
+
+  // Merge sites from a single-site rescan / domain recheck into the cached
+  // scan. Alerts still fire for what changed; the "what changed" panel keeps
+  // showing the last full scan. History gets a partial record of just the
+  // domains that were checked (`name`, for a recheck).
+  function mergeSites(sites, name) {
+    const next = replaceSites(cachedData, sites);
+    notifyChanges(diffScans(cachedData, next));
+    cachedData = next;
+    persistScan();
+    history.appendPartial(sites, cachedData.stats.updatedAt, name).catch((e) => console.error("  Failed to write history:", e.message));
+    for (const site of sites) broadcast("site", { site: withConfirmed(site) });
+    broadcast("done", { dataTimestamp: cachedData.stats.updatedAt, restoredAt });
   }
-  return false;
-}
 
-async function batchAsync(items, concurrency, fn) {
-  const results = [];
-  for (let i = 0; i < items.length; i += concurrency) {
-    const batch = items.slice(i, i + concurrency);
-    results.push(...(await Promise.all(batch.map(fn))));
+  async function refreshData() {
+    if (isRefreshing) {
+      // Wait for the in-progress refresh to finish instead of returning null
+      await new Promise(function (resolve) {
+        var check = setInterval(function () {
+          if (!isRefreshing) { clearInterval(check); resolve(); }
+        }, 500);
+      });
+      return cachedData;
+    }
+    isRefreshing = true;
+    const started = Date.now();
+    lastRefresh = { ...lastRefresh, startedAt: new Date(started).toISOString() };
+    broadcast("start", { startedAt: lastRefresh.startedAt });
+
+    try {
+      const data = await runScan({
+        ...scanOpts(),
+        onProgress: (message, detail) => {
+          refreshProgress = message;
+          refreshDetail = detail || null;
+          broadcast("progress", { message, ...detail });
+        },
+        onSite: (site, progress) => broadcast("site", { site: withConfirmed(site), ...progress }),
+      });
+      const changes = cachedData ? diffScans(cachedData, data) : null;
+      cachedData = data;
+      if (changes) {
+        lastChanges = changes;
+        notifyChanges(changes);
+      }
+      lastRefresh.error = null;
+      restoredAt = null;
+      persistScan();
+      metrics.recordScan({ durationMs: Date.now() - started, data });
+      history.append(cachedData).catch((e) => console.error("  Failed to write history:", e.message));
+      return cachedData;
+    } catch (e) {
+      lastRefresh.error = e.message;
+      metrics.recordScan({ durationMs: Date.now() - started, error: e });
+      throw e;
+    } finally {
+      refreshProgress = "";
+      refreshDetail = null;
+      lastRefresh.finishedAt = new Date().toISOString();
+      lastRefresh.durationMs = Date.now() - started;
+      isRefreshing = false;
+      if (lastRefresh.error) broadcast("error", { message: lastRefresh.error });
+      else broadcast("done", { dataTimestamp: cachedData.stats.timestamp, restoredAt });
+    }
   }
-  return results;
-}
 
-function determineDomainStatus(domain, dnsResult, installCname, allDomainNames) {
-  const isSystem = domain.name.endsWith(".wpenginepowered.com") || domain.name.endsWith(".wpengine.com");
-  if (isSystem) return { status: "system", detail: "System domain" };
+  // ── Scheduled rescans ────────────────────────────────────────
+
+  const { schedule } = config;
+  const scheduler = !snapshot && (schedule.cron || schedule.intervalMinutes > 0)
+    ? createScheduler({
+        task: refreshData,
+        intervalMs: schedule.intervalMinutes * 60 * 1000,
+        cron: schedule.cron,
+        jitterMs: schedule.jitterSeconds * 1000,
+        // A manual /api/refresh may already be scanning — don't queue another
+        isBusy: () => isRefreshing,
+        onError: (e) => console.error("  Scheduled refresh failed:", e.message),
+      })
+    : null;
+
+  // ── Routes ───────────────────────────────────────────────────
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // Login / logout are the only routes reachable without authenticating
+  app.get("/login", (req, res) => {
+    if (!auth.enabled) return res.redirect("/");
+    res.send(LOGIN_HTML.replace("{{ERROR}}", req.query.error ? '<div class="error">Invalid username or password</div>' : ""));
+  });
 
-  const networkStatus = domain.network_details?.network_info?.status?.toUpperCase();
-  const expectedCname = domain.network_details?.dns_config_info?.cname || null;
-  const expectedARecords = domain.network_details?.dns_config_info?.a_records || [];
-  const dnsMatches = dnsResult ? dnsPointsToWPE(dnsResult, installCname, allDomainNames) : false;
+  app.post("/login", async (req, res) => {
+    const username = String(req.body.username || "");
+    const wait = auth.loginRetryAfter(req.ip, username);
+    if (wait > 0) {
+      const minutes = Math.ceil(wait / 60000);
+      res.setHeader("Retry-After", String(Math.ceil(wait / 1000)));
+      return res.status(429).send(LOGIN_HTML.replace("{{ERROR}}",
+        `<div class="error">Too many failed sign-ins. Try again in ${minutes} minute${minutes !== 1 ? "s" : ""}.</div>`));
+    }
+    let sid;
+    try {
+      sid = await auth.login(username, String(req.body.password || ""), req.ip);
+    } catch (e) {
+      return res.status(500).send(e.message);
+    }
+    if (!sid) return res.redirect("/login?error=1");
+    res.setHeader("Set-Cookie", auth.sessionCookie(sid, req));
+    res.redirect("/");
+  });
 
-  let dnsMatchesExpected = false;
-  if (dnsResult && dnsResult.ips.length > 0 && expectedARecords.length > 0) {
-    dnsMatchesExpected = dnsResult.ips.some((ip) => expectedARecords.includes(ip));
-  }
-  let cnameMatchesExpected = false;
-  if (dnsResult && dnsResult.cnames.length > 0 && expectedCname) {
-    cnameMatchesExpected = dnsResult.cnames.some((c) => c === expectedCname);
-  }
+  app.post("/logout", (req, res) => {
+    auth.logout(req);
+    res.setHeader("Set-Cookie", auth.clearCookie());
+    res.redirect(auth.enabled ? "/login" : "/");
+  });
 
-  if (networkStatus === "ACTIVE") {
-    if (dnsMatches || dnsMatchesExpected || cnameMatchesExpected) return { status: "good", detail: "Active & DNS pointed" };
-    if (dnsResult && dnsResult.resolved) return { status: "issue", detail: "DNS not pointed to WPE" };
-    if (dnsResult && !dnsResult.resolved) return { status: "issue", detail: "DNS not resolving" };
-    return { status: "good", detail: "Active (API)" };
-  }
-  if (networkStatus === "PENDING") return { status: "pending", detail: "Pending setup" };
-  if (networkStatus === "DELETED") return { status: "issue", detail: "Network deleted" };
-
-  if (!networkStatus) {
-    if (dnsMatches) return { status: "good", detail: "DNS pointed (Legacy)" };
-    if (dnsResult && dnsResult.resolved) return { status: "issue", detail: "DNS not pointed to WPE" };
-    if (dnsResult && !dnsResult.resolved) return { status: "issue", detail: "DNS not resolving" };
-    return { status: "unknown", detail: "No status data" };
-  }
-  return { status: "unknown", detail: networkStatus || "Unknown" };
-}
+  app.use(auth.authenticate);
 
-// ── Data fetching ────────────────────────────────────────────
+  // Replaying a snapshot: nothing may scan or change confirmations
+  const writable = (req, res, next) => {
+    if (snapshot) return res.status(409).json({ error: "Read-only: replaying a saved snapshot" });
+    next();
+  };
+  // History and the audit log live outside the snapshot, so don't pass today's files off as its past
+  const live = (req, res, next) => {
+    if (snapshot) return res.status(409).json({ error: "Not available while replaying a snapshot: history and the audit log aren't saved in it" });
+    next();
+  };
+  const snapshotInfo = snapshot ? { file: path.basename(snapshot.file || "snapshot.json"), savedAt: snapshot.savedAt } : null;
+
+  app.get("/api/me", (req, res) => {
+    res.json({ authEnabled: auth.enabled, username: req.user.username, role: req.user.role, snapshot: snapshotInfo });
+  });
 
-async function refreshData() {
-  if (isRefreshing) {
-    // Wait for the in-progress refresh to finish instead of returning null
-    await new Promise(function (resolve) {
-      var check = setInterval(function () {
-        if (!isRefreshing) { clearInterval(check); resolve(); }
-      }, 500);
+  app.get("/api/events", (req, res) => {
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive", "X-Accel-Buffering": "no" });
+    res.flushHeaders();
+    // Tabs opened mid-scan start from the current state
+    if (isRefreshing) {
+      res.write(`event: start\ndata: ${JSON.stringify({ startedAt: lastRefresh.startedAt })}\n\n`);
+      if (refreshProgress) res.write(`event: progress\ndata: ${JSON.stringify({ message: refreshProgress, ...refreshDetail })}\n\n`);
+    }
+    streams.add(res);
+    // Comment lines keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+    req.on("close", () => {
+      clearInterval(keepAlive);
+      streams.delete(res);
     });
-    return cachedData;
-  }
-  isRefreshing = true;
-  refreshProgress = "Fetching installs...";
+  });
 
-  try {
-    const installs = await fetchAllInstalls();
-    refreshProgress = `Fetching domains for ${installs.length} installs...`;
+  // Prometheus scrape target; with auth enabled, give the scraper a viewer token
+  app.get("/metrics", (req, res) => {
+    const data = cachedData ? withOverrides(cachedData) : null;
+    res.type("text/plain; version=0.0.4").send(metrics.render({ data, refreshing: isRefreshing }));
+  });
 
-    const installDomains = await batchAsync(installs, 10, async (inst) => {
-      const domains = await fetchDomains(inst.id);
-      return { install: inst, domains };
-    });
+  app.get("/api/data", (req, res) => {
+    if (cachedData) return res.json(withOverrides(cachedData));
+    res.json({ sites: [], stats: null });
+  });
 
-    const allDomainNames = new Set();
-    for (const { domains } of installDomains) {
-      for (const d of domains) allDomainNames.add(d.name);
+  app.get("/api/refresh", operator, writable, async (req, res) => {
+    try {
+      const data = await refreshData();
+      res.json(withOverrides(data));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
     }
+  });
 
-    const allCustomDomains = [];
-    for (const { install, domains } of installDomains) {
-      for (const d of domains) {
-        if (!d.name.endsWith(".wpenginepowered.com") && !d.name.endsWith(".wpengine.com")) {
-          allCustomDomains.push({ ...d, _installCname: install.cname });
-        }
+  // Rescan one install / recheck one domain without a full account scan
+  function partialRescan(find, run, checked = () => undefined) {
+    return async (req, res) => {
+      if (!cachedData) return res.status(409).json({ error: "No scan data yet" });
+      if (isRefreshing) return res.status(409).json({ error: "A full scan is in progress" });
+      if (!find(req)) return res.status(404).json({ error: "Not found in the last scan" });
+      try {
+        mergeSites(await run(req, scanOpts()), checked(req));
+        res.json(withOverrides(cachedData));
+      } catch (e) {
+        res.status(502).json({ error: e.message });
       }
-    }
+    };
+  }
 
-    refreshProgress = `DNS checks on ${allCustomDomains.length} domains...`;
-    const dnsResults = {};
-    let done = 0;
-    await batchAsync(allCustomDomains, 30, async (d) => {
-      const result = await dnsLookup(d.name);
-      dnsResults[d.id] = result;
-      done++;
-      if (done % 50 === 0) refreshProgress = `DNS: ${done}/${allCustomDomains.length}`;
-      return result;
-    });
+  app.post("/api/sites/:id/rescan", operator, writable, partialRescan(
+    (req) => cachedData.sites.some((s) => s.id === req.params.id),
+    async (req, opts) => [await rescanSite(cachedData, req.params.id, opts)],
+  ));
+
+  app.post("/api/domains/:name/recheck", operator, writable, partialRescan(
+    (req) => cachedData.sites.some((s) => s.domains.some((d) => d.name === req.params.name && !d.isSystem)),
+    (req, opts) => recheckDomain(cachedData, req.params.name, opts),
+    (req) => req.params.name,
+  ));
+
+  // ── DNS fix instructions for one domain (lib/remediation.js) ──
+
+  const matcher = createWPEMatcher(config.wpe);
+
+  // ?siteId= picks the install when the domain is on more than one; ?format=text|bind returns just that rendering
+  app.get("/api/domains/:name/remediation", (req, res) => {
+    if (!cachedData) return res.status(409).json({ error: "No scan data yet" });
+    const { siteId, format } = req.query;
+    const onSite = (s) => s.domains.find((d) => d.name === req.params.name && !d.isSystem);
+    const site = cachedData.sites.find((s) => (!siteId || s.id === siteId) && onSite(s));
+    if (!site) return res.status(404).json({ error: "Not found in the last scan" });
+    const plan = remediationFor(onSite(site), site, { matcher });
+    if (format === "text" || format === "bind") return res.type("text/plain").send(plan[format]);
+    res.json(plan);
+  });
 
-    const siteData = installDomains.map(({ install, domains }) => {
-      const enrichedDomains = domains.map((d) => {
-        const isSystem = d.name.endsWith(".wpenginepowered.com") || d.name.endsWith(".wpengine.com");
-        const dnsResult = dnsResults[d.id] || null;
-        const { status, detail } = determineDomainStatus(d, dnsResult, install.cname, allDomainNames);
-        return {
-          name: d.name, id: d.id, primary: d.primary,
-          network_type: d.network_type || "", redirect_to: d.redirect_to?.name || null,
-          isSystem, dns: dnsResult, status, detail,
-          sslStatus: d.network_details?.network_info?.ssl?.status || null,
-          expectedCname: d.network_details?.dns_config_info?.cname || null,
-          expectedARecords: d.network_details?.dns_config_info?.a_records || [],
-        };
-      });
-      const custom = enrichedDomains.filter((d) => !d.isSystem);
-      return {
-        name: install.name, id: install.id, environment: install.environment,
-        primary_domain: install.primary_domain, cname: install.cname,
-        php_version: install.php_version, domains: enrichedDomains,
-        issueCount: custom.filter((d) => d.status === "issue").length,
-        pendingCount: custom.filter((d) => d.status === "pending").length,
-      };
-    });
+  // ── Exports: one row per custom domain, same filters as the dashboard ──
 
-    const allDomains = siteData.flatMap((s) => s.domains);
-    const customDomains = allDomains.filter((d) => !d.isSystem);
-
-    cachedData = {
-      sites: siteData,
-      stats: {
-        totalSites: installs.length, totalDomains: allDomains.length,
-        customDomains: customDomains.length,
-        good: customDomains.filter((d) => d.status === "good").length,
-        issues: customDomains.filter((d) => d.status === "issue").length,
-        pending: customDomains.filter((d) => d.status === "pending").length,
-        timestamp: new Date().toISOString(),
-      },
+  function exportHandler(format, render) {
+    return (req, res) => {
+      const filter = req.query.filter || "all";
+      if (!FILTERS.includes(filter)) return res.status(400).json({ error: `filter must be one of ${FILTERS.join(", ")}` });
+      if (!cachedData) return res.status(409).json({ error: "No scan data yet" });
+      const rows = exportRows(withOverrides(cachedData), {
+        filter, q: String(req.query.q || ""), account: String(req.query.account || ""), provider: String(req.query.provider || ""),
+      });
+      const day = cachedData.stats.timestamp.slice(0, 10);
+      res.attachment(`wpe-domains-${day}${filter !== "all" ? "-" + filter : ""}.${format}`);
+      res.send(render(rows));
     };
-    refreshProgress = "";
-    return cachedData;
-  } finally {
-    isRefreshing = false;
   }
-}
 
-// ── Routes ───────────────────────────────────────────────────
+  app.get("/api/export.csv", exportHandler("csv", toCSV));
+  app.get("/api/export.json", exportHandler("json", toJSON));
+
+  // The raw scan plus the overrides and diff in force, for replaying later
+  app.get("/api/snapshot", (req, res) => {
+    if (!cachedData) return res.status(409).json({ error: "No scan data yet" });
+    const saved = createSnapshot(cachedData, { confirmed: confirmedDomains, changes: lastChanges });
+    // Re-downloading a replayed snapshot keeps its original save time
+    if (snapshot) saved.savedAt = snapshot.savedAt;
+    res.attachment(`wpe-snapshot-${saved.savedAt.slice(0, 10)}.json`);
+    res.type("application/json").send(JSON.stringify(saved));
+  });
 
-function applyConfirmedOverrides(data) {
-  if (!data || !data.sites) return data;
-  let confirmedCount = 0;
-  const sites = data.sites.map(site => {
-    const domains = site.domains.map(d => {
-      if (d.status === "issue" && confirmedDomains[d.name]) {
-        confirmedCount++;
-        return { ...d, status: "confirmed", originalStatus: "issue", originalDetail: d.detail, detail: "Confirmed OK", confirmedAt: confirmedDomains[d.name].confirmedAt };
-      }
-      return d;
-    });
-    const custom = domains.filter(d => !d.isSystem);
-    return {
-      ...site, domains,
-      issueCount: custom.filter(d => d.status === "issue").length,
-      confirmedCount: custom.filter(d => d.status === "confirmed").length,
+  // ── Confirm OK overrides ─────────────────────────────────────
+
+  // Who is confirming: the signed-in user, or a name typed into the dashboard when auth is off
+  function actor(req) {
+    if (req.user.username) return req.user.username;
+    const by = typeof req.body.by === "string" ? req.body.by.trim() : "";
+    return by || "anonymous";
+  }
+
+  // Body: { domain, siteId, reason, expiresAt? }
+  app.post("/api/confirm", operator, writable, async (req, res) => {
+    const { domain, siteId, expiresAt } = req.body;
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+    if (!domain || !siteId) return res.status(400).json({ error: "domain and siteId are required" });
+    if (!reason) return res.status(400).json({ error: "reason is required" });
+    if (expiresAt && !(Date.parse(expiresAt) > Date.now())) {
+      return res.status(400).json({ error: "expiresAt must be a date in the future" });
+    }
+    if (!cachedData) return res.status(409).json({ error: "No scan data yet" });
+    const site = cachedData.sites.find((s) => s.id === siteId);
+    if (!site || !site.domains.some((d) => d.name === domain && !d.isSystem)) {
+      return res.status(404).json({ error: "Not found in the last scan" });
+    }
+
+    const confirmation = {
+      domain, siteId, site: site.name, reason,
+      confirmedBy: actor(req),
+      confirmedAt: new Date().toISOString(),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
     };
+    try {
+      confirmedDomains[confirmKey(siteId, domain)] = confirmation;
+      saveConfirmed(CONFIRMED_FILE, confirmedDomains);
+      await audit.append({ action: "confirm", domain, siteId, site: site.name, user: confirmation.confirmedBy, reason, expiresAt: confirmation.expiresAt });
+      res.json({ ok: true, domain, confirmed: true, confirmation });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
   });
-  const allDomains = sites.flatMap(s => s.domains);
-  const customDomains = allDomains.filter(d => !d.isSystem);
-  return {
-    sites,
-    stats: {
-      ...data.stats,
-      good: customDomains.filter(d => d.status === "good").length,
-      issues: customDomains.filter(d => d.status === "issue").length,
-      confirmed: customDomains.filter(d => d.status === "confirmed").length,
-      pending: customDomains.filter(d => d.status === "pending").length,
-    },
-  };
-}
 
-app.use(express.json());
+  // Body: { domain, siteId, reason? }. Removes an older unscoped entry for every install.
+  app.delete("/api/confirm", operator, writable, async (req, res) => {
+    const { domain, siteId } = req.body;
+    if (!domain || !siteId) return res.status(400).json({ error: "domain and siteId are required" });
+    const existing = findConfirmation(confirmedDomains, siteId, domain);
+    if (!existing) return res.status(404).json({ error: "Domain is not confirmed" });
+    const site = cachedData && cachedData.sites.find((s) => s.id === siteId);
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+    try {
+      delete confirmedDomains[existing.key];
+      saveConfirmed(CONFIRMED_FILE, confirmedDomains);
+      await audit.append({
+        action: "unconfirm", domain, siteId, site: existing.site || (site && site.name) || null,
+        user: actor(req), reason: reason || null, previousReason: existing.reason || null,
+      });
+      res.json({ ok: true, domain, confirmed: false });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
 
-app.get("/api/data", (req, res) => {
-  if (cachedData) return res.json(applyConfirmedOverrides(cachedData));
-  res.json({ sites: [], stats: null });
-});
+  app.get("/api/audit", live, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    try {
+      res.json({ entries: await audit.recent({ domain: req.query.domain, siteId: req.query.siteId, limit }) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
 
-app.get("/api/refresh", async (req, res) => {
-  try {
-    const data = await refreshData();
-    res.json(applyConfirmedOverrides(data));
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
+  app.get("/api/changes", (req, res) => {
+    res.json({ changes: lastChanges });
+  });
 
-app.post("/api/confirm", (req, res) => {
-  const { domain } = req.body;
-  if (!domain) return res.status(400).json({ error: "domain is required" });
-  confirmedDomains[domain] = { confirmedAt: new Date().toISOString() };
-  saveConfirmed(confirmedDomains);
-  res.json({ ok: true, domain, confirmed: true });
-});
+  app.get("/api/notify", (req, res) => {
+    res.json(notifier.status());
+  });
 
-app.delete("/api/confirm", (req, res) => {
-  const { domain } = req.body;
-  if (!domain) return res.status(400).json({ error: "domain is required" });
-  delete confirmedDomains[domain];
-  saveConfirmed(confirmedDomains);
-  res.json({ ok: true, domain, confirmed: false });
-});
+  app.post("/api/notify/test", operator, writable, async (req, res) => {
+    try {
+      const results = await notifier.test(req.body && req.body.channel);
+      res.json({ ok: results.length > 0 && results.every((r) => r.ok), results });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  });
 
-app.get("/api/status", (req, res) => {
-  res.json({ refreshing: isRefreshing, progress: refreshProgress, hasData: !!cachedData });
-});
+  app.get("/api/history", live, async (req, res) => {
+    const domain = req.query.domain;
+    if (!domain) return res.status(400).json({ error: "domain is required" });
+    try {
+      res.json({ domain, timeline: await history.domainTimeline(domain) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
 
-app.get("/", (req, res) => {
-  res.send(DASHBOARD_HTML);
-});
+  app.get("/api/sites/:id/history", live, async (req, res) => {
+    try {
+      res.json({ id: req.params.id, ...(await history.siteTimeline(req.params.id)) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.get("/api/status", (req, res) => {
+    res.json({
+      refreshing: isRefreshing,
+      progress: refreshProgress,
+      progressDetail: refreshDetail,
+      hasData: !!cachedData,
+      // Changes on full scans and on single-site rescans / domain rechecks
+      dataTimestamp: cachedData ? cachedData.stats.updatedAt || cachedData.stats.timestamp : null,
+      // Pages/items fetched from the WP Engine API in the last scan
+      fetchSummary: cachedData ? cachedData.summary || null : null,
+      // Saved at this time and loaded from disk on startup; null once a scan has finished
+      restoredAt,
+      lastRun: lastRefresh,
+      schedule: scheduler ? scheduler.status() : { enabled: false },
+      snapshot: snapshotInfo,
+    });
+  });
+
+  app.get("/", (req, res) => {
+    res.send(DASHBOARD_HTML);
+  });
+
+  return { app, auth, scheduler, refreshData, restoredAt };
+}
 
 // ── Dashboard HTML ───────────────────────────────────────────
 
@@ -347,8 +579,13 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
   .filter-btn { padding: 6px 14px; font-size: 12px; background: transparent; border: none; color: #9ca3af; cursor: pointer; transition: all .15s; }
   .filter-btn:hover { color: #e5e7eb; }
   .filter-btn.active { background: #4f46e5; color: #fff; }
+  .account-select, .provider-select { background: #1f2937; border: 1px solid #374151; border-radius: 8px; padding: 6px 10px; color: #e5e7eb; font-size: 12px; outline: none; }
   .refresh-btn { background: #4f46e5; border: none; color: #fff; padding: 6px 16px; border-radius: 8px; font-size: 13px; font-weight: 500; cursor: pointer; transition: all .15s; display: flex; align-items: center; gap: 6px; }
   .refresh-btn:hover { background: #4338ca; }
+  .user-box { display: flex; align-items: center; gap: 8px; font-size: 12px; color: #9ca3af; padding-left: 8px; border-left: 1px solid #374151; }
+  .user-box form { display: inline; }
+  .logout-btn, .audit-btn { background: transparent; border: 1px solid #374151; color: #9ca3af; padding: 5px 10px; border-radius: 8px; font-size: 12px; cursor: pointer; }
+  .logout-btn:hover, .audit-btn:hover { color: #e5e7eb; border-color: #4b5563; }
   .refresh-btn:disabled { background: #374151; color: #6b7280; cursor: not-allowed; }
   .refresh-btn .spinner { width: 14px; height: 14px; border: 2px solid rgba(255,255,255,.3); border-top-color: #fff; border-radius: 50%; animation: spin .6s linear infinite; }
   @keyframes spin { to { transform: rotate(360deg); } }
@@ -359,8 +596,14 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
   .stat { background: #111827; border: 1px solid #1f2937; border-radius: 12px; padding: 16px; }
   .stat-label { font-size: 10px; text-transform: uppercase; letter-spacing: .08em; color: #6b7280; margin-bottom: 4px; }
   .stat-value { font-size: 28px; font-weight: 700; }
+  .account-stats { grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); }
+  .stat.account, .stat.provider { cursor: pointer; transition: border-color .15s; }
+  .stat.account:hover, .stat.account.active, .stat.provider:hover, .stat.provider.active { border-color: #6366f1; }
+  .provider-stats { grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); }
+  .provider-stats .stat-value { font-size: 22px; }
+  .account-counts { font-size: 12px; color: #9ca3af; margin-top: 4px; }
   .c-white { color: #e5e7eb; } .c-blue { color: #60a5fa; } .c-indigo { color: #818cf8; }
-  .c-green { color: #34d399; } .c-red { color: #f87171; } .c-amber { color: #fbbf24; } .c-teal { color: #2dd4bf; }
+  .c-green { color: #34d399; } .c-red { color: #f87171; } .c-amber { color: #fbbf24; } .c-orange { color: #fb923c; } .c-teal { color: #2dd4bf; }
 
   .site-card { background: #111827; border: 1px solid #1f2937; border-radius: 12px; margin-bottom: 10px; overflow: hidden; }
   .site-header { display: flex; align-items: center; justify-content: space-between; padding: 14px 20px; cursor: pointer; transition: background .15s; user-select: none; }
@@ -374,6 +617,7 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
   .b-green { background: rgba(6,78,59,.4); color: #6ee7b7; border-color: #065f46; }
   .b-red { background: rgba(127,29,29,.4); color: #fca5a5; border-color: #7f1d1d; }
   .b-amber { background: rgba(120,53,15,.4); color: #fcd34d; border-color: #78350f; }
+  .b-orange { background: rgba(124,45,18,.4); color: #fdba74; border-color: #9a3412; }
   .b-blue { background: rgba(30,58,138,.4); color: #93c5fd; border-color: #1e3a8a; }
   .chevron { width: 16px; height: 16px; color: #6b7280; transition: transform .2s; flex-shrink: 0; }
   .chevron.open { transform: rotate(180deg); }
@@ -388,17 +632,65 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
   .system-name { color: #6b7280; }
   .redirect { color: #4b5563; font-size: 11px; }
   .resolves-to { color: #6b7280; font-size: 11px; max-width: 220px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .detail-text { color: #9ca3af; font-size: 11px; }
   .verdict { font-weight: 700; font-size: 13px; display: flex; align-items: center; gap: 6px; }
-  .v-good { color: #34d399; } .v-issue { color: #f87171; } .v-pending { color: #fbbf24; } .v-na { color: #4b5563; } .v-confirmed { color: #2dd4bf; }
+  .v-good { color: #34d399; } .v-issue { color: #f87171; } .v-pending { color: #fbbf24; } .v-propagating { color: #fb923c; } .v-na { color: #4b5563; } .v-confirmed { color: #2dd4bf; }
   .b-teal { background: rgba(13,148,136,.3); color: #5eead4; border-color: #0d9488; }
   .confirm-btn { padding: 2px 8px; border-radius: 6px; font-size: 10px; font-weight: 600; cursor: pointer; border: 1px solid; transition: all .15s; }
   .confirm-btn.mark { background: rgba(13,148,136,.2); color: #5eead4; border-color: #0d9488; }
   .confirm-btn.mark:hover { background: rgba(13,148,136,.4); }
   .confirm-btn.unmark { background: rgba(127,29,29,.2); color: #fca5a5; border-color: #7f1d1d; }
   .confirm-btn.unmark:hover { background: rgba(127,29,29,.4); }
+  .confirm-note { display: block; color: #6b7280; font-size: 11px; margin-top: 3px; max-width: 320px; }
+  .confirm-note.expired { color: #fca5a5; }
+  .dialog { background: #111827; color: #e5e7eb; border: 1px solid #1f2937; border-radius: 12px; padding: 20px; width: 440px; max-width: 92vw; }
+  .dialog::backdrop { background: rgba(3,7,18,.7); }
+  .dialog.wide { width: 820px; }
+  .dialog h3 { font-size: 15px; font-weight: 600; margin-bottom: 4px; }
+  .dialog .meta { font-size: 12px; color: #6b7280; }
+  .dialog label { display: block; font-size: 11px; color: #9ca3af; margin: 12px 0 4px; }
+  .dialog textarea, .dialog input { width: 100%; background: #1f2937; border: 1px solid #374151; border-radius: 8px; padding: 6px 10px; color: #e5e7eb; font: inherit; font-size: 13px; outline: none; }
+  .dialog textarea { min-height: 70px; resize: vertical; }
+  .dialog textarea:focus, .dialog input:focus { border-color: #6366f1; }
+  .dialog-actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px; }
+  .dialog-error { color: #fca5a5; font-size: 12px; margin-top: 8px; }
+  .audit-list { max-height: 60vh; overflow-y: auto; margin-top: 12px; }
+  .audit-list .domain-table td { font-size: 12px; }
+  .changes { background: #111827; border: 1px solid #1f2937; border-radius: 12px; margin-bottom: 16px; font-size: 12px; }
+  .changes summary { padding: 12px 20px; cursor: pointer; font-weight: 600; font-size: 13px; list-style: none; display: flex; gap: 8px; align-items: center; }
+  .changes summary::-webkit-details-marker { display: none; }
+  .changes-body { padding: 4px 20px 14px; display: flex; flex-direction: column; gap: 10px; }
+  .changes h4 { font-size: 10px; text-transform: uppercase; letter-spacing: .06em; color: #6b7280; margin-bottom: 4px; font-weight: 500; }
+  .change-item { color: #9ca3af; padding: 2px 0; }
+  .change-item b { color: #e5e7eb; font-weight: 500; }
+  .b-violet { background: rgba(76,29,149,.4); color: #c4b5fd; border-color: #5b21b6; }
+  .hist-btn { padding: 2px 8px; border-radius: 6px; font-size: 10px; font-weight: 600; cursor: pointer; border: 1px solid #374151; background: #1f2937; color: #9ca3af; transition: all .15s; margin-left: 4px; }
+  .hist-btn:hover { color: #e5e7eb; border-color: #4b5563; }
+  .fix-btn { padding: 2px 8px; border-radius: 6px; font-size: 10px; font-weight: 600; cursor: pointer; border: 1px solid #7f1d1d; background: rgba(127,29,29,.2); color: #fca5a5; transition: all .15s; margin-left: 4px; }
+  .fix-btn:hover { background: rgba(127,29,29,.4); }
+  .dialog.drawer { margin: 0 0 0 auto; height: 100vh; max-height: 100vh; width: 600px; max-width: 100vw; border-radius: 0; border-width: 0 0 0 1px; overflow-y: auto; }
+  .drawer h4 { font-size: 11px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: .04em; margin: 18px 0 6px; }
+  .fix-table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  .fix-table td { padding: 4px 8px; border-bottom: 1px solid #1f2937; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; word-break: break-all; }
+  .fix-table td.why { font-family: inherit; color: #6b7280; word-break: normal; }
+  .fix-table tr.del td:not(.why) { color: #fca5a5; text-decoration: line-through; }
+  .fix-notes { font-size: 12px; color: #9ca3af; padding-left: 18px; line-height: 1.5; }
+  .snippet { background: #030712; border: 1px solid #1f2937; border-radius: 8px; padding: 10px 12px; font-size: 11px; line-height: 1.5; white-space: pre; overflow-x: auto; color: #d1d5db; }
+  .recheck-btn { padding: 2px 8px; border-radius: 6px; font-size: 10px; font-weight: 600; cursor: pointer; border: 1px solid #3730a3; background: rgba(49,46,129,.3); color: #a5b4fc; transition: all .15s; margin-left: 4px; }
+  .recheck-btn:hover { color: #e0e7ff; border-color: #4f46e5; }
+  .recheck-btn:disabled { color: #6b7280; border-color: #374151; background: #1f2937; cursor: wait; }
+  .site-right { display: flex; align-items: center; gap: 10px; }
+  .scan-status { color: #a5b4fc; }
+  .history-row td { background: rgba(3,7,18,.6); padding: 8px 16px 12px 28px; }
+  .timeline { display: flex; flex-direction: column; gap: 4px; font-size: 11px; }
+  .tl-entry { display: grid; grid-template-columns: 10px 260px 90px 1fr 110px; gap: 10px; align-items: center; color: #9ca3af; }
+  .tl-when { color: #6b7280; }
+  .tl-empty { color: #4b5563; font-size: 11px; }
 
   .count-info { font-size: 11px; color: #6b7280; margin-bottom: 12px; }
   .no-match { text-align: center; padding: 48px; color: #4b5563; }
+  .snapshot-banner { background: rgba(99,102,241,.12); border: 1px solid rgba(99,102,241,.4); color: #c7d2fe; border-radius: 12px; padding: 10px 16px; margin-bottom: 16px; font-size: 13px; }
+  .stale-banner { background: rgba(245,158,11,.1); border: 1px solid rgba(245,158,11,.4); color: #fcd34d; border-radius: 12px; padding: 10px 16px; margin-bottom: 16px; font-size: 13px; }
   .hidden { display: none !important; }
   .loading-screen { display: flex; flex-direction: column; align-items: center; justify-content: center; padding: 80px 20px; }
   .loading-screen .big-spinner { width: 40px; height: 40px; border: 3px solid #1f2937; border-top-color: #6366f1; border-radius: 50%; animation: spin .8s linear infinite; margin-bottom: 16px; }
@@ -414,6 +706,7 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
       <div>
         <h1>WP Engine Domain Monitor</h1>
         <div class="meta" id="timestamp">Loading...</div>
+        <div class="meta scan-status hidden" id="scanStatus"></div>
       </div>
     </div>
     <div class="controls">
@@ -424,16 +717,34 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
         <button class="filter-btn" data-filter="confirmed">Confirmed</button>
         <button class="filter-btn" data-filter="good">Good</button>
       </div>
+      <select class="account-select hidden" id="accountSelect"></select>
+      <select class="provider-select hidden" id="providerSelect" title="Show only domains whose DNS is hosted here"></select>
+      <div class="filter-group" title="Download the domains matching the current search and filters">
+        <button class="filter-btn" onclick="exportData('csv')">CSV</button>
+        <button class="filter-btn" onclick="exportData('json')">JSON</button>
+        <button class="filter-btn" onclick="location.href='/api/snapshot'" title="Save the whole scan to replay later with node server.js --snapshot">Snapshot</button>
+      </div>
       <button class="refresh-btn" id="refreshBtn" onclick="doRefresh()">
         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M21 2v6h-6"/><path d="M3 12a9 9 0 0 1 15-6.7L21 8"/><path d="M3 22v-6h6"/><path d="M21 12a9 9 0 0 1-15 6.7L3 16"/></svg>
         <span id="refreshLabel">Refresh</span>
       </button>
+      <button id="auditBtn" class="audit-btn" onclick="openAudit()" title="Who confirmed or unconfirmed which domains">Audit log</button>
+      <div class="user-box hidden" id="userBox">
+        <span id="userName"></span>
+        <span class="badge b-gray" id="userRole"></span>
+        <form method="post" action="/logout"><button class="logout-btn" type="submit">Log out</button></form>
+      </div>
     </div>
   </div>
 </div>
 
 <div class="content">
+  <div class="snapshot-banner hidden" id="snapshotBanner"></div>
+  <div class="stale-banner hidden" id="staleBanner"></div>
   <div class="stats" id="statsBar"></div>
+  <div class="stats account-stats hidden" id="accountStats"></div>
+  <div class="stats provider-stats hidden" id="providerStats" title="Issues by DNS provider"></div>
+  <details class="changes hidden" id="changesPanel"></details>
   <div class="count-info" id="countInfo"></div>
   <div id="siteList"></div>
   <div class="no-match hidden" id="noMatch">No sites match your filters.</div>
@@ -443,13 +754,62 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
   </div>
 </div>
 
+<dialog class="dialog" id="confirmDialog">
+  <form id="confirmForm" method="dialog">
+    <h3>Confirm OK</h3>
+    <div class="meta" id="confirmTarget"></div>
+    <label for="confirmReason">Reason (required)</label>
+    <textarea id="confirmReason" required placeholder="e.g. Behind Cloudflare proxy, origin points to WP Engine"></textarea>
+    <label for="confirmExpires">Expires (optional) &mdash; the domain counts as an issue again after this day</label>
+    <input type="date" id="confirmExpires">
+    <div id="confirmByField" class="hidden">
+      <label for="confirmBy">Your name</label>
+      <input type="text" id="confirmBy">
+    </div>
+    <div class="dialog-error hidden" id="confirmError"></div>
+    <div class="dialog-actions">
+      <button type="button" class="logout-btn" onclick="document.getElementById('confirmDialog').close()">Cancel</button>
+      <button type="submit" class="refresh-btn">Confirm OK</button>
+    </div>
+  </form>
+</dialog>
+
+<dialog class="dialog drawer" id="fixDrawer">
+  <h3 id="fixTitle">Fix DNS</h3>
+  <div class="meta" id="fixMeta"></div>
+  <div id="fixBody"></div>
+  <div class="dialog-actions">
+    <button type="button" class="audit-btn" onclick="copyFix('text', this)">Copy instructions</button>
+    <button type="button" class="audit-btn" onclick="copyFix('bind', this)">Copy BIND snippet</button>
+    <button type="button" class="logout-btn" onclick="document.getElementById('fixDrawer').close()">Close</button>
+  </div>
+</dialog>
+
+<dialog class="dialog wide" id="auditDialog">
+  <h3>Confirmation audit log</h3>
+  <input class="search" type="text" placeholder="Filter by domain or install..." id="auditSearch" style="margin-top:8px">
+  <div class="audit-list" id="auditList"></div>
+  <div class="dialog-actions">
+    <button type="button" class="logout-btn" onclick="document.getElementById('auditDialog').close()">Close</button>
+  </div>
+</dialog>
+
 <script>
 let DATA = [];
 let STATS = null;
-let currentFilter = "all", currentSearch = "";
+let currentFilter = "all", currentSearch = "", currentAccount = "", currentProvider = "";
 let refreshing = false;
-
-function esc(s) { return s ? s.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;") : ""; }
+let ROLE = "operator";
+let AUTH_ENABLED = false;
+let REPLAY = false;
+let nextRunAt = null;
+// Save time of a scan the server loaded from disk, until a fresh scan finishes
+let RESTORED_AT = null;
+let CHANGED = new Set();
+// Site id -> expanded, for sites the user opened or closed by hand
+let OPEN = new Map();
+
+function esc(s) { return s ? s.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;") : ""; }
 
 function renderStats() {
   if (!STATS) { document.getElementById("statsBar").innerHTML = ""; return; }
@@ -461,73 +821,247 @@ function renderStats() {
     '<div class="stat"><div class="stat-label">Good</div><div class="stat-value c-green">'+s.good+'</div></div>' +
     '<div class="stat"><div class="stat-label">Issues</div><div class="stat-value '+(s.issues>0?'c-red':'c-green')+'">'+s.issues+'</div></div>' +
     '<div class="stat"><div class="stat-label">Confirmed</div><div class="stat-value c-teal">'+(s.confirmed||0)+'</div></div>' +
-    '<div class="stat"><div class="stat-label">Pending</div><div class="stat-value c-amber">'+s.pending+'</div></div>';
-  document.getElementById("timestamp").textContent = "Updated " + new Date(s.timestamp).toLocaleString();
+    '<div class="stat"><div class="stat-label">Pending</div><div class="stat-value c-amber">'+s.pending+'</div></div>' +
+    (s.tlsWarnings ? '<div class="stat"><div class="stat-label">TLS Warnings</div><div class="stat-value c-red">'+s.tlsWarnings+'</div></div>' : '') +
+    (s.httpIssues ? '<div class="stat"><div class="stat-label">HTTP Issues</div><div class="stat-value c-red">'+s.httpIssues+'</div></div>' : '') +
+    (s.propagating ? '<div class="stat"><div class="stat-label">Propagating</div><div class="stat-value c-orange">'+s.propagating+'</div></div>' : '') +
+    (s.unavailableSites ? '<div class="stat"><div class="stat-label">Data Unavailable</div><div class="stat-value c-amber">'+s.unavailableSites+'</div></div>' : '');
+  renderAccounts(s.accounts || []);
+  const updated = s.updatedAt || s.timestamp;
+  document.getElementById("timestamp").textContent = "Updated " + new Date(updated).toLocaleString() + " (" + age(updated) + ")" +
+    (nextRunAt ? " \\u00b7 next scan " + new Date(nextRunAt).toLocaleTimeString() : "");
+  renderStale();
+}
+
+function age(ts) {
+  const mins = Math.max(0, Math.round((Date.now() - new Date(ts)) / 60000));
+  if (mins < 1) return "just now";
+  if (mins < 60) return mins + " min ago";
+  if (mins < 48 * 60) return Math.round(mins / 60) + " h ago";
+  return Math.round(mins / 1440) + " days ago";
+}
+
+// Data loaded from disk on startup is stale until the first scan finishes
+function renderStale() {
+  const banner = document.getElementById("staleBanner");
+  banner.classList.toggle("hidden", !RESTORED_AT);
+  if (!RESTORED_AT) return;
+  banner.textContent = "Showing the last saved scan from " + new Date(RESTORED_AT).toLocaleString() + " (" + age(RESTORED_AT) + ")" +
+    (refreshing ? " \\u2014 a fresh scan is running and replaces it site by site." : " \\u2014 it may be out of date.");
+}
+
+// Account filter + per-account cards, only when more than one account is scanned
+function renderAccounts(accounts) {
+  const multi = accounts.length > 1;
+  const select = document.getElementById("accountSelect");
+  const bar = document.getElementById("accountStats");
+  select.classList.toggle("hidden", !multi);
+  bar.classList.toggle("hidden", !multi);
+  if (!multi) { currentAccount = ""; return; }
+  if (currentAccount && !accounts.some(a => a.name === currentAccount)) currentAccount = "";
+  select.innerHTML = '<option value="">All accounts</option>' +
+    accounts.map(a => '<option value="' + esc(a.name) + '"' + (a.name === currentAccount ? ' selected' : '') + '>' + esc(a.name) + '</option>').join("");
+  bar.innerHTML = accounts.map(a =>
+    '<div class="stat account' + (a.name === currentAccount ? ' active' : '') + '" data-account="' + esc(a.name) + '">' +
+      '<div class="stat-label">' + esc(a.name) + '</div>' +
+      '<div class="stat-value ' + (a.issues > 0 ? 'c-red' : 'c-white') + '">' + a.totalSites + ' <span style="font-size:13px;font-weight:400;color:#6b7280">sites</span></div>' +
+      '<div class="account-counts">' + a.good + ' good \u00b7 ' + a.issues + ' issue' + (a.issues !== 1 ? 's' : '') +
+        (a.confirmed ? ' \u00b7 ' + a.confirmed + ' confirmed' : '') + (a.pending ? ' \u00b7 ' + a.pending + ' pending' : '') + '</div>' +
+    '</div>').join("");
+  bar.querySelectorAll(".stat.account").forEach(card => card.addEventListener("click", () => {
+    setAccount(card.dataset.account === currentAccount ? "" : card.dataset.account);
+  }));
+}
+
+function setAccount(name) {
+  currentAccount = name;
+  renderAccounts(STATS.accounts || []);
+  renderSites();
+}
+
+// DNS provider filter + issue counts per provider (lib/nameservers.js)
+function renderProviders() {
+  const counts = new Map();
+  for (const site of DATA) {
+    if (currentAccount && site.account !== currentAccount) continue;
+    for (const d of site.domains) {
+      if (d.isSystem || !d.dnsProvider || !d.dnsProvider.provider) continue;
+      const c = counts.get(d.dnsProvider.provider) || { domains: 0, issues: 0, known: d.dnsProvider.known };
+      c.domains++;
+      if (d.status === "issue") c.issues++;
+      counts.set(d.dnsProvider.provider, c);
+    }
+  }
+  const select = document.getElementById("providerSelect");
+  const bar = document.getElementById("providerStats");
+  select.classList.toggle("hidden", counts.size === 0);
+  if (currentProvider && !counts.has(currentProvider)) currentProvider = "";
+  const names = [...counts.keys()].sort((a, b) => a.localeCompare(b));
+  select.innerHTML = '<option value="">All DNS providers</option>' +
+    names.map(n => '<option value="' + esc(n) + '"' + (n === currentProvider ? ' selected' : '') + '>' + esc(n) + ' (' + counts.get(n).domains + ')</option>').join("");
+  const withIssues = names.filter(n => counts.get(n).issues > 0).sort((a, b) => counts.get(b).issues - counts.get(a).issues);
+  bar.classList.toggle("hidden", withIssues.length === 0);
+  bar.innerHTML = withIssues.map(n => {
+    const c = counts.get(n);
+    return '<div class="stat provider' + (n === currentProvider ? ' active' : '') + '" data-provider="' + esc(n) + '"' + (c.known ? '' : ' title="Unrecognised nameservers, grouped by their domain"') + '>' +
+      '<div class="stat-label">Issues at ' + esc(n) + '</div>' +
+      '<div class="stat-value c-red">' + c.issues + ' <span style="font-size:13px;font-weight:400;color:#6b7280">of ' + c.domains + ' domains</span></div>' +
+    '</div>';
+  }).join("");
+  bar.querySelectorAll(".stat.provider").forEach(card => card.addEventListener("click", () => {
+    setProvider(card.dataset.provider === currentProvider ? "" : card.dataset.provider);
+  }));
+}
+
+function setProvider(name) {
+  currentProvider = name;
+  renderSites();
+}
+
+function providerCell(d) {
+  const p = d.dnsProvider;
+  if (!p) return '<span class="detail-text">\u2014</span>';
+  if (!p.provider) return '<span class="detail-text" title="' + esc(p.error ? "NS lookup failed: " + p.error : "No NS records found for this domain or its parents") + '">unknown</span>';
+  return '<span class="badge ' + (p.known ? 'b-blue' : 'b-gray') + '" title="' + esc("Nameservers for " + p.zone + ":\\n" + p.nameservers.join("\\n")) + '">' + esc(p.provider) + '</span>';
+}
+
+async function loadChanges() {
+  try {
+    const { changes } = await fetch("/api/changes").then(r => r.json());
+    renderChanges(changes);
+  } catch {}
+}
+
+function renderChanges(c) {
+  const panel = document.getElementById("changesPanel");
+  CHANGED = new Set();
+  if (!c || c.total === 0) { panel.classList.add("hidden"); return; }
+  for (const list of [c.domainsAdded, c.statusChanges, c.dnsChanges, c.sslChanges]) {
+    list.forEach(x => CHANGED.add(x.siteId + "|" + x.domain));
+  }
+  const where = x => ' <span class="redirect">(' + esc(x.site) + ')</span>';
+  const records = r => (r.cnames.length > 0 ? r.cnames : r.ips.concat(r.ips6 || [])).join(", ") || "none";
+  const section = (title, items, fn) => items.length === 0 ? '' :
+    '<div><h4>' + title + ' (' + items.length + ')</h4>' + items.map(x => '<div class="change-item">' + fn(x) + '</div>').join("") + '</div>';
+  panel.innerHTML =
+    '<summary>What changed since last scan <span class="badge b-violet">' + c.total + ' change' + (c.total !== 1 ? 's' : '') + '</span>' +
+      '<span class="meta" style="font-weight:400;color:#6b7280">' + new Date(c.from).toLocaleString() + ' \\u2192 ' + new Date(c.to).toLocaleString() + '</span></summary>' +
+    '<div class="changes-body">' +
+      section("Status changes", c.statusChanges, x => '<b>' + esc(x.domain) + '</b>' + where(x) + ': ' + esc(x.fromDetail) + ' \\u2192 ' + esc(x.toDetail)) +
+      section("New installs", c.installsAdded, x => '<b>' + esc(x.site) + '</b> <span class="redirect">' + esc(x.environment) + '</span>') +
+      section("Removed installs", c.installsRemoved, x => '<b>' + esc(x.site) + '</b> <span class="redirect">' + esc(x.environment) + '</span>') +
+      section("Domains added", c.domainsAdded, x => '<b>' + esc(x.domain) + '</b>' + where(x) + ': ' + esc(x.detail)) +
+      section("Domains removed", c.domainsRemoved, x => '<b>' + esc(x.domain) + '</b>' + where(x)) +
+      section("DNS answers changed", c.dnsChanges, x => '<b>' + esc(x.domain) + '</b>' + where(x) + ': ' + esc(records(x.before)) + ' \\u2192 ' + esc(records(x.after))) +
+      section("SSL status changed", c.sslChanges, x => '<b>' + esc(x.domain) + '</b>' + where(x) + ': ' + esc(x.from || "none") + ' \\u2192 ' + esc(x.to || "none")) +
+    '</div>';
+  panel.open = c.statusChanges.length > 0;
+  panel.classList.remove("hidden");
+}
+
+// Domain count, flagged when fewer domains came back than the API reported
+function domainsBadge(site) {
+  const f = site.domainFetch;
+  if (f && f.expected !== null && f.items < f.expected) {
+    return '<span class="badge b-amber" title="Only ' + f.items + ' of ' + f.expected + ' domains were returned by the API">' + f.items + ' of ' + f.expected + ' domains</span>';
+  }
+  const title = f ? ' title="' + f.items + ' domains fetched in ' + f.pages + ' page' + (f.pages !== 1 ? 's' : '') + '"' : '';
+  return '<span class="badge b-gray"' + title + '>' + site.domains.length + ' domains</span>';
 }
 
 function renderSites() {
   const el = document.getElementById("siteList");
   const q = currentSearch.toLowerCase();
 
+  renderProviders();
+  const multiAccount = STATS && STATS.accounts && STATS.accounts.length > 1;
+  const atProvider = d => !currentProvider || (!!d.dnsProvider && d.dnsProvider.provider === currentProvider);
   const filtered = DATA.filter(site => {
+    if (currentAccount && site.account !== currentAccount) return false;
+    if (currentProvider && !site.domains.some(atProvider)) return false;
     if (q) {
       if (!site.name.toLowerCase().includes(q) &&
           !(site.primary_domain||"").toLowerCase().includes(q) &&
           !site.domains.some(d => d.name.toLowerCase().includes(q))) return false;
     }
     if (currentFilter === "all") return true;
-    if (currentFilter === "issues") return site.issueCount > 0;
+    if (currentFilter === "issues") return site.issueCount > 0 || !!site.fetchError;
     if (currentFilter === "confirmed") return (site.confirmedCount || 0) > 0;
-    return site.issueCount === 0 && (site.confirmedCount || 0) === 0;
+    return !site.fetchError && site.issueCount === 0 && (site.confirmedCount || 0) === 0 && (site.propagatingCount || 0) === 0;
   });
 
   document.getElementById("countInfo").textContent = "Showing " + filtered.length + " of " + DATA.length + " sites";
   document.getElementById("noMatch").classList.toggle("hidden", filtered.length > 0);
 
   el.innerHTML = filtered.map(site => {
-    const dotCls = site.issueCount > 0 ? "dot-red" : (site.confirmedCount||0) > 0 ? "dot-amber" : site.domains.filter(d=>!d.isSystem&&(d.status==="good"||d.status==="confirmed")).length === site.domains.filter(d=>!d.isSystem).length && site.domains.filter(d=>!d.isSystem).length > 0 ? "dot-green" : "dot-gray";
-    const autoOpen = (currentFilter === "issues" && site.issueCount > 0) || (currentFilter === "confirmed" && (site.confirmedCount||0) > 0);
+    const dotCls = site.issueCount > 0 ? "dot-red" : site.fetchError ? "dot-amber" : (site.confirmedCount||0) > 0 ? "dot-amber" : site.domains.filter(d=>!d.isSystem&&(d.status==="good"||d.status==="confirmed")).length === site.domains.filter(d=>!d.isSystem).length && site.domains.filter(d=>!d.isSystem).length > 0 ? "dot-green" : "dot-gray";
+    const autoOpen = OPEN.has(site.id) ? OPEN.get(site.id) :
+      (currentFilter === "issues" && (site.issueCount > 0 || !!site.fetchError)) || (currentFilter === "confirmed" && (site.confirmedCount||0) > 0);
 
     return '<div class="site-card">' +
-      '<div class="site-header">' +
+      '<div class="site-header" data-site="' + esc(site.id) + '">' +
         '<div class="site-left">' +
           '<div class="dot ' + dotCls + '"></div>' +
           '<span class="site-name">' + esc(site.name) + '</span>' +
           '<span class="badge b-gray">' + esc(site.environment) + '</span>' +
+          (multiAccount && site.account ? '<span class="badge b-blue">' + esc(site.account) + '</span>' : '') +
           (site.primary_domain ? '<span class="primary-domain">' + esc(site.primary_domain) + '</span>' : '') +
-          '<span class="badge b-gray">' + site.domains.length + ' domains</span>' +
+          (site.fetchError
+            ? '<span class="badge b-amber" title="' + esc(site.fetchError) + '">data unavailable</span>'
+            : domainsBadge(site)) +
           (site.issueCount > 0 ? '<span class="badge b-red">' + site.issueCount + ' issue' + (site.issueCount!==1?'s':'') + '</span>' : '') +
           ((site.confirmedCount||0) > 0 ? '<span class="badge b-teal">' + site.confirmedCount + ' confirmed</span>' : '') +
           (site.pendingCount > 0 ? '<span class="badge b-amber">' + site.pendingCount + ' pending</span>' : '') +
-          (site.issueCount === 0 && (site.confirmedCount||0) === 0 && site.pendingCount === 0 && site.domains.filter(d=>!d.isSystem).length > 0 ? '<span class="badge b-green">All good</span>' : '') +
+          ((site.propagatingCount||0) > 0 ? '<span class="badge b-orange">' + site.propagatingCount + ' propagating</span>' : '') +
+          ((site.httpIssueCount||0) > 0 ? '<span class="badge b-red">' + site.httpIssueCount + ' HTTP issue' + (site.httpIssueCount!==1?'s':'') + '</span>' : '') +
+          ((site.tlsWarningCount||0) > 0 ? '<span class="badge b-red">' + site.tlsWarningCount + ' TLS warning' + (site.tlsWarningCount!==1?'s':'') + '</span>' : '') +
+          (site.issueCount === 0 && (site.confirmedCount||0) === 0 && site.pendingCount === 0 && (site.propagatingCount||0) === 0 && site.domains.filter(d=>!d.isSystem).length > 0 ? '<span class="badge b-green">All good</span>' : '') +
+        '</div>' +
+        '<div class="site-right">' +
+          (ROLE === "operator" ? '<button class="recheck-btn" data-site="' + esc(site.id) + '" title="Refetch this install from the API and rerun its checks">Recheck</button>' : '') +
+          '<svg class="chevron' + (autoOpen ? ' open' : '') + '" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/></svg>' +
         '</div>' +
-        '<svg class="chevron' + (autoOpen ? ' open' : '') + '" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/></svg>' +
       '</div>' +
       '<table class="domain-table" style="display:' + (autoOpen ? 'table' : 'none') + '">' +
-        '<thead><tr><th>Domain</th><th>Network</th><th>DNS Status</th><th>Resolves To</th><th>SSL</th><th>Verdict</th><th></th></tr></thead>' +
-        '<tbody>' + site.domains.map(d => {
-          const dotColor = d.status==="good"?"#34d399":d.status==="issue"?"#f87171":d.status==="confirmed"?"#2dd4bf":d.status==="pending"?"#fbbf24":"#4b5563";
-          const resolvesTo = d.dns ? (d.dns.cnames.length > 0 ? d.dns.cnames.join(", ") : d.dns.ips.length > 0 ? d.dns.ips.join(", ") : "\\u2014") : "\\u2014";
-          const statusBadge = d.status==="good"?'b-green':d.status==="issue"?'b-red':d.status==="confirmed"?'b-teal':d.status==="pending"?'b-amber':'b-gray';
-          const verdictCls = d.status==="good"?"v-good":d.status==="issue"?"v-issue":d.status==="confirmed"?"v-confirmed":d.status==="pending"?"v-pending":"v-na";
-          const verdictText = d.status==="good"?"GOOD":d.status==="issue"?"ISSUE":d.status==="confirmed"?"CONFIRMED":d.status==="pending"?"PENDING":d.status==="system"?"\\u2014":"?";
+        '<thead><tr><th>Domain</th><th>Network</th><th>DNS Status</th><th>Resolves To</th><th>DNS Provider</th><th>SSL</th><th>HTTP</th><th>Verdict</th><th></th></tr></thead>' +
+        '<tbody>' + (site.fetchError ? '<tr><td colspan="9" class="detail-text">Domain data unavailable: ' + esc(site.fetchError) + '. Will retry on the next scan.</td></tr>' : '') +
+        site.domains.filter(atProvider).map(d => {
+          const dotColor = d.status==="good"?"#34d399":d.status==="issue"?"#f87171":d.status==="confirmed"?"#2dd4bf":d.status==="pending"?"#fbbf24":d.status==="propagating"?"#fb923c":"#4b5563";
+          // Per-resolver answers (lib/resolver.js) shown on hover
+          const sourcesTitle = d.dns && d.dns.sources ? d.dns.sources.map(src => src.source + ": " + (src.error ? src.error : src.cnames.concat(src.ips, src.ips6 || []).join(", ") || "no answer")).join("\\n") : "";
+          const resolvesTo = d.dns ? (d.dns.cnames.length > 0 ? d.dns.cnames : d.dns.ips.concat(d.dns.ips6 || [])).join(", ") || "\\u2014" : "\\u2014";
+          const statusBadge = d.status==="good"?'b-green':d.status==="issue"?'b-red':d.status==="confirmed"?'b-teal':d.status==="pending"?'b-amber':d.status==="propagating"?'b-orange':'b-gray';
+          const verdictCls = d.status==="good"?"v-good":d.status==="issue"?"v-issue":d.status==="confirmed"?"v-confirmed":d.status==="pending"?"v-pending":d.status==="propagating"?"v-propagating":"v-na";
+          const verdictText = d.status==="good"?"GOOD":d.status==="issue"?"ISSUE":d.status==="confirmed"?"CONFIRMED":d.status==="pending"?"PENDING":d.status==="propagating"?"PROPAGATING":d.status==="system"?"\\u2014":"?";
           const netBadge = d.network_type==="AN"?"b-blue":d.network_type==="GES"?"b-green":"b-gray";
           const sslBadge = d.sslStatus==="active"?"b-green":d.sslStatus==="expired"?"b-red":d.sslStatus==="pending_validation"?"b-amber":"b-gray";
-          const confirmBtn = d.status==="issue" ? '<button class="confirm-btn mark" data-domain="' + esc(d.name) + '" data-action="confirm">Confirm OK</button>' : d.status==="confirmed" ? '<button class="confirm-btn unmark" data-domain="' + esc(d.name) + '" data-action="unconfirm">Unconfirm</button>' : '';
+          // What the domain actually serves on 443 (lib/tls-check.js)
+          const tlsBadge = d.tls ? (d.tls.status==="valid"?"b-green":d.tls.status==="expiring"?"b-amber":"b-red") : "";
+          const httpBadge = d.http ? (d.http.status==="ok"?(d.http.wpeHeaders.length>0?"b-green":"b-gray"):"b-red") : "";
+          const httpText = d.http ? (d.http.status==="ok" ? d.http.finalStatus + " \\u00b7 " + d.http.responseTimeMs + "ms" : d.http.detail) : "";
+          const httpTitle = d.http ? d.http.chain.map(h => h.status + " " + h.url).join("\\n") + (d.http.finalUrl ? "\\nFinal: " + d.http.finalUrl : "") + (d.http.wpeHeaders ? "\\nWP Engine headers: " + (d.http.wpeHeaders.join(", ") || "none") : "") : "";
+          const tlsTitle = d.tls && !d.tls.error ? "Issuer: " + (d.tls.issuer||"?") + "\\n" + "SAN: " + d.tls.san.join(", ") + "\\n" + "Expires: " + d.tls.validTo.slice(0,10) + "\\n" + "Chain: " + (d.tls.chainValid ? "valid" : d.tls.chainError) : "";
+          const confirmBtn = ROLE !== "operator" ? '' : d.status==="issue" ? '<button class="confirm-btn mark" data-site="' + esc(site.id) + '" data-domain="' + esc(d.name) + '" data-action="confirm">Confirm OK</button>' : d.status==="confirmed" ? '<button class="confirm-btn unmark" data-site="' + esc(site.id) + '" data-domain="' + esc(d.name) + '" data-action="unconfirm">Unconfirm</button>' : '';
 
           return '<tr>' +
             '<td><div class="domain-name"><div class="d-dot" style="background:'+dotColor+'"></div>' +
               '<span class="'+(d.isSystem?'system-name':'')+'">' + esc(d.name) + '</span>' +
               (d.primary ? ' <span class="badge b-blue">primary</span>' : '') +
               (d.isSystem ? ' <span class="badge b-gray">system</span>' : '') +
+              (CHANGED.has(site.id + "|" + d.name) ? ' <span class="badge b-violet">changed</span>' : '') +
               (d.redirect_to ? ' <span class="redirect">\\u2192 ' + esc(d.redirect_to) + '</span>' : '') +
             '</div></td>' +
             '<td><span class="badge '+netBadge+'">' + esc(d.network_type||"\\u2014") + '</span></td>' +
-            '<td><span class="badge '+statusBadge+'">' + esc(d.status==="confirmed"?(d.originalDetail||d.detail):d.detail) + '</span></td>' +
-            '<td><span class="resolves-to">' + esc(resolvesTo) + '</span></td>' +
-            '<td><span class="badge '+sslBadge+'">' + esc(d.sslStatus||"\\u2014") + '</span></td>' +
+            '<td><span class="badge '+statusBadge+'">' + esc(d.status==="confirmed"?(d.originalDetail||d.detail):d.detail) + '</span>' + confirmNote(d) + '</td>' +
+            '<td><span class="resolves-to" title="' + esc(sourcesTitle) + '">' + esc(resolvesTo) + '</span></td>' +
+            '<td>' + providerCell(d) + '</td>' +
+            '<td><span class="badge '+sslBadge+'">' + esc(d.sslStatus||"\\u2014") + '</span>' +
+              (d.tls ? ' <span class="badge '+tlsBadge+'" title="'+esc(tlsTitle)+'">' + esc(d.tls.detail) + '</span>' : '') + '</td>' +
+            '<td>' + (d.http ? '<span class="badge '+httpBadge+'" title="'+esc(httpTitle)+'">' + esc(httpText) + '</span>' : '<span class="detail-text">\\u2014</span>') + '</td>' +
             '<td><span class="verdict '+verdictCls+'">' + verdictText + '</span></td>' +
-            '<td>' + confirmBtn + '</td>' +
+            '<td>' + confirmBtn + (d.status === "issue" || d.status === "confirmed" ? '<button class="fix-btn" data-site="' + esc(site.id) + '" data-domain="' + esc(d.name) + '" title="DNS records to set and delete">Fix DNS</button>' : '') +
+              (d.isSystem || REPLAY ? '' : '<button class="hist-btn" data-domain="' + esc(d.name) + '">History</button>') +
+              (d.isSystem || ROLE !== "operator" ? '' : '<button class="recheck-btn" data-domain="' + esc(d.name) + '">Recheck</button>') + '</td>' +
           '</tr>';
         }).join("") + '</tbody>' +
       '</table>' +
@@ -542,111 +1076,489 @@ function renderSites() {
         const show = table.style.display === "none";
         table.style.display = show ? "table" : "none";
         chev.classList.toggle("open", show);
+        OPEN.set(hdr.dataset.site, show);
       }
     });
   });
 
+  el.querySelectorAll(".recheck-btn").forEach(btn => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      recheck(btn, btn.dataset.site
+        ? "/api/sites/" + encodeURIComponent(btn.dataset.site) + "/rescan"
+        : "/api/domains/" + encodeURIComponent(btn.dataset.domain) + "/recheck");
+    });
+  });
+
   el.querySelectorAll(".confirm-btn").forEach(btn => {
     btn.addEventListener("click", (e) => {
       e.stopPropagation();
-      const domain = btn.dataset.domain;
-      const action = btn.dataset.action;
-      toggleConfirm(domain, action === "confirm");
+      if (btn.dataset.action === "confirm") openConfirm(btn.dataset.site, btn.dataset.domain);
+      else unconfirm(btn.dataset.site, btn.dataset.domain);
+    });
+  });
+
+  el.querySelectorAll(".hist-btn").forEach(btn => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      toggleHistory(btn.closest("tr"), btn.dataset.domain);
+    });
+  });
+  el.querySelectorAll(".fix-btn").forEach(btn => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      openFix(btn.dataset.site, btn.dataset.domain);
     });
   });
 }
 
-async function doRefresh() {
-  if (refreshing) return;
-  refreshing = true;
+// ── DNS fix drawer (GET /api/domains/:name/remediation) ──
+let FIX = null;
+
+async function openFix(siteId, domain) {
+  FIX = null;
+  document.getElementById("fixTitle").textContent = "Fix DNS \u2014 " + domain;
+  document.getElementById("fixMeta").textContent = "";
+  document.getElementById("fixBody").innerHTML = '<span class="tl-empty">Loading...</span>';
+  document.getElementById("fixDrawer").showModal();
+  try {
+    const r = await fetch("/api/domains/" + encodeURIComponent(domain) + "/remediation?siteId=" + encodeURIComponent(siteId));
+    const plan = await r.json();
+    if (!r.ok) throw new Error(plan.error || r.statusText);
+    FIX = plan;
+    renderFix(plan);
+  } catch (e) {
+    document.getElementById("fixBody").innerHTML = '<div class="dialog-error">' + esc(e.message) + '</div>';
+  }
+}
+
+function renderFix(p) {
+  const table = (records, cls) => '<table class="fix-table">' + records.map(r => '<tr class="' + cls + '">' +
+    '<td>' + esc(r.name) + '</td><td>' + esc(r.type) + '</td><td>' + esc(r.value) + '</td>' +
+    (r.reason ? '<td class="why">' + esc(r.reason) + '</td>' : '') + '</tr>').join("") + '</table>';
+  document.getElementById("fixMeta").textContent = "Install " + p.site + " \u00b7 zone " + p.zone + (p.apex ? " (apex domain)" : "");
+  document.getElementById("fixBody").innerHTML =
+    (p.remove.length ? '<h4>Delete</h4>' + table(p.remove, "del") : '') +
+    (p.add.length ? '<h4>Make sure these exist</h4>' + table(p.add, "") : '') +
+    (p.alternative ? '<h4>Or, with CNAME flattening</h4>' + table([p.alternative], "") : '') +
+    '<h4>Notes</h4><ul class="fix-notes">' + p.notes.map(n => '<li>' + esc(n) + '</li>').join("") + '</ul>' +
+    '<h4>Instructions</h4><pre class="snippet" id="fixText">' + esc(p.text) + '</pre>' +
+    '<h4>BIND zone snippet</h4><pre class="snippet" id="fixBind">' + esc(p.bind) + '</pre>';
+}
+
+// The Clipboard API needs a secure context; over plain HTTP fall back to selecting the text
+async function copyFix(kind, btn) {
+  if (!FIX) return;
+  try {
+    await navigator.clipboard.writeText(FIX[kind]);
+  } catch {
+    const range = document.createRange();
+    range.selectNodeContents(document.getElementById(kind === "bind" ? "fixBind" : "fixText"));
+    getSelection().removeAllRanges();
+    getSelection().addRange(range);
+    if (!document.execCommand("copy")) return;
+  }
+  const label = btn.textContent;
+  btn.textContent = "Copied";
+  setTimeout(() => { btn.textContent = label; }, 1500);
+}
+
+// Single-site rescan / single-domain recheck, merged into the current data
+async function recheck(btn, url) {
+  btn.disabled = true;
+  btn.textContent = "Checking...";
+  try {
+    const res = await fetch(url, { method: "POST" });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "HTTP " + res.status);
+    DATA = data.sites; STATS = data.stats;
+    renderStats(); renderSites();
+  } catch (e) {
+    alert("Recheck failed: " + e.message);
+    btn.disabled = false;
+    btn.textContent = "Recheck";
+  }
+}
+
+// Who confirmed a domain and why, or when its confirmation ran out
+function confirmNote(d) {
+  const c = d.confirmation || d.confirmationExpired;
+  if (!c) return '';
+  const day = t => new Date(t).toLocaleDateString();
+  if (d.confirmationExpired) return '<span class="confirm-note expired">Confirmation expired ' + day(c.expiresAt) + (c.reason ? ': ' + esc(c.reason) : '') + '</span>';
+  const who = [c.confirmedBy, c.confirmedAt ? day(c.confirmedAt) : ""].filter(Boolean).join(", ");
+  return '<span class="confirm-note" title="' + esc(c.siteId ? "This install only" : "All installs (older confirmation)") + '">' +
+    esc(c.reason || "No reason recorded") + (who ? ' \\u2014 ' + esc(who) : '') + (c.expiresAt ? ' \\u00b7 until ' + day(c.expiresAt) : '') + '</span>';
+}
+
+let confirmTarget = null;
+function openConfirm(siteId, domain) {
+  const site = DATA.find(s => s.id === siteId);
+  confirmTarget = { siteId, domain };
+  document.getElementById("confirmTarget").textContent = domain + (site ? " on " + site.name : "");
+  document.getElementById("confirmReason").value = "";
+  document.getElementById("confirmExpires").value = "";
+  document.getElementById("confirmExpires").min = new Date().toISOString().slice(0, 10);
+  document.getElementById("confirmByField").classList.toggle("hidden", AUTH_ENABLED);
+  document.getElementById("confirmBy").value = localStorage.getItem("confirmBy") || "";
+  document.getElementById("confirmError").classList.add("hidden");
+  document.getElementById("confirmDialog").showModal();
+}
+
+async function saveConfirmation(e) {
+  e.preventDefault();
+  const expires = document.getElementById("confirmExpires").value;
+  const body = {
+    ...confirmTarget,
+    reason: document.getElementById("confirmReason").value,
+    // Through the end of the chosen day, local time
+    expiresAt: expires ? new Date(expires + "T23:59:59").toISOString() : null,
+    by: document.getElementById("confirmBy").value,
+  };
+  const errorEl = document.getElementById("confirmError");
+  try {
+    await confirmRequest("POST", body);
+    document.getElementById("confirmDialog").close();
+  } catch (err) {
+    errorEl.textContent = err.message;
+    errorEl.classList.remove("hidden");
+  }
+}
+
+async function unconfirm(siteId, domain) {
+  const reason = prompt("Unconfirm " + domain + "? It will count as an issue again.\\n\\nReason (optional):", "");
+  if (reason === null) return;
+  try {
+    await confirmRequest("DELETE", { siteId, domain, reason, by: AUTH_ENABLED ? "" : localStorage.getItem("confirmBy") || "" });
+  } catch (err) {
+    alert("Failed to update: " + err.message);
+  }
+}
+
+async function confirmRequest(method, body) {
+  if (body.by) localStorage.setItem("confirmBy", body.by);
+  const res = await fetch("/api/confirm", { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  const result = await res.json();
+  if (!res.ok) throw new Error(result.error || "HTTP " + res.status);
+  await reloadData();
+}
+
+let AUDIT = [];
+async function openAudit() {
+  const list = document.getElementById("auditList");
+  list.innerHTML = '<span class="tl-empty">Loading...</span>';
+  document.getElementById("auditDialog").showModal();
+  try {
+    const data = await fetch("/api/audit?limit=500").then(r => r.json());
+    if (data.error) throw new Error(data.error);
+    AUDIT = data.entries;
+    renderAudit();
+  } catch (e) {
+    list.innerHTML = '<span class="tl-empty">Failed to load the audit log: ' + esc(e.message) + '</span>';
+  }
+}
+
+function renderAudit() {
+  const q = document.getElementById("auditSearch").value.toLowerCase();
+  const rows = AUDIT.filter(a => !q || a.domain.toLowerCase().includes(q) || (a.site || "").toLowerCase().includes(q));
+  document.getElementById("auditList").innerHTML = rows.length === 0 ? '<span class="tl-empty">No confirmations recorded yet.</span>' :
+    '<table class="domain-table"><thead><tr><th>When</th><th>Action</th><th>Domain</th><th>Install</th><th>By</th><th>Reason</th><th>Expires</th></tr></thead><tbody>' +
+    rows.map(a => '<tr>' +
+      '<td class="detail-text">' + new Date(a.at).toLocaleString() + '</td>' +
+      '<td><span class="badge ' + (a.action === "confirm" ? "b-teal" : "b-red") + '">' + esc(a.action) + '</span></td>' +
+      '<td>' + esc(a.domain) + '</td>' +
+      '<td class="detail-text">' + esc(a.site || a.siteId) + '</td>' +
+      '<td>' + esc(a.user) + '</td>' +
+      '<td class="detail-text">' + esc(a.reason || "") + '</td>' +
+      '<td class="detail-text">' + (a.expiresAt ? new Date(a.expiresAt).toLocaleDateString() : "") + '</td>' +
+    '</tr>').join("") + '</tbody></table>';
+}
+
+async function toggleHistory(row, domain) {
+  const next = row.nextElementSibling;
+  if (next && next.classList.contains("history-row")) { next.remove(); return; }
+  const histRow = document.createElement("tr");
+  histRow.className = "history-row";
+  histRow.innerHTML = '<td colspan="9"><span class="tl-empty">Loading history...</span></td>';
+  row.after(histRow);
+  try {
+    const data = await fetch("/api/history?domain=" + encodeURIComponent(domain)).then(r => r.json());
+    if (data.error) throw new Error(data.error);
+    histRow.firstChild.innerHTML = renderTimeline(data.timeline);
+  } catch (e) {
+    histRow.firstChild.innerHTML = '<span class="tl-empty">Failed to load history: ' + esc(e.message) + '</span>';
+  }
+}
+
+function renderTimeline(timeline) {
+  if (!timeline || timeline.length === 0) return '<span class="tl-empty">No history recorded yet.</span>';
+  const fmt = t => new Date(t).toLocaleString();
+  return '<div class="timeline">' + timeline.slice().reverse().map(t => {
+    const color = t.status==="good"?"#34d399":t.status==="issue"?"#f87171":t.status==="pending"?"#fbbf24":t.status==="propagating"?"#fb923c":"#4b5563";
+    const records = (t.cnames.length > 0 ? t.cnames : t.ips.concat(t.ips6 || [])).join(", ") || "\\u2014";
+    return '<div class="tl-entry">' +
+      '<div class="d-dot" style="background:' + color + '"></div>' +
+      '<span class="tl-when">' + fmt(t.from) + (t.to !== t.from ? ' \\u2192 ' + fmt(t.to) : '') + '</span>' +
+      '<span>' + esc(t.detail) + '</span>' +
+      '<span class="resolves-to">' + esc(records) + '</span>' +
+      '<span>SSL: ' + esc(t.sslStatus || "\\u2014") + '</span>' +
+    '</div>';
+  }).join("") + '</div>';
+}
+
+// Scanning state for the header: the Refresh button for operators, a status line for everyone
+function setScanning(on, text) {
+  refreshing = on;
   const btn = document.getElementById("refreshBtn");
   const label = document.getElementById("refreshLabel");
-  btn.disabled = true;
-  label.textContent = "Refreshing...";
-  btn.querySelector("svg").style.display = "none";
-  const spinnerEl = document.createElement("div");
-  spinnerEl.className = "spinner";
-  btn.insertBefore(spinnerEl, label);
-
-  // Poll progress
-  const pollId = setInterval(async () => {
-    try {
-      const s = await fetch("/api/status").then(r => r.json());
-      if (s.progress) label.textContent = s.progress;
-    } catch {}
-  }, 1500);
+  const status = document.getElementById("scanStatus");
+  btn.disabled = on;
+  label.textContent = on ? "Refreshing..." : "Refresh";
+  btn.querySelector("svg").style.display = on ? "none" : "";
+  if (on && !btn.querySelector(".spinner")) {
+    const spinnerEl = document.createElement("div");
+    spinnerEl.className = "spinner";
+    btn.insertBefore(spinnerEl, label);
+  }
+  if (!on) btn.querySelector(".spinner")?.remove();
+  status.textContent = on ? (text || "Scanning...") : "";
+  status.classList.toggle("hidden", !on);
+  renderStale();
+}
 
+function exportData(format) {
+  const params = new URLSearchParams({ filter: currentFilter });
+  if (currentSearch) params.set("q", currentSearch);
+  if (currentAccount) params.set("account", currentAccount);
+  if (currentProvider) params.set("provider", currentProvider);
+  location.href = "/api/export." + format + "?" + params;
+}
+
+async function reloadData() {
+  const data = await fetch("/api/data").then(r => r.json());
+  if (data.sites) { DATA = data.sites; STATS = data.stats; await loadChanges(); renderStats(); renderSites(); }
+  if (DATA.length > 0) document.getElementById("loadingScreen").classList.add("hidden");
+}
+
+async function doRefresh() {
+  if (refreshing) return;
+  setScanning(true);
   try {
+    // Progress and per-site results arrive over /api/events while this is in flight
     const res = await fetch("/api/refresh");
     const data = await res.json();
     if (!data || data.error) throw new Error((data && data.error) || "No data returned");
-    DATA = data.sites || [];
-    STATS = data.stats || null;
-    renderStats();
-    renderSites();
   } catch (e) {
     alert("Refresh failed: " + e.message);
   } finally {
-    clearInterval(pollId);
-    refreshing = false;
-    btn.disabled = false;
-    label.textContent = "Refresh";
-    btn.querySelector(".spinner")?.remove();
-    btn.querySelector("svg").style.display = "";
+    setScanning(false);
+    await reloadData();
     document.getElementById("loadingScreen").classList.add("hidden");
   }
 }
 
-async function toggleConfirm(domain, confirm) {
-  try {
-    const method = confirm ? "POST" : "DELETE";
-    const res = await fetch("/api/confirm", { method, headers: {"Content-Type":"application/json"}, body: JSON.stringify({domain}) });
-    const result = await res.json();
-    if (!result.ok) throw new Error("Failed");
-    // Re-fetch data to get updated statuses
-    const dataRes = await fetch("/api/data");
-    const data = await dataRes.json();
-    if (data.sites) { DATA = data.sites; STATS = data.stats; renderStats(); renderSites(); }
-  } catch(e) { alert("Failed to update: " + e.message); }
+// ── Live scan events ──
+let renderTimer = null;
+function scheduleRender() {
+  if (renderTimer) return;
+  renderTimer = setTimeout(() => { renderTimer = null; renderSites(); }, 300);
+}
+
+function listen() {
+  const events = new EventSource("/api/events");
+  events.addEventListener("start", () => setScanning(true));
+  events.addEventListener("progress", e => {
+    const p = JSON.parse(e.data);
+    setScanning(true, p.message + (p.install ? " \u00b7 " + p.install : ""));
+    if (p.message) document.getElementById("loadingText").textContent = p.message;
+  });
+  // Fill the dashboard in as each site finishes
+  events.addEventListener("site", e => {
+    const { site, done, total } = JSON.parse(e.data);
+    const i = DATA.findIndex(s => s.id === site.id);
+    if (i >= 0) DATA[i] = site; else DATA.push(site);
+    if (total) setScanning(true, "Checked " + done + " of " + total + " sites \u00b7 " + site.name);
+    document.getElementById("loadingScreen").classList.add("hidden");
+    scheduleRender();
+  });
+  events.addEventListener("done", e => { RESTORED_AT = JSON.parse(e.data).restoredAt; setScanning(false); reloadData(); });
+  events.addEventListener("error", e => {
+    // Server "error" events carry data; connection errors don't (EventSource reconnects itself)
+    if (!e.data) return;
+    setScanning(false);
+    document.getElementById("scanStatus").textContent = "Last scan failed: " + JSON.parse(e.data).message;
+    document.getElementById("scanStatus").classList.remove("hidden");
+  });
 }
 
 // Filters
-document.querySelectorAll(".filter-btn").forEach(btn => {
+document.querySelectorAll(".filter-btn[data-filter]").forEach(btn => {
   btn.addEventListener("click", () => {
-    document.querySelectorAll(".filter-btn").forEach(b => b.classList.remove("active"));
+    document.querySelectorAll(".filter-btn[data-filter]").forEach(b => b.classList.remove("active"));
     btn.classList.add("active");
     currentFilter = btn.dataset.filter;
     renderSites();
   });
 });
 document.getElementById("searchInput").addEventListener("input", e => { currentSearch = e.target.value; renderSites(); });
+document.getElementById("accountSelect").addEventListener("change", e => setAccount(e.target.value));
+document.getElementById("providerSelect").addEventListener("change", e => setProvider(e.target.value));
+document.getElementById("confirmForm").addEventListener("submit", saveConfirmation);
+document.getElementById("auditSearch").addEventListener("input", renderAudit);
 
 // Initial load
 (async () => {
+  const me = await fetch("/api/me").then(r => r.json());
+  ROLE = me.role;
+  AUTH_ENABLED = me.authEnabled;
+  if (me.authEnabled) {
+    document.getElementById("userName").textContent = me.username;
+    document.getElementById("userRole").textContent = me.role;
+    document.getElementById("userBox").classList.remove("hidden");
+  }
+  // A replayed snapshot is read-only for everyone
+  if (me.snapshot) {
+    ROLE = "viewer";
+    REPLAY = true;
+    document.getElementById("auditBtn").classList.add("hidden");
+    const banner = document.getElementById("snapshotBanner");
+    banner.textContent = "Replaying snapshot " + me.snapshot.file + " saved " + new Date(me.snapshot.savedAt).toLocaleString() +
+      " \u2014 read-only: refresh, rechecks, confirmations, history and the audit log are off.";
+    banner.classList.remove("hidden");
+  }
+  // Viewers can't trigger scans
+  if (ROLE !== "operator") document.getElementById("refreshBtn").classList.add("hidden");
+
   const res = await fetch("/api/data");
   const data = await res.json();
   if (data.sites && data.sites.length > 0) {
     DATA = data.sites;
     STATS = data.stats;
+    await loadChanges();
     renderStats();
     renderSites();
     document.getElementById("loadingScreen").classList.add("hidden");
-  } else {
-    doRefresh();
+  }
+  listen();
+  const status = await fetch("/api/status").then(r => r.json());
+  RESTORED_AT = status.restoredAt;
+  renderStale();
+  if (status.refreshing) setScanning(true, status.progress);
+  else if (!data.sites || data.sites.length === 0) {
+    if (me.snapshot) document.getElementById("loadingText").textContent = "This snapshot has no sites.";
+    else if (ROLE === "operator") doRefresh();
+    else document.getElementById("loadingText").textContent = "Waiting for the first scan to finish...";
   }
 })();
+
+// Pick up scheduled background scans without a manual refresh
+setInterval(async () => {
+  if (refreshing) return;
+  try {
+    const r = await fetch("/api/status");
+    if (r.status === 401) { location.href = "/login"; return; }
+    const s = await r.json();
+    nextRunAt = s.schedule && s.schedule.nextRunAt;
+    RESTORED_AT = s.restoredAt;
+    // Fallback for anything the event stream missed
+    if (!s.refreshing && s.hasData && (!STATS || s.dataTimestamp !== (STATS.updatedAt || STATS.timestamp))) await reloadData();
+    renderStats();
+  } catch {}
+}, 60000);
 </script>
 </body>
 </html>`;
 
+// ── Login page ───────────────────────────────────────────────
+
+const LOGIN_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Sign in — WP Engine Domain Monitor</title>
+<style>
+  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #030712; color: #e5e7eb; min-height: 100vh; display: flex; align-items: center; justify-content: center; }
+  .card { background: #111827; border: 1px solid #1f2937; border-radius: 12px; padding: 28px; width: 320px; }
+  .title { display: flex; align-items: center; gap: 12px; margin-bottom: 20px; }
+  .logo { width: 36px; height: 36px; border-radius: 10px; background: #4f46e5; display: flex; align-items: center; justify-content: center; color: #fff; font-weight: 700; font-size: 16px; }
+  h1 { font-size: 16px; font-weight: 600; }
+  label { display: block; font-size: 11px; text-transform: uppercase; letter-spacing: .06em; color: #6b7280; margin: 12px 0 4px; }
+  input { width: 100%; background: #1f2937; border: 1px solid #374151; border-radius: 8px; padding: 8px 12px; color: #e5e7eb; font-size: 13px; outline: none; }
+  input:focus { border-color: #6366f1; box-shadow: 0 0 0 2px rgba(99,102,241,.3); }
+  button { margin-top: 20px; width: 100%; background: #4f46e5; border: none; color: #fff; padding: 8px 16px; border-radius: 8px; font-size: 13px; font-weight: 500; cursor: pointer; }
+  button:hover { background: #4338ca; }
+  .error { margin-top: 12px; font-size: 12px; color: #fca5a5; }
+</style>
+</head>
+<body>
+<form class="card" method="post" action="/login">
+  <div class="title"><div class="logo">W</div><h1>WP Engine Domain Monitor</h1></div>
+  <label for="username">Username</label>
+  <input id="username" name="username" autocomplete="username" autofocus required>
+  <label for="password">Password</label>
+  <input id="password" name="password" type="password" autocomplete="current-password" required>
+  {{ERROR}}
+  <button type="submit">Sign in</button>
+</form>
+</body>
+</html>`;
+
 // ── Start ────────────────────────────────────────────────────
 
-app.listen(PORT, function () {
-  console.log("\n  WP Engine Domain Monitor running at http://localhost:" + PORT + "\n");
-  console.log("  Press Ctrl+C to stop\n");
+function main() {
+  let config;
+  let server;
+  let snapshot;
+  try {
+    config = loadConfig({ argv: process.argv.slice(2) });
+    const { flags } = config.args;
+    if (flags.snapshot === true) {
+      console.error("--snapshot needs a file");
+      process.exit(1);
+    }
+    snapshot = flags.snapshot ? loadSnapshot(flags.snapshot) : null;
+    if (!snapshot && configuredAccounts(config).length === 0) {
+      console.error("Usage: node server.js <API_USER> <API_PASS>");
+      console.error("   or list several accounts under \"accounts\" in config.json");
+      console.error("   or node server.js --snapshot scan.json to replay a saved scan");
+      process.exit(1);
+    }
+    server = createServer(config, { snapshot });
+  } catch (e) {
+    if (!(e instanceof ConfigError) && !(e instanceof SnapshotError)) throw e;
+    console.error(e.message);
+    process.exit(1);
+  }
+  const { app, auth, scheduler, refreshData, restoredAt } = server;
+  const PORT = config.server.port;
+
+  app.listen(PORT, function () {
+    console.log("\n  WP Engine Domain Monitor running at http://localhost:" + PORT + "\n");
+    console.log("  Press Ctrl+C to stop\n");
+    if (!auth.enabled) console.log("  No users or tokens configured: dashboard is open to anyone who can reach this port\n");
+
+    if (snapshot) {
+      const { stats } = snapshot.data;
+      console.log("  Replaying snapshot saved " + snapshot.savedAt + " (read-only): " + stats.totalSites + " sites, " + stats.issues + " issues\n");
+      return;
+    }
 
-  // Auto-refresh on startup
-  refreshData().then(function (d) {
-    if (d) console.log("  Loaded " + d.stats.totalSites + " sites, " + d.stats.issues + " issues\n");
-  }).catch(function (e) { console.error("  Initial load failed:", e.message); });
-});
+    if (restoredAt) console.log("  Serving the last scan (saved " + restoredAt + ") until a fresh one finishes\n");
+
+    // Auto-refresh on startup
+    refreshData().then(function (d) {
+      if (d) console.log("  Loaded " + d.stats.totalSites + " sites, " + d.stats.issues + " issues\n");
+    }).catch(function (e) { console.error("  Initial load failed:", e.message); });
+
+    if (scheduler) {
+      scheduler.start();
+      console.log("  Next scheduled refresh: " + scheduler.status().nextRunAt + "\n");
+    }
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { createServer };
@@ -0,0 +1,37 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createAuth, hashPassword, parseCookies, LOGIN_MAX_FAILURES } = require("../lib/auth");
+
+const users = [{ username: "alice", passwordHash: hashPassword("alice-password"), role: "operator" }];
+
+afterEach(() => mock.timers.reset());
+
+test("parseCookies skips values that aren't valid percent-encoding", () => {
+  assert.deepEqual(parseCookies("a=1; bad=%E0%A4%A; b=x%20y; noequals"), { a: "1", b: "x y" });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test("expired sessions are swept when new ones open", async () => {
+  mock.timers.enable({ apis: ["Date"], now: 0 });
+  const auth = createAuth({ users, sessionTtlHours: 1 });
+  for (let i = 0; i < 3; i++) await auth.login("alice", "alice-password");
+  assert.equal(auth.sessionCount(), 3);
+  mock.timers.tick(2 * 60 * 60 * 1000);
+  await auth.login("alice", "alice-password");
+  assert.equal(auth.sessionCount(), 1);
+});
+
+test("repeated failures lock out that client and username until the window passes", async () => {
+  mock.timers.enable({ apis: ["Date"], now: 0 });
+  const auth = createAuth({ users });
+  for (let i = 0; i < LOGIN_MAX_FAILURES; i++) assert.equal(await auth.login("alice", "wrong", "10.0.0.1"), null);
+  assert.ok(auth.loginRetryAfter("10.0.0.1", "alice") > 0);
+  assert.equal(await auth.login("alice", "alice-password", "10.0.0.1"), null, "even the right password is refused");
+  // Another client isn't affected
+  assert.equal(auth.loginRetryAfter("10.0.0.2", "alice"), 0);
+  assert.ok(await auth.login("alice", "alice-password", "10.0.0.2"));
+
+  mock.timers.tick(auth.loginRetryAfter("10.0.0.1", "alice"));
+  assert.equal(auth.loginRetryAfter("10.0.0.1", "alice"), 0);
+  assert.ok(await auth.login("alice", "alice-password", "10.0.0.1"));
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runCheck, EXIT_OK, EXIT_FAILED, EXIT_ERROR } = require("../check");
+const { parseArgs } = require("../lib/config");
+const { startMockApi } = require("./helpers/mock-wpe-api");
+const { createFakeResolver } = require("./helpers/fake-resolver");
+
+let api;
+let dir;
+let configFile;
+
+before(async () => {
+  api = await startMockApi();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-monitor-check-"));
+  configFile = path.join(dir, "config.json");
+  fs.writeFileSync(configFile, JSON.stringify({
+    credentials: api.credentials,
+    api: { baseUrl: api.baseUrl, retries: 0 },
+    checks: { tls: { enabled: false }, http: { enabled: false }, nameservers: { enabled: false } },
+  }));
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Run check.js in-process; returns the exit code and what it printed
+async function check(...args) {
+  let stdout = "";
+  let stderr = "";
+  const code = await runCheck({
+    argv: ["--config", configFile, ...args],
+    env: {},
+    resolver: createFakeResolver(),
+    stdout: { write: (s) => (stdout += s) },
+    stderr: { write: (s) => (stderr += s) },
+  });
+  return { code, stdout, stderr };
+}
+
+test("exit 0 while failing domains stay within --max-issues", async () => {
+  // The fixtures have three issue domains
+  const res = await check("--max-issues", "3", "--json");
+  assert.equal(res.code, EXIT_OK);
+  const summary = JSON.parse(res.stdout);
+  assert.equal(summary.ok, true);
+  assert.equal(summary.failing.length, 3);
+});
+
+test("exit 1 when failing domains exceed the threshold", async () => {
+  assert.equal((await check()).code, EXIT_FAILED);
+  assert.equal((await check("--max-issues", "2")).code, EXIT_FAILED);
+  // Filters narrow what counts: blog's installs have two issues
+  assert.equal((await check("--install", "blog", "--max-issues", "2")).code, EXIT_OK);
+});
+
+test("exit 2 for bad options, without scanning", async () => {
+  api.reset();
+  for (const args of [["--max-issues"], ["--max-issues="], ["--max-issues", "-1"], ["--max-issues", "1.5"], ["--max-issues", "abc"],
+    ["--fail-on"], ["--fail-on", "issue,bogus"], ["--install"]]) {
+    const res = await check(...args);
+    assert.equal(res.code, EXIT_ERROR, args.join(" "));
+    assert.ok(res.stderr.length > 0, `explains ${args.join(" ")}`);
+  }
+  assert.match((await check("--max-issues")).stderr, /--max-issues must be a non-negative integer/);
+  assert.equal(api.requests.length, 0);
+});
+
+test("exit 2 for config and scan errors", async () => {
+  const bad = path.join(dir, "bad.json");
+  fs.writeFileSync(bad, JSON.stringify({ api: { retries: "lots" } }));
+  const code = await runCheck({ argv: ["--config", bad], env: {}, stderr: { write() {} } });
+  assert.equal(code, EXIT_ERROR);
+
+  const unreachable = path.join(dir, "unreachable.json");
+  fs.writeFileSync(unreachable, JSON.stringify({ credentials: api.credentials, api: { baseUrl: "http://127.0.0.1:9", retries: 0 } }));
+  let stderr = "";
+  assert.equal(await runCheck({ argv: ["--config", unreachable], env: {}, resolver: createFakeResolver(), stderr: { write: (s) => (stderr += s) } }), EXIT_ERROR);
+  assert.match(stderr, /^Error: /);
+});
+
+test("--json, --all and --verbose never take the next argument as their value", () => {
+  assert.deepEqual(parseArgs(["--json", "user", "pass", "--all", "--verbose", "--max-issues", "2"]), {
+    configFile: null,
+    flags: { json: true, all: true, verbose: true, "max-issues": "2" },
+    positional: ["user", "pass"],
+  });
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig, ConfigError } = require("../lib/config");
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-monitor-config-"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function configError(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(content));
+  try {
+    loadConfig({ file, env: {} });
+  } catch (e) {
+    assert.ok(e instanceof ConfigError);
+    return e.message;
+  }
+  assert.fail("expected a ConfigError");
+}
+
+test("credentials of the wrong type are reported without echoing them", () => {
+  const message = configError("credentials.json", { credentials: { user: ["api-user-secret"], pass: { value: "hunter2-secret" } } });
+  assert.match(message, /credentials\.user must be a string or null/);
+  assert.match(message, /credentials\.pass must be a string or null/);
+  assert.doesNotMatch(message, /api-user-secret|hunter2-secret|got/);
+});
+
+test("other settings of the wrong type still show what was given", () => {
+  assert.match(configError("port.json", { server: { port: "eighty" } }), /server\.port must be .* \(got "eighty"\)/);
+});
+
+test("loading a config leaves the defaults alone for the next one", () => {
+  const write = (name) => {
+    fs.mkdirSync(path.join(dir, name));
+    const file = path.join(dir, name, "config.json");
+    fs.writeFileSync(file, JSON.stringify({ server: { port: 8080 } }));
+    return file;
+  };
+  const first = loadConfig({ file: write("a"), argv: ["u1", "p1"], env: {} });
+  assert.deepEqual(first.credentials, { user: "u1", pass: "p1" });
+  assert.equal(first.storage.historyFile, path.join(dir, "a", "history.jsonl"));
+
+  const second = loadConfig({ file: write("b"), env: {} });
+  assert.deepEqual(second.credentials, { user: null, pass: null });
+  assert.equal(second.storage.historyFile, path.join(dir, "b", "history.jsonl"));
+  assert.notEqual(second.wpe, first.wpe);
+});
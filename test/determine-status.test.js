@@ -0,0 +1,106 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { determineDomainStatus, createWPEMatcher } = require("../lib/monitor");
+
+const INSTALL_CNAME = "shop.wpengine.com";
+const WPE_IP = "141.193.213.10";
+const WPE_IP6 = "2a06:98c1:3120::1";
+const OTHER_IP = "203.0.113.5";
+const OTHER_IP6 = "2001:db8::5";
+
+function domain(name, status, dnsConfig) {
+  const d = { name };
+  if (status) d.network_details = { network_info: { status }, dns_config_info: dnsConfig };
+  return d;
+}
+
+function dns({ ips = [], ips6 = [], cnames = [], sources } = {}) {
+  const r = { ips, ips6, cnames, resolved: ips.length + ips6.length + cnames.length > 0 };
+  if (sources) r.sources = sources;
+  return r;
+}
+
+const EXPECTED = { cname: "wp.wpenginepowered.com", a_records: ["198.51.100.7"] };
+
+// [description, domain, dnsResult, expected status, expected detail]
+const CASES = [
+  ["system domain", domain("shop.wpengine.com", "ACTIVE"), dns(), "system", "System domain"],
+  ["powered system domain", domain("shop.wpenginepowered.com"), null, "system", "System domain"],
+
+  ["ACTIVE, CNAME to a WPE suffix", domain("a.example.com", "ACTIVE"), dns({ cnames: ["wp.wpenginepowered.com"] }), "good", "Active & DNS pointed"],
+  ["ACTIVE, CNAME to the install", domain("a.example.com", "ACTIVE"), dns({ cnames: [INSTALL_CNAME] }), "good", "Active & DNS pointed"],
+  ["ACTIVE, A record in a WPE range", domain("a.example.com", "ACTIVE"), dns({ ips: [WPE_IP] }), "good", "Active & DNS pointed"],
+  ["ACTIVE, A record the API expects", domain("a.example.com", "ACTIVE", EXPECTED), dns({ ips: ["198.51.100.7"] }), "good", "Active & DNS pointed"],
+  ["ACTIVE, CNAME the API expects", domain("a.example.com", "ACTIVE", { cname: "custom.edge.example.net" }), dns({ cnames: ["custom.edge.example.net"] }), "good", "Active & DNS pointed"],
+  ["ACTIVE, IPv6-only in a WPE range", domain("a.example.com", "ACTIVE"), dns({ ips6: [WPE_IP6] }), "good", "Active & DNS pointed"],
+  ["ACTIVE, lower-case status", domain("a.example.com", "active"), dns({ ips: [WPE_IP] }), "good", "Active & DNS pointed"],
+  ["ACTIVE, pointed elsewhere", domain("a.example.com", "ACTIVE", EXPECTED), dns({ ips: [OTHER_IP] }), "issue", "DNS not pointed to WPE"],
+  ["ACTIVE, CNAME elsewhere", domain("a.example.com", "ACTIVE"), dns({ cnames: ["shops.myshopify.com"] }), "issue", "DNS not pointed to WPE"],
+  ["ACTIVE, not resolving", domain("a.example.com", "ACTIVE"), dns(), "issue", "DNS not resolving"],
+  ["ACTIVE, no DNS check", domain("a.example.com", "ACTIVE"), null, "good", "Active (API)"],
+  ["ACTIVE, A at WPE but stale AAAA", domain("a.example.com", "ACTIVE"), dns({ ips: [WPE_IP], ips6: [OTHER_IP6] }), "issue", "AAAA not pointed to WPE"],
+  ["ACTIVE, mixed AAAA answers", domain("a.example.com", "ACTIVE"), dns({ ips: [WPE_IP], ips6: [WPE_IP6, OTHER_IP6] }), "issue", "Mixed IPv6 answers"],
+  ["ACTIVE, CNAME to WPE ignores AAAA", domain("a.example.com", "ACTIVE"), dns({ cnames: [INSTALL_CNAME], ips6: [OTHER_IP6] }), "good", "Active & DNS pointed"],
+
+  ["PENDING, pointed at WPE", domain("a.example.com", "PENDING"), dns({ ips: [WPE_IP] }), "pending", "Pending setup"],
+  ["PENDING, not resolving", domain("a.example.com", "PENDING"), dns(), "pending", "Pending setup"],
+
+  ["DELETED, still pointed at WPE", domain("a.example.com", "DELETED"), dns({ ips: [WPE_IP] }), "issue", "Network deleted"],
+  ["DELETED, pointed elsewhere", domain("a.example.com", "DELETED"), dns({ ips: [OTHER_IP] }), "issue", "Network deleted"],
+
+  ["legacy, A record in a WPE range", domain("a.example.com"), dns({ ips: [WPE_IP] }), "good", "DNS pointed (Legacy)"],
+  ["legacy, CNAME to the install", domain("a.example.com"), dns({ cnames: [INSTALL_CNAME] }), "good", "DNS pointed (Legacy)"],
+  ["legacy, pointed elsewhere", domain("a.example.com"), dns({ ips: [OTHER_IP] }), "issue", "DNS not pointed to WPE"],
+  ["legacy, not resolving", domain("a.example.com"), dns(), "issue", "DNS not resolving"],
+  ["legacy, no DNS check", domain("a.example.com"), null, "unknown", "No status data"],
+  ["legacy, A at WPE but stale AAAA", domain("a.example.com"), dns({ ips: [WPE_IP], ips6: [OTHER_IP6] }), "issue", "AAAA not pointed to WPE"],
+
+  ["unrecognised network status", domain("a.example.com", "SUSPENDED"), dns({ ips: [WPE_IP] }), "unknown", "SUSPENDED"],
+];
+
+for (const [description, d, dnsResult, status, detail] of CASES) {
+  test(`determineDomainStatus: ${description}`, () => {
+    assert.deepEqual(determineDomainStatus(d, dnsResult, INSTALL_CNAME, new Set()), { status, detail });
+  });
+}
+
+test("determineDomainStatus: legacy CNAME to another domain on the account", () => {
+  const all = new Set(["blog.example.org", "www.blog.example.org"]);
+  const result = determineDomainStatus(domain("www.blog.example.org"), dns({ cnames: ["blog.example.org"] }), "blog.wpengine.com", all);
+  assert.deepEqual(result, { status: "good", detail: "DNS pointed (Legacy)" });
+  // The same CNAME is just "elsewhere" when that domain isn't on the account
+  const alone = determineDomainStatus(domain("www.blog.example.org"), dns({ cnames: ["blog.example.org"] }), "blog.wpengine.com", new Set());
+  assert.equal(alone.status, "issue");
+});
+
+test("determineDomainStatus: resolvers that disagree are propagating", () => {
+  const sources = [
+    { source: "1.1.1.1", ...dns({ ips: [WPE_IP] }) },
+    { source: "8.8.8.8", ...dns({ ips: [OTHER_IP] }) },
+  ];
+  const merged = dns({ ips: [WPE_IP, OTHER_IP], sources });
+  assert.deepEqual(determineDomainStatus(domain("a.example.com", "ACTIVE"), merged, INSTALL_CNAME, new Set()),
+    { status: "propagating", detail: "Resolvers disagree" });
+  assert.deepEqual(determineDomainStatus(domain("a.example.com"), merged, INSTALL_CNAME, new Set()),
+    { status: "propagating", detail: "Resolvers disagree" });
+  // PENDING wins: the network isn't set up yet either way
+  assert.equal(determineDomainStatus(domain("a.example.com", "PENDING"), merged, INSTALL_CNAME, new Set()).status, "pending");
+});
+
+test("determineDomainStatus: a resolver that errored doesn't count as disagreeing", () => {
+  const sources = [
+    { source: "1.1.1.1", ...dns({ ips: [WPE_IP] }) },
+    { source: "8.8.8.8", ...dns(), error: "ETIMEOUT" },
+  ];
+  const result = determineDomainStatus(domain("a.example.com", "ACTIVE"), dns({ ips: [WPE_IP], sources }), INSTALL_CNAME, new Set());
+  assert.equal(result.status, "good");
+});
+
+test("determineDomainStatus: custom WP Engine ranges and suffixes", () => {
+  const matcher = createWPEMatcher({ ipRanges: ["192.0.2.0/24"], cnameSuffixes: [".edge.example.net"] });
+  const d = domain("a.example.com");
+  assert.equal(determineDomainStatus(d, dns({ ips: ["192.0.2.44"] }), INSTALL_CNAME, new Set(), matcher).status, "good");
+  assert.equal(determineDomainStatus(d, dns({ cnames: ["x.edge.example.net"] }), INSTALL_CNAME, new Set(), matcher).status, "good");
+  // The built-in range no longer counts
+  assert.equal(determineDomainStatus(d, dns({ ips: [WPE_IP] }), INSTALL_CNAME, new Set(), matcher).status, "issue");
+});
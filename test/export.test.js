@@ -0,0 +1,32 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { COLUMNS, toCSV } = require("../lib/export");
+
+function row(fields) {
+  return { ...Object.fromEntries(COLUMNS.map(([key]) => [key, ""])), ...fields };
+}
+
+const cells = (csv) => csv.replace(/^\uFEFF/, "").trim().split("\r\n")[1];
+
+test("CSV cells that would run as spreadsheet formulas are made plain text", () => {
+  const csv = toCSV([row({
+    site: "=HYPERLINK(\"http://evil.example\",\"x\")",
+    domain: "+1+1",
+    detail: "-2+3",
+    confirmReason: "@SUM(A1)",
+    confirmedBy: "\tcmd",
+    resolvedCnames: ["=1+1", "a.example.com"],
+  })]);
+  const line = cells(csv);
+  assert.ok(line.includes('"\'=HYPERLINK(""http://evil.example"",""x"")"'));
+  for (const text of ["'+1+1", "'-2+3", "'@SUM(A1)", "'\tcmd", "'=1+1; a.example.com"]) {
+    assert.ok(line.includes(text), `${JSON.stringify(text)} in ${line}`);
+  }
+});
+
+test("ordinary CSV cells are left alone", () => {
+  const line = cells(toCSV([row({ site: "shop", domain: "shop.example.com", resolvedIPs: ["141.193.213.10", "2001:db8::1"] })]));
+  assert.ok(line.includes(",shop,"));
+  assert.ok(line.includes("141.193.213.10; 2001:db8::1"));
+  assert.ok(!line.includes("'"));
+});
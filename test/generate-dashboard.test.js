@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { generateHTML } = require("../generate-dashboard");
+const { remediationFor } = require("../lib/remediation");
+
+const HOSTILE = "</script><script>alert(document.cookie)</script><!--";
+
+const STATS = {
+  timestamp: "2026-01-01T00:00:00.000Z", totalSites: 1, totalDomains: 1, customDomains: 1,
+  good: 0, issues: 0, confirmed: 1, pending: 0, accounts: [{ name: HOSTILE, totalSites: 1, good: 0, issues: 0 }],
+};
+
+function site(domain) {
+  return { id: "inst-shop", name: "shop", environment: "production", domains: [{ name: "shop.example.com", status: "confirmed", ...domain }] };
+}
+
+// The page's only script, and the DATA / ACCOUNTS it embeds
+function render(domain) {
+  const html = generateHTML([site(domain)], STATS);
+  assert.equal(html.split("<script>").length, 2, "one inline script");
+  assert.equal(html.split("</script>").length, 2, "nothing closes the script early");
+  const line = (name) => JSON.parse(html.match(new RegExp(`^const ${name} = (.*);$`, "m"))[1]);
+  return { data: line("DATA"), accounts: line("ACCOUNTS") };
+}
+
+test("confirm reasons can't break out of the embedded data", () => {
+  const { data, accounts } = render({ confirmation: { reason: HOSTILE, confirmedBy: HOSTILE } });
+  assert.equal(data[0].domains[0].confirmation.reason, HOSTILE);
+  assert.equal(accounts[0].name, HOSTILE);
+});
+
+test("certificate names from a monitored domain can't break out of the embedded data", () => {
+  const tls = { subject: HOSTILE, issuer: HOSTILE, san: [HOSTILE], status: "mismatch", detail: `Certificate is for ${HOSTILE}` };
+  const { data } = render({ status: "issue", tls });
+  assert.deepEqual(data[0].domains[0].tls, tls);
+});
+
+test("DNS fix instructions built from hostile records can't break out of the embedded data", () => {
+  const d = { name: "shop.example.com", status: "issue", detail: "DNS not pointed to WPE", dns: { ips: [], ips6: [], cnames: [HOSTILE] } };
+  const remediation = remediationFor(d, { name: "shop", cname: "shop.wpengine.com" });
+  assert.ok(remediation.text.includes(HOSTILE));
+  const { data } = render({ ...d, remediation });
+  assert.deepEqual(data[0].domains[0].remediation, remediation);
+});
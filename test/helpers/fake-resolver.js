@@ -0,0 +1,35 @@
+/**
+ * Fake DNS resolver for tests
+ *
+ * Drop-in for dnsLookup() / createResolver() in runScan() options: answers
+ * from a table (test/fixtures/dns.json by default) instead of the network.
+ * Names missing from the table don't resolve.
+ *
+ * Usage:
+ *   const resolver = createFakeResolver({ "example.com": { ips: ["141.193.213.10"] } });
+ *   await runScan({ ..., resolver });
+ *   resolver.lookups  // names asked for, in order
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURE = path.join(__dirname, "..", "fixtures", "dns.json");
+
+function createFakeResolver(records = JSON.parse(fs.readFileSync(FIXTURE, "utf8"))) {
+  const lookups = [];
+  async function resolver(name) {
+    lookups.push(name);
+    const r = records[name] || {};
+    const result = { ips: r.ips || [], ips6: r.ips6 || [], cnames: r.cnames || [] };
+    result.resolved = result.ips.length > 0 || result.ips6.length > 0 || result.cnames.length > 0;
+    // Per-resolver answers, as lib/resolver.js reports them when several are queried
+    if (r.sources) result.sources = r.sources;
+    return result;
+  }
+  resolver.lookups = lookups;
+  resolver.records = records;
+  return resolver;
+}
+
+module.exports = { createFakeResolver };
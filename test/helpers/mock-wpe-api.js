@@ -0,0 +1,108 @@
+/**
+ * Local stand-in for api.wpengineapi.com
+ *
+ * Serves installs and domains from a fixture (test/fixtures/wpe-api.json by
+ * default) over real HTTP, so the API client, the scan pipeline and the
+ * server run unmodified with `api.baseUrl` pointed at it. Supports:
+ *
+ *   GET /installs                          paged with limit/offset, `count` and a full `next` URL
+ *   GET /installs/:id
+ *   GET /installs/:id/domains              paged likewise
+ *   GET /installs/:id/domains/:domainId
+ *
+ * Every request needs the fixture's Basic credentials (401 otherwise).
+ * fail() makes matching requests answer with an error status; maxPageSize()
+ * caps pages below the requested limit, as the real API may.
+ *
+ * Usage:
+ *   const api = await startMockApi();
+ *   const opts = { baseUrl: api.baseUrl };
+ *   api.fail("/installs/inst-blog/domains", 503, { times: 2 });
+ *   await api.close();
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const FIXTURE = path.join(__dirname, "..", "fixtures", "wpe-api.json");
+const CREDENTIALS = { user: "test-user", pass: "test-pass" };
+
+// Fresh copy per server, so tests can edit installs/domains freely
+function loadFixture(file = FIXTURE) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function startMockApi({ fixture = loadFixture(), credentials = [CREDENTIALS] } = {}) {
+  const requests = [];
+  const failures = [];
+  let pageCap = Infinity;
+  const allowed = new Set(credentials.map((c) => "Basic " + Buffer.from(`${c.user}:${c.pass}`).toString("base64")));
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function page(res, url, list) {
+    const limit = Number(url.searchParams.get("limit")) || 100;
+    const offset = Number(url.searchParams.get("offset")) || 0;
+    const results = list.slice(offset, offset + Math.min(limit, pageCap));
+    const more = offset + results.length < list.length;
+    const next = more ? `${url.origin}${url.pathname}?limit=${limit}&offset=${offset + results.length}` : null;
+    send(res, 200, { results, count: list.length, next, previous: offset > 0 ? url.pathname : null });
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    requests.push({ method: req.method, path: url.pathname, query: url.search, auth: req.headers.authorization });
+
+    const failure = failures.find((f) => f.times > 0 && url.pathname === f.path);
+    if (failure) {
+      failure.times--;
+      return send(res, failure.status, { message: "injected failure" }, failure.headers);
+    }
+    if (!allowed.has(req.headers.authorization)) return send(res, 401, { message: "Authentication credentials were not provided" });
+
+    const parts = url.pathname.split("/").filter(Boolean);
+    if (parts[0] !== "installs") return send(res, 404, { message: "Not found" });
+    if (parts.length === 1) return page(res, url, fixture.installs);
+
+    const install = fixture.installs.find((i) => i.id === parts[1]);
+    if (!install) return send(res, 404, { message: "Not found" });
+    if (parts.length === 2) return send(res, 200, install);
+
+    const domains = fixture.domains[install.id] || [];
+    if (parts[2] !== "domains") return send(res, 404, { message: "Not found" });
+    if (parts.length === 3) return page(res, url, domains);
+    const domain = domains.find((d) => d.id === parts[3]);
+    return domain ? send(res, 200, domain) : send(res, 404, { message: "Not found" });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        credentials: credentials[0],
+        fixture,
+        requests,
+        /** Answer the next `times` requests for exactly `urlPath` with `status`. */
+        fail(urlPath, status, { times = Infinity, headers = {} } = {}) {
+          failures.push({ path: urlPath, status, times, headers });
+        },
+        /** Serve at most `n` items per page, whatever limit is asked for. */
+        maxPageSize(n) {
+          pageCap = n;
+        },
+        reset() {
+          requests.length = 0;
+          failures.length = 0;
+          pageCap = Infinity;
+        },
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = { startMockApi, loadFixture, CREDENTIALS };
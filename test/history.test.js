@@ -0,0 +1,85 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createHistoryStore } = require("../lib/history");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-monitor-history-"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function site(id, domains) {
+  return {
+    id, name: id, environment: "production",
+    domains: domains.map(([name, status]) => ({ name, status, detail: status, dns: { ips: [], cnames: [] }, sslStatus: null })),
+  };
+}
+
+function scan(at, domains) {
+  return { stats: { timestamp: new Date(at).toISOString() }, sites: [site("inst-shop", domains)] };
+}
+
+const lines = (file) => fs.readFileSync(file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+
+test("records older than maxAgeDays are pruned when a scan is appended", async () => {
+  const file = path.join(dir, "prune.jsonl");
+  const now = Date.now();
+  // Written by an earlier run that kept everything
+  const old = createHistoryStore(file);
+  await old.append(scan(now - 100 * DAY, [["shop.example.com", "issue"]]));
+  await old.append(scan(now - 10 * DAY, [["shop.example.com", "good"]]));
+
+  const history = createHistoryStore(file, { maxAgeDays: 30 });
+  await history.append(scan(now, [["shop.example.com", "good"]]));
+  assert.deepEqual(lines(file).map((r) => r.timestamp), [new Date(now - 10 * DAY).toISOString(), new Date(now).toISOString()]);
+  const timeline = await history.domainTimeline("shop.example.com");
+  assert.deepEqual(timeline.map((t) => [t.status, t.scans]), [["good", 2]]);
+  assert.ok(!fs.existsSync(file + ".tmp"));
+});
+
+test("pruning runs at most once a day and never with maxAgeDays 0", async () => {
+  const file = path.join(dir, "daily.jsonl");
+  const now = Date.now();
+  const history = createHistoryStore(file, { maxAgeDays: 30 });
+  await history.append(scan(now, [["shop.example.com", "good"]]));
+  // Backdated after today's prune: stays until the next one
+  await history.append(scan(now - 40 * DAY, [["shop.example.com", "issue"]]));
+  assert.equal(lines(file).length, 2);
+  assert.equal(await history.prune(), 1);
+  assert.equal(lines(file).length, 1);
+
+  const forever = createHistoryStore(file, { maxAgeDays: 0 });
+  await forever.append(scan(now - 400 * DAY, [["shop.example.com", "issue"]]));
+  assert.equal(await forever.prune(), 0);
+  assert.equal(lines(file).length, 2);
+});
+
+test("partial rechecks record only the domains they checked", async () => {
+  const file = path.join(dir, "partial.jsonl");
+  const history = createHistoryStore(file);
+  const t0 = Date.now() - DAY;
+  await history.append(scan(t0, [["a.example.com", "issue"], ["b.example.com", "good"]]));
+  const at = new Date().toISOString();
+  await history.appendPartial([site("inst-shop", [["a.example.com", "good"], ["b.example.com", "good"]])], at, "a.example.com");
+  await history.appendPartial([site("inst-shop", [["c.example.com", "good"]])], at, "a.example.com");
+
+  const records = lines(file);
+  assert.equal(records.length, 2, "a recheck that matched nothing writes nothing");
+  assert.equal(records[1].partial, true);
+  assert.deepEqual(records[1].domains.map((d) => d.name), ["a.example.com"]);
+
+  assert.deepEqual((await history.domainTimeline("a.example.com")).map((t) => [t.status, t.from]),
+    [["issue", new Date(t0).toISOString()], ["good", at]]);
+  assert.deepEqual((await history.domainTimeline("b.example.com")).map((t) => t.scans), [1]);
+  const { scans } = await history.siteTimeline("inst-shop");
+  assert.deepEqual(scans.map((s) => [s.partial, s.good, s.issues]), [[false, 1, 1], [true, 1, 0]]);
+});
@@ -0,0 +1,95 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { registrableDomain, identifyProvider, createNameserverLookup } = require("../lib/nameservers");
+const { createZoneFinder } = require("../lib/resolver");
+
+const noNs = (name) => Object.assign(new Error(`queryNs ENODATA ${name}`), { code: "ENODATA" });
+
+// Fake NS data: zone -> nameservers; anything else has no NS records
+function fakeResolveNs(zones, asked = []) {
+  return async (name) => {
+    asked.push(name);
+    if (zones[name] instanceof Error) throw zones[name];
+    if (!zones[name]) throw noNs(name);
+    return zones[name];
+  };
+}
+
+test("registrableDomain guesses from the labels, including two-label suffixes", () => {
+  assert.equal(registrableDomain("www.example.com"), "example.com");
+  assert.equal(registrableDomain("example.com"), "example.com");
+  assert.equal(registrableDomain("a.b.example.org"), "example.org");
+  assert.equal(registrableDomain("shop.example.co.uk"), "example.co.uk");
+  assert.equal(registrableDomain("example.co.uk"), "example.co.uk");
+  assert.equal(registrableDomain("WWW.Example.COM."), "example.com");
+});
+
+test("createZoneFinder walks up to the closest name with NS records", async () => {
+  const asked = [];
+  const findZone = createZoneFinder(fakeResolveNs({
+    "example.co.uk": ["ns1.host.co.uk"],
+    "shop.example.com": ["ns1.shopdns.net"],
+    "example.com": ["ada.ns.cloudflare.com"],
+  }, asked));
+  assert.deepEqual(await findZone("www.example.co.uk"), { zone: "example.co.uk", nameservers: ["ns1.host.co.uk"] });
+  // A delegated subzone is its own zone, not its parent's
+  assert.deepEqual(await findZone("www.shop.example.com"), { zone: "shop.example.com", nameservers: ["ns1.shopdns.net"] });
+  assert.equal((await findZone("WWW.Example.COM.")).zone, "example.com");
+  assert.equal(await findZone("nothing.example"), null);
+  await findZone("www.example.co.uk");
+  assert.deepEqual(asked, [
+    "www.example.co.uk", "example.co.uk",
+    "www.shop.example.com", "shop.example.com",
+    "www.example.com", "example.com",
+    "nothing.example",
+  ]);
+});
+
+test("createZoneFinder doesn't guess a parent zone when a lookup fails", async () => {
+  const timeout = Object.assign(new Error("queryNs ETIMEOUT shop.example.com"), { code: "ETIMEOUT" });
+  const findZone = createZoneFinder(fakeResolveNs({ "shop.example.com": timeout, "example.com": ["ada.ns.cloudflare.com"] }));
+  await assert.rejects(findZone("www.shop.example.com"), /ETIMEOUT/);
+});
+
+test("identifyProvider names well-known DNS hosts from their nameservers", () => {
+  assert.deepEqual(identifyProvider(["ada.ns.cloudflare.com", "bob.ns.cloudflare.com"]), { provider: "Cloudflare", known: true });
+  assert.deepEqual(identifyProvider(["ns-1234.awsdns-26.org", "ns-55.awsdns-06.com"]), { provider: "Amazon Route 53", known: true });
+  assert.deepEqual(identifyProvider(["NS41.DOMAINCONTROL.COM."]), { provider: "GoDaddy", known: true });
+  assert.deepEqual(identifyProvider(["ns-cloud-a1.googledomains.com"]), { provider: "Google Cloud DNS", known: true });
+  assert.deepEqual(identifyProvider(["dns1.registrar-servers.com"]), { provider: "Namecheap", known: true });
+});
+
+test("identifyProvider groups unknown nameservers by their own domain", () => {
+  assert.deepEqual(identifyProvider(["ns1.examplehost.net", "ns2.examplehost.net"]), { provider: "examplehost.net", known: false });
+  assert.deepEqual(identifyProvider(["ns1.host.co.uk"]), { provider: "host.co.uk", known: false });
+  assert.equal(identifyProvider([]), null);
+});
+
+test("a nameserver lookup asks once per name and reports failures", async () => {
+  const asked = [];
+  const lookup = createNameserverLookup({
+    resolveNs: fakeResolveNs({
+      "example.com": ["BOB.NS.CLOUDFLARE.COM", "ada.ns.cloudflare.com"],
+      "example.org": Object.assign(new Error("queryNs ESERVFAIL example.org"), { code: "ESERVFAIL" }),
+    }, asked),
+  });
+  const [www, apex, blog, none] = await Promise.all([
+    lookup("www.example.com"), lookup("example.com"), lookup("blog.example.org"), lookup("nothing.example"),
+  ]);
+  assert.deepEqual(www, {
+    zone: "example.com", nameservers: ["ada.ns.cloudflare.com", "bob.ns.cloudflare.com"], provider: "Cloudflare", known: true,
+  });
+  assert.equal(apex, www);
+  assert.deepEqual(blog, { zone: null, nameservers: [], provider: null, known: false, error: "ESERVFAIL" });
+  assert.deepEqual(none, { zone: null, nameservers: [], provider: null, known: false });
+  assert.deepEqual(asked.sort(), ["blog.example.org", "example.com", "example.org", "nothing.example", "www.example.com"]);
+});
+
+test("a nameserver lookup finds co.uk-style and delegated zones", async () => {
+  const lookup = createNameserverLookup({
+    resolveNs: fakeResolveNs({ "example.co.uk": ["ns1.host.co.uk"], "shop.example.com": ["ns-1.awsdns-01.com"], "example.com": ["ada.ns.cloudflare.com"] }),
+  });
+  assert.deepEqual(await lookup("www.example.co.uk"), { zone: "example.co.uk", nameservers: ["ns1.host.co.uk"], provider: "host.co.uk", known: false });
+  const shop = await lookup("www.shop.example.com");
+  assert.deepEqual([shop.zone, shop.provider], ["shop.example.com", "Amazon Route 53"]);
+});
@@ -0,0 +1,170 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const net = require("net");
+const { createNotifier, eventsFromChanges } = require("../lib/notifier");
+
+let hookServer;
+let hookBase;
+let received;         // { path, body } per webhook request
+let smtpServer;
+let smtpPort;
+let mails;            // raw DATA of each message the SMTP stand-in accepted
+
+before(async () => {
+  hookServer = http.createServer((req, res) => {
+    if (req.url === "/hang") return; // never answers
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      received.push({ path: req.url, body: JSON.parse(raw) });
+      res.statusCode = req.url === "/broken" ? 500 : 200;
+      res.end("ok");
+    });
+  });
+  await new Promise((r) => hookServer.listen(0, "127.0.0.1", r));
+  hookBase = `http://127.0.0.1:${hookServer.address().port}`;
+
+  // Just enough SMTP for nodemailer: greet, accept everything, collect DATA
+  smtpServer = net.createServer((socket) => {
+    let data = null;
+    let buffer = "";
+    socket.write("220 localhost ESMTP test\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let eol;
+      while ((eol = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, eol);
+        buffer = buffer.slice(eol + 2);
+        if (data !== null) {
+          if (line === ".") {
+            mails.push(data);
+            data = null;
+            socket.write("250 queued\r\n");
+          } else {
+            data += line + "\n";
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) socket.write("250 localhost\r\n");
+        else if (/^DATA/i.test(line)) { data = ""; socket.write("354 go ahead\r\n"); }
+        else if (/^QUIT/i.test(line)) { socket.write("221 bye\r\n"); socket.end(); }
+        else socket.write("250 ok\r\n");
+      }
+    });
+  });
+  await new Promise((r) => smtpServer.listen(0, "127.0.0.1", r));
+  smtpPort = smtpServer.address().port;
+});
+
+after(async () => {
+  hookServer.closeAllConnections();
+  await new Promise((r) => hookServer.close(r));
+  await new Promise((r) => smtpServer.close(r));
+});
+
+beforeEach(() => {
+  received = [];
+  mails = [];
+});
+
+const CHANGES = {
+  to: "2026-01-01T00:00:00.000Z",
+  statusChanges: [
+    { siteId: "inst-shop", site: "shop", environment: "production", domain: "old.shop.example.com", from: "good", to: "issue", fromDetail: "Active & DNS pointed", toDetail: "DNS not pointed to WPE" },
+    { siteId: "inst-blog", site: "blog", environment: "production", domain: "blog.example.org", from: "issue", to: "good", fromDetail: "DNS not resolving", toDetail: "DNS pointed (Legacy)" },
+  ],
+  domainsAdded: [{ siteId: "inst-blog", site: "blog", environment: "production", domain: "new.example.org", status: "issue", detail: "DNS not resolving" }],
+  sslChanges: [{ siteId: "inst-shop", site: "shop", environment: "production", domain: "shop.example.com", from: "active", to: "expired" }],
+};
+
+test("eventsFromChanges turns a scan diff into alert events", () => {
+  assert.deepEqual(eventsFromChanges(CHANGES).map((e) => [e.type, e.domain]), [
+    ["new_issue", "old.shop.example.com"],
+    ["recovered", "blog.example.org"],
+    ["new_issue", "new.example.org"],
+    ["ssl_expired", "shop.example.com"],
+  ]);
+  assert.deepEqual(eventsFromChanges(null), []);
+});
+
+test("only events matching the rules are delivered, and channels can narrow them further", async () => {
+  const notifier = createNotifier({
+    rules: ["new_issue", "recovered"],
+    channels: [
+      { name: "hook", type: "webhook", url: `${hookBase}/hook`, headers: { "X-Token": "t" } },
+      { name: "slack", type: "slack", url: `${hookBase}/slack`, events: ["recovered"] },
+    ],
+  });
+  const res = await notifier.notify(eventsFromChanges(CHANGES));
+  assert.equal(res.sent, 3);
+  assert.deepEqual(res.results.map((r) => [r.channel, r.ok, r.events]), [["hook", true, 3], ["slack", true, 1]]);
+
+  const hook = received.find((r) => r.path === "/hook").body;
+  assert.equal(hook.source, "wpengine-monitor");
+  assert.deepEqual(hook.events.map((e) => e.type), ["new_issue", "recovered", "new_issue"]);
+  assert.equal(hook.subject, "[WPE Monitor] 3 domain alerts");
+  const slack = received.find((r) => r.path === "/slack").body;
+  assert.match(slack.text, /^\*\[WPE Monitor\] Domain recovered: blog\.example\.org \(blog\/production\)/);
+});
+
+test("the same alert is sent once per quiet period", async (t) => {
+  t.after(() => mock.timers.reset());
+  mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-01-01T00:00:00Z") });
+  const notifier = createNotifier({ quietPeriodMinutes: 60, channels: [{ name: "hook", type: "webhook", url: `${hookBase}/hook` }] });
+  const [issue] = eventsFromChanges(CHANGES);
+
+  assert.equal((await notifier.notify([issue, issue])).sent, 1, "duplicates in one batch collapse");
+  assert.equal((await notifier.notify([issue])).sent, 0);
+  assert.equal(notifier.status().quieted, 1);
+
+  mock.timers.tick(60 * 60 * 1000);
+  const [, , other] = eventsFromChanges(CHANGES);
+  assert.equal((await notifier.notify([other])).sent, 1);
+  assert.equal(notifier.status().quieted, 1, "the expired key was pruned");
+  assert.equal((await notifier.notify([issue])).sent, 1, "sent again after the quiet period");
+  assert.equal(received.length, 3);
+});
+
+test("a failed delivery doesn't start the quiet period", async () => {
+  const notifier = createNotifier({ channels: [{ name: "broken", type: "webhook", url: `${hookBase}/broken` }] });
+  const [issue] = eventsFromChanges(CHANGES);
+  const first = await notifier.notify([issue]);
+  assert.deepEqual(first.results, [{ channel: "broken", type: "webhook", ok: false, error: `HTTP 500 from ${hookBase}/broken` }]);
+  assert.equal((await notifier.notify([issue])).sent, 1);
+  assert.equal(notifier.status().recentDeliveries.length, 2);
+});
+
+test("a hung endpoint times out instead of blocking the other channels", async () => {
+  const notifier = createNotifier({
+    timeoutMs: 200,
+    channels: [
+      { name: "hung", type: "webhook", url: `${hookBase}/hang` },
+      { name: "hook", type: "webhook", url: `${hookBase}/hook` },
+    ],
+  });
+  const started = Date.now();
+  const results = await notifier.test();
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(results[0].ok, false);
+  assert.match(results[0].error, /timeout/i);
+  assert.equal(results[1].ok, true);
+  assert.equal(received[0].body.events[0].type, "test");
+});
+
+test("email alerts are delivered over SMTP", async () => {
+  const notifier = createNotifier({
+    channels: [{ name: "mail", type: "email", host: "127.0.0.1", port: smtpPort, ignoreTLS: true, from: "monitor@example.com", to: ["ops@example.com"] }],
+  });
+  const res = await notifier.notify(eventsFromChanges(CHANGES).slice(0, 1));
+  assert.deepEqual(res.results.map((r) => r.ok), [true]);
+  assert.equal(mails.length, 1);
+  // The subject is MIME-encoded (it has an em dash)
+  assert.match(mails[0], /^Subject: =\?UTF-8\?Q\?=5BWPE_Monitor=5D_Domain_has_a_new_issue/m);
+  assert.match(mails[0].split("\n\n").slice(1).join("\n"), /old\.shop\.example\.com/);
+  assert.match(mails[0], /^To: ops@example\.com/m);
+});
+
+test("unknown rules and channel types are rejected", () => {
+  assert.throws(() => createNotifier({ rules: ["everything"] }), /Unknown notification rule "everything"/);
+  assert.throws(() => createNotifier({ channels: [{ type: "pager" }] }), /unknown type "pager"/);
+  assert.throws(() => createNotifier({ channels: [{ name: "x", type: "webhook" }] }), /url is required/);
+});
@@ -0,0 +1,101 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { remediationFor } = require("../lib/remediation");
+
+const SITE = { name: "shop", cname: "shop.wpengine.com" };
+const EXPECTED = { expectedCname: "wp.wpenginepowered.com", expectedARecords: ["141.193.213.10", "141.193.213.11"] };
+
+function domain(name, dns, extra = {}) {
+  return { name, status: "issue", detail: "DNS not pointed to WPE", dns: dns && { ips: [], ips6: [], cnames: [], ...dns }, ...EXPECTED, ...extra };
+}
+
+const records = (list) => list.map((r) => [r.name, r.type, r.value]);
+
+test("a subdomain gets the expected CNAME and loses the records that conflict with it", () => {
+  const plan = remediationFor(domain("www.example.com", { ips: ["203.0.113.5"], ips6: ["2001:db8::5"] }), SITE);
+  assert.equal(plan.zone, "example.com");
+  assert.equal(plan.apex, false);
+  assert.deepEqual(records(plan.add), [["www", "CNAME", "wp.wpenginepowered.com"]]);
+  assert.deepEqual(records(plan.remove), [["www", "A", "203.0.113.5"], ["www", "AAAA", "2001:db8::5"]]);
+  assert.match(plan.remove[0].reason, /CNAME can't share a name/);
+  assert.equal(plan.alternative, null);
+});
+
+test("a subdomain CNAMEd elsewhere has that CNAME replaced", () => {
+  const plan = remediationFor(domain("shop.example.com", { cnames: ["shops.myshopify.com"], ips: ["23.227.38.65"] }), SITE);
+  assert.deepEqual(records(plan.remove), [["shop", "CNAME", "shops.myshopify.com"]]);
+  assert.deepEqual(records(plan.add), [["shop", "CNAME", "wp.wpenginepowered.com"]]);
+});
+
+test("a CNAME to another WP Engine target is replaced, not called foreign", () => {
+  const plan = remediationFor(domain("www.example.com", { cnames: ["shop.wpengine.com"], ips: ["141.193.213.10"] }), SITE);
+  assert.deepEqual(records(plan.remove), [["www", "CNAME", "shop.wpengine.com"]]);
+  assert.equal(plan.remove[0].reason, "older WP Engine target; replace it with wp.wpenginepowered.com");
+  assert.doesNotMatch(plan.text, /points away from WP Engine/);
+  // Already on the expected target: nothing to delete
+  assert.deepEqual(remediationFor(domain("www.example.com", { cnames: ["wp.wpenginepowered.com"] }), SITE).remove, []);
+});
+
+test("without an expected CNAME a subdomain points at the install", () => {
+  const plan = remediationFor(domain("blog.example.org", { ips: ["203.0.113.9"] }, { expectedCname: null, expectedARecords: [] }), SITE);
+  assert.deepEqual(records(plan.add), [["blog", "CNAME", "shop.wpengine.com"]]);
+});
+
+test("an apex gets A records, keeps the right ones and offers CNAME flattening", () => {
+  const plan = remediationFor(domain("example.com", { ips: ["141.193.213.10", "203.0.113.9"], ips6: ["2001:db8::5"] }), SITE);
+  assert.equal(plan.apex, true);
+  assert.deepEqual(records(plan.add), [["@", "A", "141.193.213.10"], ["@", "A", "141.193.213.11"]]);
+  assert.deepEqual(records(plan.remove), [["@", "A", "203.0.113.9"], ["@", "AAAA", "2001:db8::5"]]);
+  assert.deepEqual(plan.alternative, { type: "ALIAS", name: "@", value: "wp.wpenginepowered.com" });
+  assert.ok(plan.notes.some((n) => /apex can't have a CNAME/.test(n)));
+});
+
+test("an apex without A records from the API says where to find them", () => {
+  const plan = remediationFor(domain("example.com", { ips: ["203.0.113.9"] }, { expectedARecords: [] }), SITE);
+  assert.deepEqual(plan.add, []);
+  assert.ok(plan.notes.some((n) => /returned no A records/.test(n)));
+  // Only addresses outside WP Engine's ranges are flagged for deletion
+  const mixed = remediationFor(domain("example.com", { ips: ["141.193.213.10", "203.0.113.9"] }, { expectedARecords: [] }), SITE);
+  assert.deepEqual(records(mixed.remove), [["@", "A", "203.0.113.9"]]);
+});
+
+test("the zone comes from the scan's NS lookup when it found one", () => {
+  // shop.example.com is delegated to its own zone, so it is an apex there
+  const delegated = remediationFor(domain("shop.example.com", { ips: ["203.0.113.5"] }, { dnsProvider: { zone: "shop.example.com" } }), SITE);
+  assert.deepEqual([delegated.zone, delegated.apex], ["shop.example.com", true]);
+  assert.deepEqual(records(delegated.add), [["@", "A", "141.193.213.10"], ["@", "A", "141.193.213.11"]]);
+
+  const uk = remediationFor(domain("www.example.co.uk", {}, { dnsProvider: { zone: "example.co.uk" } }), SITE);
+  assert.deepEqual(records(uk.add), [["www", "CNAME", "wp.wpenginepowered.com"]]);
+  // The authoritative resolver's zone works too; a zone that doesn't enclose the domain is ignored
+  const auth = remediationFor(domain("www.shop.example.com", { sources: [{ source: "authoritative", zone: "shop.example.com" }] }), SITE);
+  assert.equal(auth.zone, "shop.example.com");
+  assert.equal(remediationFor(domain("www.example.com", {}, { dnsProvider: { zone: "example.net" } }), SITE).zone, "example.com");
+});
+
+test("deleted networks and missing DNS data are called out", () => {
+  const plan = remediationFor(domain("gone.example.org", null, { detail: "Network deleted" }), SITE);
+  assert.deepEqual(plan.remove, []);
+  assert.ok(plan.notes.some((n) => /DELETED/.test(n)));
+  assert.ok(plan.notes.some((n) => /no DNS lookup/.test(n)));
+});
+
+test("text and BIND renderings", () => {
+  const plan = remediationFor(domain("www.example.co.uk", { ips: ["203.0.113.5"] }), SITE);
+  assert.match(plan.text, /^DNS changes for www\.example\.co\.uk \(WP Engine install: shop\)\n/);
+  assert.match(plan.text, /Delete these records:\n {2}www {2}A {2}203\.0\.113\.5 {2}\(a CNAME/);
+  assert.match(plan.text, /Make sure these records exist:\n {2}www {2}CNAME {2}wp\.wpenginepowered\.com\n/);
+  assert.equal(plan.bind, [
+    "; www.example.co.uk on WP Engine install shop",
+    "$ORIGIN example.co.uk.",
+    "; delete:",
+    "; www\tIN\tA\t203.0.113.5",
+    "; set:",
+    "www\tIN\tCNAME\twp.wpenginepowered.com.",
+    "",
+  ].join("\n"));
+
+  const apex = remediationFor(domain("example.com", { ips: ["203.0.113.9"] }), SITE);
+  assert.match(apex.bind, /^@\tIN\tA\t141\.193\.213\.10$/m);
+  assert.match(apex.bind, /^; @\tIN\tALIAS\twp\.wpenginepowered\.com\.$/m);
+});
@@ -0,0 +1,202 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { runScan, rescanSite, recheckDomain, replaceSites, batchAsync } = require("../lib/monitor");
+const { startMockApi } = require("./helpers/mock-wpe-api");
+const { createFakeResolver } = require("./helpers/fake-resolver");
+
+let api;
+
+before(async () => {
+  api = await startMockApi();
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+function scanOpts(extra = {}) {
+  return {
+    credentials: api.credentials,
+    api: { baseUrl: api.baseUrl, retries: 1, retryBaseMs: 1, retryMaxMs: 10 },
+    resolver: createFakeResolver(),
+    ...extra,
+  };
+}
+
+const statusOf = (data) => Object.fromEntries(data.sites.flatMap((s) => s.domains.map((d) => [d.name, [d.status, d.detail]])));
+
+test("runScan classifies every fixture domain", async () => {
+  const data = await runScan(scanOpts());
+  assert.deepEqual(statusOf(data), {
+    "shop.example.com": ["good", "Active & DNS pointed"],
+    "www.shop.example.com": ["good", "Active & DNS pointed"],
+    "old.shop.example.com": ["issue", "DNS not pointed to WPE"],
+    "new.shop.example.com": ["pending", "Pending setup"],
+    "shop.wpengine.com": ["system", "System domain"],
+    "blog.example.org": ["good", "DNS pointed (Legacy)"],
+    "www.blog.example.org": ["good", "DNS pointed (Legacy)"],
+    "gone.example.org": ["issue", "Network deleted"],
+    "dead.example.org": ["issue", "DNS not resolving"],
+    "blog.wpengine.com": ["system", "System domain"],
+    "shopstg.wpengine.com": ["system", "System domain"],
+  });
+});
+
+test("runScan computes stats and a fetch summary", async () => {
+  const data = await runScan(scanOpts());
+  assert.equal(data.stats.totalSites, 3);
+  assert.equal(data.stats.totalDomains, 11);
+  assert.equal(data.stats.customDomains, 8);
+  assert.equal(data.stats.good, 4);
+  assert.equal(data.stats.issues, 3);
+  assert.equal(data.stats.pending, 1);
+  assert.equal(data.stats.unavailableSites, 0);
+  assert.deepEqual(data.summary.installs, { pages: 1, items: 3 });
+  assert.deepEqual(data.summary.domains, { pages: 3, items: 11 });
+  assert.deepEqual(data.summary.incomplete, []);
+
+  const shop = data.sites.find((s) => s.id === "inst-shop");
+  assert.equal(shop.issueCount, 1);
+  assert.equal(shop.pendingCount, 1);
+  assert.equal(shop.domains.find((d) => d.name === "www.shop.example.com").redirect_to, "shop.example.com");
+});
+
+test("runScan only looks up custom domains", async () => {
+  const resolver = createFakeResolver();
+  await runScan(scanOpts({ resolver }));
+  assert.equal(resolver.lookups.length, 8);
+  assert.ok(!resolver.lookups.some((name) => name.endsWith(".wpengine.com")));
+});
+
+test("runScan looks up each name's nameservers once and names the DNS provider", async () => {
+  const asked = [];
+  const zones = { "example.com": ["ada.ns.cloudflare.com", "bob.ns.cloudflare.com"], "example.org": ["ns1.examplehost.net"] };
+  const resolveNs = async (name) => {
+    asked.push(name);
+    if (!zones[name]) throw Object.assign(new Error(`queryNs ENODATA ${name}`), { code: "ENODATA" });
+    return zones[name];
+  };
+  const data = await runScan(scanOpts({ checks: { nameservers: { enabled: true, resolveNs } } }));
+  assert.equal(new Set(asked).size, asked.length, "no name is asked about twice");
+  assert.deepEqual(asked.filter((name) => zones[name]).sort(), ["example.com", "example.org"]);
+  const domains = data.sites.flatMap((s) => s.domains);
+  const provider = (name) => domains.find((d) => d.name === name).dnsProvider;
+  assert.deepEqual(provider("old.shop.example.com"), {
+    zone: "example.com", nameservers: ["ada.ns.cloudflare.com", "bob.ns.cloudflare.com"], provider: "Cloudflare", known: true,
+  });
+  // Domains that don't resolve still get their DNS host
+  assert.equal(provider("dead.example.org").provider, "examplehost.net");
+  assert.equal(provider("shop.wpengine.com"), null);
+});
+
+test("runScan runs a domain's TLS and HTTP checks side by side", async () => {
+  const running = new Set();
+  const overlapped = [];
+  const check = (kind) => async (name) => {
+    running.add(`${kind} ${name}`);
+    await new Promise((r) => setTimeout(r, 20));
+    overlapped.push(running.has(`${kind === "tls" ? "http" : "tls"} ${name}`));
+    running.delete(`${kind} ${name}`);
+    return null;
+  };
+  await runScan(scanOpts({ checks: { tls: { enabled: true, inspect: check("tls") }, http: { enabled: true, probe: check("http") } } }));
+  assert.ok(overlapped.length > 0);
+  // Whichever check finishes first sees the other still running
+  assert.equal(overlapped.filter(Boolean).length, overlapped.length / 2);
+});
+
+test("batchAsync keeps every slot busy while one item is slow", async () => {
+  let release;
+  const slow = new Promise((r) => (release = r));
+  const finished = [];
+  const all = batchAsync([0, 1, 2, 3, 4, 5], 2, async (n) => {
+    if (n === 0) await slow;
+    finished.push(n);
+    return n * 10;
+  });
+  await new Promise((r) => setTimeout(r, 20));
+  // Fixed batches of two would still be waiting on item 0
+  assert.deepEqual(finished, [1, 2, 3, 4, 5]);
+  release();
+  assert.deepEqual(await all, [0, 10, 20, 30, 40, 50]);
+
+  const started = [];
+  await assert.rejects(batchAsync([0, 1, 2, 3], 1, async (n) => {
+    started.push(n);
+    if (n === 1) throw new Error("boom");
+  }), /boom/);
+  assert.deepEqual(started, [0, 1], "no new items start after a failure");
+});
+
+test("runScan streams each site as soon as it's checked", async () => {
+  const seen = [];
+  const progress = [];
+  await runScan(scanOpts({
+    onSite: (site, { done, total }) => seen.push([site.id, done, total]),
+    onProgress: (message, detail) => progress.push(detail && detail.phase),
+  }));
+  assert.equal(seen.length, 3);
+  assert.deepEqual(seen.map(([, done, total]) => [done, total]), [[1, 3], [2, 3], [3, 3]]);
+  assert.deepEqual(new Set(seen.map(([id]) => id)), new Set(["inst-shop", "inst-blog", "inst-shopstg"]));
+  assert.ok(progress.includes("installs") && progress.includes("domains") && progress.includes("checks"));
+});
+
+test("runScan marks an install unavailable when its domains can't be fetched", async () => {
+  api.fail("/installs/inst-blog/domains", 500);
+  const data = await runScan(scanOpts());
+  const blog = data.sites.find((s) => s.id === "inst-blog");
+  assert.match(blog.fetchError, /API 500/);
+  assert.deepEqual(blog.domains, []);
+  assert.equal(data.stats.unavailableSites, 1);
+  // The other installs are scanned as usual
+  assert.equal(data.sites.find((s) => s.id === "inst-shop").domains.length, 5);
+});
+
+test("runScan fails when the install list can't be fetched", async () => {
+  await assert.rejects(runScan(scanOpts({ credentials: { user: "test-user", pass: "wrong" } })), { name: "ApiError", status: 401 });
+});
+
+test("runScan tags sites with their account", async () => {
+  const second = await startMockApi({ credentials: [{ user: "agency", pass: "agency-pass" }, api.credentials] });
+  try {
+    const data = await runScan(scanOpts({
+      api: { baseUrl: second.baseUrl, retries: 0 },
+      accounts: [{ name: "main", ...api.credentials }, { name: "agency", user: "agency", pass: "agency-pass" }],
+    }));
+    assert.equal(data.sites.length, 6);
+    assert.deepEqual(data.stats.accounts.map((a) => [a.name, a.totalSites]), [["main", 3], ["agency", 3]]);
+  } finally {
+    await second.close();
+  }
+});
+
+test("runScan keeps the API error when naming the account that failed", async () => {
+  api.fail("/installs", 401);
+  await assert.rejects(runScan(scanOpts({
+    api: { baseUrl: api.baseUrl, retries: 0 },
+    accounts: [{ name: "main", ...api.credentials }, { name: "agency", user: "agency", pass: "agency-pass" }],
+  })), { name: "ApiError", status: 401, message: /^main: API 401 on \/installs/ });
+});
+
+test("rescanSite refetches one install and replaceSites merges it", async () => {
+  const data = await runScan(scanOpts());
+  const fixed = createFakeResolver({ ...createFakeResolver().records, "old.shop.example.com": { ips: ["141.193.213.11"] } });
+  api.reset();
+  const site = await rescanSite(data, "inst-shop", scanOpts({ resolver: fixed }));
+  assert.ok(api.requests.every((r) => r.path.startsWith("/installs/inst-shop")));
+  assert.equal(site.domains.find((d) => d.name === "old.shop.example.com").status, "good");
+
+  const merged = replaceSites(data, [site]);
+  assert.equal(merged.stats.issues, 2);
+  assert.equal(merged.stats.timestamp, data.stats.timestamp);
+  assert.ok(merged.stats.updatedAt);
+});
+
+test("recheckDomain rechecks one domain on every install that has it", async () => {
+  const data = await runScan(scanOpts());
+  const resolver = createFakeResolver({ "dead.example.org": { ips: ["35.203.43.20"] } });
+  const sites = await recheckDomain(data, "dead.example.org", scanOpts({ resolver }));
+  assert.deepEqual(resolver.lookups, ["dead.example.org"]);
+  assert.equal(sites.length, 1);
+  assert.equal(sites[0].domains.find((d) => d.name === "dead.example.org").status, "good");
+  // The install's other domains are left as they were
+  assert.equal(sites[0].domains.find((d) => d.name === "gone.example.org").status, "issue");
+});
@@ -0,0 +1,73 @@
+const { test, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScheduler, parseCron, nextCronTime, MAX_TIMER_MS } = require("../lib/scheduler");
+const { loadConfig, ConfigError } = require("../lib/config");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let delays;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ["setTimeout", "Date"], now: new Date(2026, 1, 1, 12, 0).getTime() });
+  // Record every delay the scheduler asks for
+  delays = [];
+  const mocked = globalThis.setTimeout;
+  mock.method(globalThis, "setTimeout", (fn, ms) => {
+    delays.push(ms);
+    return mocked(fn, ms);
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+// Move the clock forward and let the task's promise settle
+async function advance(ms) {
+  mock.timers.tick(ms);
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+}
+
+test("a yearly cron waits in timer-sized steps and runs once, on time", async () => {
+  let runs = 0;
+  const scheduler = createScheduler({ task: async () => { runs++; }, cron: "0 3 1 1 *" });
+  scheduler.start();
+  const target = new Date(2027, 0, 1, 3, 0).getTime();
+  assert.equal(scheduler.status().nextRunAt, new Date(target).toISOString());
+
+  await advance(target - Date.now() - 60000);
+  assert.equal(runs, 0, "nothing runs before the cron matches");
+  await advance(60000);
+  assert.equal(runs, 1);
+  assert.ok(delays.length > 2, "the wait was split into several timers");
+  assert.ok(delays.every((ms) => ms >= 0 && ms <= MAX_TIMER_MS), `delays within setTimeout's limit: ${delays}`);
+  assert.equal(scheduler.status().nextRunAt, new Date(2028, 0, 1, 3, 0).toISOString());
+  scheduler.stop();
+});
+
+test("an interval longer than one timer still runs once per interval", async () => {
+  let runs = 0;
+  const scheduler = createScheduler({ task: async () => { runs++; }, intervalMs: 40 * DAY });
+  scheduler.start();
+  await advance(40 * DAY - 1);
+  assert.equal(runs, 0);
+  await advance(1);
+  assert.equal(runs, 1);
+  assert.ok(delays.every((ms) => ms <= MAX_TIMER_MS));
+  scheduler.stop();
+  assert.equal(scheduler.status().enabled, false);
+});
+
+test("a cron that never matches is rejected up front", () => {
+  assert.throws(() => nextCronTime(parseCron("0 0 31 2 *")), /never matches/);
+  assert.throws(() => createScheduler({ task: async () => {}, cron: "0 0 31 2 *" }), /never matches/);
+  assert.throws(() => loadConfig({ env: { SCAN_CRON: "0 0 31 2 *" } }),
+    (e) => e instanceof ConfigError && /SCAN_CRON: schedule\.cron/.test(e.message));
+});
+
+test("config rejects intervals a timer can't wait for", () => {
+  assert.throws(() => loadConfig({ env: { SCAN_INTERVAL_MINUTES: "40000" } }),
+    (e) => e instanceof ConfigError && /schedule\.intervalMinutes/.test(e.message));
+  assert.equal(loadConfig({ env: { SCAN_INTERVAL_MINUTES: "35791" } }).schedule.intervalMinutes, 35791);
+});
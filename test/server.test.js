@@ -0,0 +1,491 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createServer } = require("../server");
+const { loadConfig } = require("../lib/config");
+const { checkSnapshot } = require("../lib/snapshot");
+const { hashPassword, LOGIN_MAX_FAILURES } = require("../lib/auth");
+const { startMockApi } = require("./helpers/mock-wpe-api");
+const { createFakeResolver } = require("./helpers/fake-resolver");
+
+const OPERATOR_TOKEN = "operator-token-0123456789";
+const VIEWER_TOKEN = "viewer-token-0123456789";
+
+let api;
+let dir;
+let resolver;
+let hooks;          // webhook payloads received
+let hookServer;
+let notifications;  // channels shared by the live and replaying servers
+let base;           // open server
+let authBase;       // server with tokens configured
+const listening = [];
+
+function writeConfig(name, extra) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify({
+    credentials: api.credentials,
+    api: { baseUrl: api.baseUrl, retries: 0 },
+    schedule: { intervalMinutes: 0 },
+    checks: { tls: { enabled: false }, http: { enabled: false }, nameservers: { enabled: false } },
+    ...extra,
+  }));
+  // Relative storage paths land next to the config file, in the temp dir
+  return loadConfig({ file, env: {} });
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    const s = server.app.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${s.address().port}`));
+    listening.push(s);
+  });
+}
+
+async function call(baseUrl, urlPath, { method = "GET", body, token } = {}) {
+  const headers = {};
+  if (body) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(baseUrl + urlPath, { method, headers, body: body && JSON.stringify(body), redirect: "manual" });
+  const type = res.headers.get("content-type") || "";
+  return { status: res.status, headers: res.headers, body: type.includes("json") ? await res.json() : await res.text() };
+}
+
+const get = (urlPath, opts) => call(base, urlPath, opts);
+const post = (urlPath, body) => call(base, urlPath, { method: "POST", body: body || {} });
+
+async function eventually(fn, timeoutMs = 2000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value || Date.now() > until) return value;
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+before(async () => {
+  api = await startMockApi();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-monitor-test-"));
+  resolver = createFakeResolver();
+
+  hooks = [];
+  hookServer = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      hooks.push(JSON.parse(raw));
+      res.end("ok");
+    });
+  });
+  await new Promise((r) => hookServer.listen(0, "127.0.0.1", r));
+  const hookUrl = `http://127.0.0.1:${hookServer.address().port}/hook`;
+
+  notifications = { rules: ["new_issue", "recovered"], channels: [{ name: "hook", type: "webhook", url: hookUrl }] };
+  base = await listen(createServer(writeConfig("config.json", { notifications }), { resolver }));
+  authBase = await listen(createServer(writeConfig("auth.json", {
+    storage: { historyFile: "auth-history.jsonl", confirmedFile: "auth-confirmed.json", auditFile: "auth-audit.jsonl" },
+    auth: {
+      users: [
+        { username: "alice", passwordHash: hashPassword("alice-password"), role: "viewer" },
+        { username: "bob", passwordHash: hashPassword("bob-password"), role: "viewer" },
+      ],
+      tokens: [
+        { name: "ci", token: OPERATOR_TOKEN, role: "operator" },
+        { name: "grafana", token: VIEWER_TOKEN, role: "viewer" },
+      ],
+    },
+  }), { resolver }));
+});
+
+after(async () => {
+  for (const s of listening) {
+    s.closeAllConnections();
+    await new Promise((r) => s.close(r));
+  }
+  await new Promise((r) => hookServer.close(r));
+  await api.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ── Before the first scan ──
+
+test("GET / serves the dashboard", async () => {
+  const res = await get("/");
+  assert.equal(res.status, 200);
+  assert.match(res.body, /WP Engine Domain Monitor/);
+});
+
+test("GET /api/me reports an open dashboard", async () => {
+  assert.deepEqual((await get("/api/me")).body, { authEnabled: false, username: null, role: "operator", snapshot: null });
+});
+
+test("routes that need scan data answer sensibly before the first scan", async () => {
+  assert.deepEqual((await get("/api/data")).body, { sites: [], stats: null });
+  assert.equal((await get("/api/status")).body.hasData, false);
+  assert.equal((await get("/api/export.csv")).status, 409);
+  assert.equal((await get("/api/snapshot")).status, 409);
+  assert.equal((await get("/api/domains/old.shop.example.com/remediation")).status, 409);
+  assert.equal((await post("/api/sites/inst-shop/rescan")).status, 409);
+  assert.equal((await post("/api/confirm", { domain: "old.shop.example.com", siteId: "inst-shop", reason: "x" })).status, 409);
+  assert.deepEqual((await get("/api/changes")).body, { changes: null });
+});
+
+// ── Scanning ──
+
+test("GET /api/refresh runs a scan against the mock API", async () => {
+  const res = await get("/api/refresh");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.stats.totalSites, 3);
+  assert.equal(res.body.stats.issues, 3);
+  assert.ok(api.requests.every((r) => r.auth.startsWith("Basic ")));
+});
+
+test("GET /api/events streams start, progress, site and done events", async () => {
+  const controller = new AbortController();
+  const res = await fetch(base + "/api/events", { signal: controller.signal });
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+  const events = [];
+  const reading = (async () => {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf("\n\n")) >= 0) {
+        const frame = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const name = /^event: (.*)$/m.exec(frame);
+        if (name) events.push(name[1]);
+        if (name && name[1] === "done") return;
+      }
+    }
+  })();
+  await get("/api/refresh");
+  await reading;
+  controller.abort();
+  assert.equal(events[0], "start");
+  assert.ok(events.includes("progress"));
+  assert.equal(events.filter((e) => e === "site").length, 3);
+  assert.equal(events[events.length - 1], "done");
+});
+
+test("GET /api/status describes the last scan", async () => {
+  const { body } = await get("/api/status");
+  assert.equal(body.refreshing, false);
+  assert.equal(body.hasData, true);
+  assert.equal(body.fetchSummary.installs.items, 3);
+  assert.equal(body.fetchSummary.perInstall.length, 3);
+});
+
+test("GET /api/domains/:name/remediation describes the DNS fix", async () => {
+  const { status, body } = await get("/api/domains/old.shop.example.com/remediation?siteId=inst-shop");
+  assert.equal(status, 200);
+  assert.equal(body.zone, "example.com");
+  assert.deepEqual(body.add, [{ type: "CNAME", name: "old.shop", value: "wp.wpenginepowered.com" }]);
+  assert.deepEqual(body.remove.map((r) => [r.type, r.value]), [["A", "203.0.113.5"]]);
+
+  const bind = await get("/api/domains/old.shop.example.com/remediation?format=bind");
+  assert.match(bind.headers.get("content-type"), /^text\/plain/);
+  assert.match(bind.body, /^old\.shop\tIN\tCNAME\twp\.wpenginepowered\.com\.$/m);
+  assert.equal((await get("/api/domains/old.shop.example.com/remediation?siteId=inst-blog")).status, 404);
+  assert.equal((await get("/api/domains/shop.wpengine.com/remediation")).status, 404);
+});
+
+test("the last scan is saved and a restart serves it until a fresh scan finishes", async () => {
+  const warm = () => writeConfig("warm.json", {
+    storage: { historyFile: "warm-history.jsonl", lastScanFile: "warm-last-scan.json", confirmedFile: "warm-confirmed.json" },
+  });
+  const first = await listen(createServer(warm(), { resolver }));
+  assert.equal((await call(first, "/api/status")).body.restoredAt, null);
+  await call(first, "/api/refresh");
+  const file = path.join(dir, "warm-last-scan.json");
+  assert.ok(await eventually(() => fs.existsSync(file)), "last scan written");
+
+  const restarted = createServer(warm(), { resolver });
+  const savedAt = JSON.parse(fs.readFileSync(file, "utf8")).savedAt;
+  assert.equal(restarted.restoredAt, savedAt);
+  const second = await listen(restarted);
+  const status = (await call(second, "/api/status")).body;
+  assert.equal(status.hasData, true);
+  assert.equal(status.restoredAt, savedAt);
+  assert.equal((await call(second, "/api/data")).body.sites.length, 3);
+
+  await call(second, "/api/refresh");
+  assert.equal((await call(second, "/api/status")).body.restoredAt, null);
+});
+
+test("an unreadable last-scan file means a cold start", async () => {
+  fs.writeFileSync(path.join(dir, "cold-last-scan.json"), "{ truncated");
+  const server = createServer(writeConfig("cold.json", { storage: { lastScanFile: "cold-last-scan.json" } }), { resolver });
+  assert.equal(server.restoredAt, null);
+  assert.deepEqual((await call(await listen(server), "/api/data")).body, { sites: [], stats: null });
+});
+
+test("GET /api/changes diffs the last two scans and alerts go out", async () => {
+  resolver.records["old.shop.example.com"] = { ips: ["141.193.213.10"] };
+  hooks.length = 0;
+  await get("/api/refresh");
+  const { changes } = (await get("/api/changes")).body;
+  assert.deepEqual(changes.statusChanges.map((c) => [c.domain, c.from, c.to]), [["old.shop.example.com", "issue", "good"]]);
+  await eventually(() => hooks.length > 0);
+  assert.deepEqual(hooks[0].events.map((e) => [e.type, e.domain]), [["recovered", "old.shop.example.com"]]);
+});
+
+test("GET /api/history returns a domain's timeline", async () => {
+  assert.equal((await get("/api/history")).status, 400);
+  const timeline = await eventually(async () => {
+    const { body } = await get("/api/history?domain=old.shop.example.com");
+    return body.timeline.length === 2 && body.timeline;
+  });
+  assert.deepEqual(timeline.map((t) => t.status), ["issue", "good"]);
+});
+
+test("GET /api/sites/:id/history returns per-scan counts", async () => {
+  const { body } = await get("/api/sites/inst-shop/history");
+  assert.equal(body.id, "inst-shop");
+  assert.ok(body.scans.length >= 2);
+  assert.ok(body.domains["old.shop.example.com"]);
+});
+
+// ── Partial rescans ──
+
+test("POST /api/sites/:id/rescan rescans one install", async () => {
+  assert.equal((await post("/api/sites/nope/rescan")).status, 404);
+  resolver.records["new.shop.example.com"] = { ips: ["141.193.213.10"] };
+  api.reset();
+  const res = await post("/api/sites/inst-shop/rescan");
+  assert.equal(res.status, 200);
+  assert.ok(api.requests.every((r) => r.path.startsWith("/installs/inst-shop")));
+  assert.ok(res.body.stats.updatedAt);
+});
+
+test("POST /api/domains/:name/recheck rechecks one domain", async () => {
+  assert.equal((await post("/api/domains/shop.wpengine.com/recheck")).status, 404);
+  resolver.records["dead.example.org"] = { ips: ["35.203.43.20"] };
+  const res = await post("/api/domains/dead.example.org/recheck");
+  assert.equal(res.status, 200);
+  const blog = res.body.sites.find((s) => s.id === "inst-blog");
+  assert.equal(blog.domains.find((d) => d.name === "dead.example.org").status, "good");
+  delete resolver.records["dead.example.org"];
+
+  // History records the recheck as a partial scan of just that domain
+  const timeline = await eventually(async () => {
+    const { body } = await get("/api/history?domain=dead.example.org");
+    return body.timeline[body.timeline.length - 1].status === "good" && body.timeline;
+  });
+  assert.equal(timeline[timeline.length - 1].from, res.body.stats.updatedAt);
+  const { scans } = (await get("/api/sites/inst-blog/history")).body;
+  const last = scans[scans.length - 1];
+  assert.deepEqual([last.partial, last.good, last.issues, last.pending], [true, 1, 0, 0]);
+});
+
+test("partial rescans report API failures as 502", async () => {
+  api.fail("/installs/inst-blog", 500, { times: 1 });
+  const res = await post("/api/sites/inst-blog/rescan");
+  assert.equal(res.status, 502);
+  assert.match(res.body.error, /API 500/);
+});
+
+// ── Exports ──
+
+test("GET /api/export.csv and .json export the filtered domains", async () => {
+  assert.equal((await get("/api/export.csv?filter=bogus")).status, 400);
+  const csv = await get("/api/export.csv?filter=issues");
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-disposition"), /wpe-domains-\d{4}-\d{2}-\d{2}-issues\.csv/);
+  const lines = csv.body.trim().split("\r\n");
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /gone\.example\.org/);
+
+  const json = await get("/api/export.json?q=shop");
+  assert.deepEqual(json.body.map((r) => r.domain), ["shop.example.com", "www.shop.example.com", "old.shop.example.com", "new.shop.example.com"]);
+  // Nameserver checks are off here, so no domain has a DNS provider to match
+  assert.deepEqual([json.body[0].dnsProvider, json.body[0].nameservers], ["", []]);
+  assert.deepEqual((await get("/api/export.json?provider=Cloudflare")).body, []);
+});
+
+test("GET /api/snapshot downloads the scan for replaying", async () => {
+  const res = await get("/api/snapshot");
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-disposition"), /wpe-snapshot-\d{4}-\d{2}-\d{2}\.json/);
+  const snapshot = checkSnapshot(res.body);
+  assert.equal(snapshot.data.sites.length, 3);
+  assert.ok(snapshot.changes, "the last diff travels with the scan");
+});
+
+// ── Confirm OK ──
+
+test("POST /api/confirm needs a reason and a domain from the last scan", async () => {
+  assert.equal((await post("/api/confirm", { domain: "gone.example.org" })).status, 400);
+  assert.equal((await post("/api/confirm", { domain: "gone.example.org", siteId: "inst-blog" })).status, 400);
+  assert.equal((await post("/api/confirm", { domain: "gone.example.org", siteId: "inst-shop", reason: "x" })).status, 404);
+  assert.equal((await post("/api/confirm", { domain: "gone.example.org", siteId: "inst-blog", reason: "x", expiresAt: "2001-01-01" })).status, 400);
+});
+
+test("POST /api/confirm and DELETE /api/confirm toggle a domain and are audited", async () => {
+  const confirmed = await post("/api/confirm", { domain: "gone.example.org", siteId: "inst-blog", reason: "Being migrated", by: "sam" });
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.confirmation.confirmedBy, "sam");
+
+  const data = (await get("/api/data")).body;
+  const gone = data.sites.find((s) => s.id === "inst-blog").domains.find((d) => d.name === "gone.example.org");
+  assert.equal(gone.status, "confirmed");
+  assert.equal(gone.confirmation.reason, "Being migrated");
+  assert.equal(data.stats.confirmed, 1);
+
+  const removed = await call(base, "/api/confirm", { method: "DELETE", body: { domain: "gone.example.org", siteId: "inst-blog" } });
+  assert.equal(removed.status, 200);
+  assert.equal((await call(base, "/api/confirm", { method: "DELETE", body: { domain: "gone.example.org", siteId: "inst-blog" } })).status, 404);
+
+  const { entries } = (await get("/api/audit?domain=gone.example.org")).body;
+  assert.deepEqual(entries.map((e) => [e.action, e.user]), [["unconfirm", "anonymous"], ["confirm", "sam"]]);
+});
+
+// ── Notifications and metrics ──
+
+test("GET /api/notify and POST /api/notify/test", async () => {
+  const status = (await get("/api/notify")).body;
+  assert.deepEqual(status.channels.map((c) => c.name), ["hook"]);
+  hooks.length = 0;
+  const res = await post("/api/notify/test");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(hooks.length, 1);
+});
+
+test("a replaying server sends no notifications and serves no live history or audit log", async () => {
+  // Same config, channels and storage files as the live server, replaying its own scan
+  const snapshot = checkSnapshot((await get("/api/snapshot")).body);
+  const replayBase = await listen(createServer(writeConfig("config.json", { notifications }), { resolver, snapshot }));
+  assert.ok((await get("/api/history?domain=gone.example.org")).body.timeline.length > 0, "the live server has history");
+
+  hooks.length = 0;
+  const notify = await call(replayBase, "/api/notify/test", { method: "POST", body: {} });
+  assert.equal(notify.status, 409);
+  assert.match(notify.body.error, /Read-only/);
+  assert.equal(hooks.length, 0, "no test notification was delivered");
+
+  for (const urlPath of ["/api/audit", "/api/history?domain=gone.example.org", "/api/sites/inst-blog/history"]) {
+    const res = await call(replayBase, urlPath);
+    assert.equal(res.status, 409, urlPath);
+    assert.match(res.body.error, /replaying a snapshot/);
+  }
+});
+
+test("GET /metrics exposes Prometheus metrics", async () => {
+  const res = await get("/metrics");
+  assert.equal(res.status, 200);
+  assert.match(res.body, /^wpe_monitor_sites 3$/m);
+  assert.match(res.body, /^wpe_monitor_scans_total\{result="success"\} \d+$/m);
+  assert.match(res.body, /^wpe_monitor_domain_status\{domain="gone.example.org",install="blog",environment="production",account="default",status="issue"\} 1$/m);
+});
+
+// Prometheus text -> { 'name{labels}': value }
+function parseMetrics(text) {
+  const samples = {};
+  for (const line of text.split("\n")) {
+    if (!line || line.startsWith("#")) continue;
+    const at = line.lastIndexOf(" ");
+    samples[line.slice(0, at)] = Number(line.slice(at + 1));
+  }
+  return samples;
+}
+
+test("GET /metrics counts failed API requests and times scans", async () => {
+  const server = createServer(writeConfig("metrics.json", {
+    storage: { historyFile: "metrics-history.jsonl", lastScanFile: "metrics-last-scan.json", confirmedFile: "metrics-confirmed.json" },
+  }), { resolver });
+  const metricsBase = await listen(server);
+  const scrape = async () => parseMetrics((await call(metricsBase, "/metrics")).body);
+
+  // One install's domains fail: the scan succeeds with that install unavailable
+  api.reset();
+  api.fail("/installs/inst-blog/domains", 503);
+  await server.refreshData();
+  let m = await scrape();
+  assert.equal(m['wpe_monitor_api_errors_total{stage="domains"}'], 1);
+  assert.equal(m['wpe_monitor_api_errors_total{stage="installs"}'], 0);
+  assert.equal(m['wpe_monitor_scans_total{result="success"}'], 1);
+
+  // The install listing fails: the scan fails
+  api.reset();
+  api.fail("/installs", 500);
+  await assert.rejects(server.refreshData(), { name: "ApiError", status: 500 });
+  m = await scrape();
+  assert.equal(m['wpe_monitor_api_errors_total{stage="installs"}'], 1);
+  assert.equal(m['wpe_monitor_scans_total{result="error"}'], 1);
+  assert.equal(m.wpe_monitor_last_scan_success, 0);
+
+  assert.equal(m.wpe_monitor_scan_duration_seconds_count, 2);
+  assert.equal(m['wpe_monitor_scan_duration_seconds_bucket{le="+Inf"}'], 2);
+  assert.equal(m['wpe_monitor_scan_duration_seconds_bucket{le="5"}'], 2);
+  assert.ok(m.wpe_monitor_scan_duration_seconds_sum >= 0);
+  api.reset();
+});
+
+// ── Authentication ──
+
+test("with tokens configured, API routes need a token", async () => {
+  assert.equal((await call(authBase, "/api/data")).status, 401);
+  assert.equal((await call(authBase, "/metrics")).status, 401);
+  const page = await call(authBase, "/");
+  assert.equal(page.status, 302);
+  assert.equal(page.headers.get("location"), "/login");
+  const me = await call(authBase, "/api/me", { token: VIEWER_TOKEN });
+  assert.deepEqual(me.body, { authEnabled: true, username: "grafana", role: "viewer", snapshot: null });
+});
+
+test("cookies the monitor can't decode are ignored, not a server error", async () => {
+  const headers = { Cookie: "other_app=%E0%A4%A; wpem_session=%zz", Authorization: `Bearer ${VIEWER_TOKEN}` };
+  assert.equal((await fetch(authBase + "/api/data", { headers })).status, 200);
+  assert.equal((await fetch(authBase + "/login", { headers: { Cookie: headers.Cookie } })).status, 200);
+  assert.equal((await fetch(authBase + "/", { headers: { Cookie: headers.Cookie }, redirect: "manual" })).status, 302);
+});
+
+test("POST /login signs in and throttles repeated failures", async () => {
+  const login = (username, password) => fetch(authBase + "/login", {
+    method: "POST", redirect: "manual", body: new URLSearchParams({ username, password }),
+  });
+  const ok = await login("alice", "alice-password");
+  assert.equal(ok.headers.get("location"), "/");
+  const cookie = ok.headers.get("set-cookie").split(";")[0];
+  assert.equal((await fetch(authBase + "/api/me", { headers: { Cookie: cookie } }).then((r) => r.json())).username, "alice");
+
+  for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+    assert.equal((await login("alice", "wrong")).headers.get("location"), "/login?error=1");
+  }
+  const blocked = await login("alice", "alice-password");
+  assert.equal(blocked.status, 429);
+  assert.ok(Number(blocked.headers.get("retry-after")) > 0);
+  assert.match(await blocked.text(), /Too many failed sign-ins/);
+});
+
+test("HTTP Basic shares the sign-in throttle", async () => {
+  const basic = (password) => fetch(authBase + "/api/me", {
+    headers: { Authorization: "Basic " + Buffer.from(`bob:${password}`).toString("base64") },
+  });
+  assert.equal((await basic("bob-password")).status, 200);
+  for (let i = 0; i < LOGIN_MAX_FAILURES; i++) assert.equal((await basic("wrong")).status, 401);
+  const blocked = await basic("bob-password");
+  assert.equal(blocked.status, 429, "even the right password is refused");
+  assert.ok(Number(blocked.headers.get("retry-after")) > 0);
+  assert.match((await blocked.json()).error, /Too many failed sign-ins/);
+});
+
+test("viewers can read but not change anything", async () => {
+  assert.equal((await call(authBase, "/api/data", { token: VIEWER_TOKEN })).status, 200);
+  assert.equal((await call(authBase, "/api/refresh", { token: VIEWER_TOKEN })).status, 403);
+  assert.equal((await call(authBase, "/api/confirm", { method: "POST", token: VIEWER_TOKEN, body: { domain: "x", siteId: "y", reason: "z" } })).status, 403);
+  assert.equal((await call(authBase, "/api/notify/test", { method: "POST", token: VIEWER_TOKEN, body: {} })).status, 403);
+});
+
+test("operators confirm under their own name", async () => {
+  assert.equal((await call(authBase, "/api/refresh", { token: OPERATOR_TOKEN })).status, 200);
+  const res = await call(authBase, "/api/confirm", {
+    method: "POST", token: OPERATOR_TOKEN, body: { domain: "gone.example.org", siteId: "inst-blog", reason: "Known", by: "someone-else" },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.confirmation.confirmedBy, "ci");
+});
@@ -0,0 +1,148 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createServer } = require("../server");
+const { loadConfig } = require("../lib/config");
+const { runScan, confirmKey } = require("../lib/monitor");
+const { SNAPSHOT_VERSION, SnapshotError, saveSnapshot, loadSnapshot } = require("../lib/snapshot");
+const { startMockApi } = require("./helpers/mock-wpe-api");
+const { createFakeResolver } = require("./helpers/fake-resolver");
+
+let api;
+let dir;
+let scan;
+let snapshotFile;
+let configFile;
+let base;
+let server;
+const listening = [];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${s.address().port}`));
+    listening.push(s);
+  });
+}
+
+// A server replaying the given snapshot file
+function replay(file) {
+  return createServer(loadConfig({ file: configFile, env: {} }), { snapshot: loadSnapshot(file) });
+}
+
+before(async () => {
+  api = await startMockApi();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-monitor-snapshot-"));
+  scan = await runScan({ credentials: api.credentials, api: { baseUrl: api.baseUrl, retries: 0 }, resolver: createFakeResolver() });
+
+  snapshotFile = path.join(dir, "scan.json");
+  saveSnapshot(snapshotFile, scan, {
+    confirmed: {
+      [confirmKey("inst-shop", "old.shop.example.com")]: {
+        domain: "old.shop.example.com", siteId: "inst-shop", reason: "Behind a proxy", confirmedBy: "ops",
+        confirmedAt: new Date().toISOString(), expiresAt: new Date(Date.now() + DAY).toISOString(),
+      },
+    },
+  });
+
+  // No credentials and an API base nothing listens on: replay mustn't need either
+  configFile = path.join(dir, "config.json");
+  fs.writeFileSync(configFile, JSON.stringify({ api: { baseUrl: "http://127.0.0.1:9" }, schedule: { intervalMinutes: 5 } }));
+  api.reset();
+  server = replay(snapshotFile);
+  base = await listen(server.app);
+});
+
+after(async () => {
+  for (const s of listening) {
+    s.closeAllConnections();
+    await new Promise((r) => s.close(r));
+  }
+  await api.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function call(urlPath, { method = "GET", body } = {}, baseUrl = base) {
+  const res = await fetch(baseUrl + urlPath, {
+    method, headers: body ? { "Content-Type": "application/json" } : {}, body: body && JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("saveSnapshot and loadSnapshot round-trip a scan", () => {
+  const snapshot = loadSnapshot(snapshotFile);
+  assert.equal(snapshot.version, SNAPSHOT_VERSION);
+  assert.equal(snapshot.file, snapshotFile);
+  assert.deepEqual(snapshot.data.sites, scan.sites);
+  assert.deepEqual(snapshot.data.summary, scan.summary);
+  assert.equal(snapshot.changes, null);
+  assert.ok(Date.parse(snapshot.savedAt));
+});
+
+test("loadSnapshot rejects files it can't replay", () => {
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+    return file;
+  };
+  const data = { sites: [], stats: {} };
+  assert.throws(() => loadSnapshot(path.join(dir, "missing.json")), { name: "SnapshotError", message: /cannot read file: ENOENT/ });
+  assert.throws(() => loadSnapshot(write("bad.json", "{")), { name: "SnapshotError", message: /not valid JSON/ });
+  assert.throws(() => loadSnapshot(write("other.json", { sites: [] })), /not a wpe-monitor snapshot file/);
+  assert.throws(() => loadSnapshot(write("future.json", { format: "wpe-monitor-snapshot", version: SNAPSHOT_VERSION + 1, data })),
+    /written by a newer version/);
+  assert.throws(() => loadSnapshot(write("empty.json", { format: "wpe-monitor-snapshot", version: 1 })),
+    (e) => e instanceof SnapshotError && /no scan data/.test(e.message));
+});
+
+test("a replaying server serves the saved scan without credentials or scanning", async () => {
+  const { body } = await call("/api/data");
+  assert.equal(body.sites.length, 3);
+  assert.equal(body.stats.timestamp, scan.stats.timestamp);
+  const old = body.sites.find((s) => s.id === "inst-shop").domains.find((d) => d.name === "old.shop.example.com");
+  assert.equal(old.status, "confirmed");
+  assert.equal(old.confirmation.reason, "Behind a proxy");
+  assert.equal(api.requests.length, 0);
+  assert.equal(server.scheduler, null, "no scheduled rescans while replaying");
+});
+
+test("a replaying server reports which snapshot it serves", async () => {
+  const me = await call("/api/me");
+  assert.equal(me.body.snapshot.file, "scan.json");
+  assert.equal(me.body.snapshot.savedAt, loadSnapshot(snapshotFile).savedAt);
+  const status = await call("/api/status");
+  assert.equal(status.body.hasData, true);
+  assert.deepEqual(status.body.snapshot, me.body.snapshot);
+});
+
+test("a replaying server refuses refreshes, rechecks and confirmations", async () => {
+  const refused = [
+    await call("/api/refresh"),
+    await call("/api/sites/inst-shop/rescan", { method: "POST", body: {} }),
+    await call("/api/domains/dead.example.org/recheck", { method: "POST", body: {} }),
+    await call("/api/confirm", { method: "POST", body: { domain: "gone.example.org", siteId: "inst-blog", reason: "x" } }),
+    await call("/api/confirm", { method: "DELETE", body: { domain: "old.shop.example.com", siteId: "inst-shop" } }),
+  ];
+  for (const res of refused) {
+    assert.equal(res.status, 409);
+    assert.match(res.body.error, /Read-only/);
+  }
+  assert.equal(api.requests.length, 0);
+  assert.ok(!fs.existsSync(path.join(dir, "confirmed.json")), "the confirmed file is never written");
+});
+
+test("confirmation expiries are judged as of when the snapshot was saved", async () => {
+  const saved = JSON.parse(fs.readFileSync(snapshotFile, "utf8"));
+  // Saved two days ago, when the confirmation (since expired) was still in force
+  saved.savedAt = new Date(Date.now() - 2 * DAY).toISOString();
+  saved.confirmed[confirmKey("inst-shop", "old.shop.example.com")].expiresAt = new Date(Date.now() - DAY).toISOString();
+  const file = path.join(dir, "older.json");
+  fs.writeFileSync(file, JSON.stringify(saved));
+
+  const { body } = await call("/api/data", {}, await listen(replay(file).app));
+  const old = body.sites.find((s) => s.id === "inst-shop").domains.find((d) => d.name === "old.shop.example.com");
+  assert.equal(old.status, "confirmed");
+});
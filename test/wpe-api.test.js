@@ -0,0 +1,93 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ApiError, makeHeaders, parseRetryAfter, apiFetch, nextPath, fetchPaged, fetchInstall, fetchDomain } = require("../lib/wpe-api");
+const { startMockApi } = require("./helpers/mock-wpe-api");
+
+let api;
+let headers;
+let opts;
+
+before(async () => {
+  api = await startMockApi();
+  headers = makeHeaders(api.credentials.user, api.credentials.pass);
+  // Tiny backoff so retry tests run fast
+  opts = { baseUrl: api.baseUrl, timeoutMs: 2000, retries: 2, retryBaseMs: 1, retryMaxMs: 20 };
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+test("apiFetch retries 5xx responses and returns the eventual result", async () => {
+  api.fail("/installs/inst-shop", 503, { times: 2 });
+  const install = await apiFetch("/installs/inst-shop", headers, opts);
+  assert.equal(install.name, "shop");
+  assert.equal(api.requests.length, 3);
+});
+
+test("apiFetch gives up after the configured retries", async () => {
+  api.fail("/installs/inst-shop", 502);
+  await assert.rejects(apiFetch("/installs/inst-shop", headers, opts), (err) => {
+    assert.ok(err instanceof ApiError);
+    assert.equal(err.status, 502);
+    assert.equal(err.attempts, 3);
+    assert.match(err.message, /API 502 on \/installs\/inst-shop after 3 attempts/);
+    return true;
+  });
+});
+
+test("apiFetch fails straight away on a 401", async () => {
+  const bad = makeHeaders("test-user", "wrong");
+  await assert.rejects(apiFetch("/installs", bad, opts), { name: "ApiError", status: 401, attempts: 1 });
+  assert.equal(api.requests.length, 1);
+});
+
+test("apiFetch waits for Retry-After on a 429, capped at retryMaxMs", async () => {
+  api.fail("/installs/inst-blog", 429, { times: 1, headers: { "Retry-After": "120" } });
+  const started = Date.now();
+  const install = await apiFetch("/installs/inst-blog", headers, opts);
+  assert.equal(install.name, "blog");
+  assert.ok(Date.now() - started < 1000, "Retry-After of 120s should be capped at retryMaxMs");
+});
+
+test("apiFetch retries connection errors", async () => {
+  await assert.rejects(apiFetch("/installs", headers, { ...opts, baseUrl: "http://127.0.0.1:9" }),
+    (err) => err instanceof ApiError && err.status === null && err.attempts === 3);
+});
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+  assert.equal(parseRetryAfter("30"), 30000);
+  const now = Date.parse("2026-01-01T00:00:00Z");
+  assert.equal(parseRetryAfter("Thu, 01 Jan 2026 00:00:10 GMT", now), 10000);
+  assert.equal(parseRetryAfter("Wed, 31 Dec 2025 00:00:00 GMT", now), 0);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test("fetchPaged follows `next` until the last page", async () => {
+  const fixture = api.fixture.domains["inst-blog"];
+  const many = Array.from({ length: 250 }, (_, i) => ({ id: `dom-${i}`, name: `site${i}.example.org` }));
+  api.fixture.domains["inst-blog"] = many;
+  // Pages shorter than the limit asked for: only `next` says where the rest starts
+  api.maxPageSize(90);
+  try {
+    const { results, pages, count } = await fetchPaged("/installs/inst-blog/domains", headers, opts);
+    assert.deepEqual(results.map((d) => d.id), many.map((d) => d.id));
+    assert.equal(pages, 3);
+    assert.equal(count, 250);
+    assert.deepEqual(api.requests.map((r) => r.query), ["?limit=100&offset=0", "?limit=100&offset=90", "?limit=100&offset=180"]);
+  } finally {
+    api.fixture.domains["inst-blog"] = fixture;
+  }
+});
+
+test("nextPath resolves `next` links below the API base and refuses other hosts", async () => {
+  assert.equal(nextPath("https://api.example.com/v1/installs?limit=100&offset=100", "/installs", { baseUrl: "https://api.example.com/v1" }),
+    "/installs?limit=100&offset=100");
+  assert.throws(() => nextPath("https://evil.example/v1/installs?offset=100", "/installs", { baseUrl: "https://api.example.com/v1" }),
+    (err) => err instanceof ApiError && /outside/.test(err.message));
+});
+
+test("fetchInstall and fetchDomain fetch single resources", async () => {
+  assert.equal((await fetchInstall("inst-shop", headers, opts)).cname, "shop.wpengine.com");
+  assert.equal((await fetchDomain("inst-shop", "dom-shop-www", headers, opts)).redirect_to.name, "shop.example.com");
+  await assert.rejects(fetchDomain("inst-shop", "nope", headers, opts), { status: 404 });
+});